@@ -0,0 +1,137 @@
+// ============================================
+// DAVIPLATA - ACCOUNTS MODULE
+// Cuentas (billeteras DaviPlata y caja menor),
+// saldos por cuenta y transferencias
+// ============================================
+
+const ACCOUNT_TYPES = {
+    BILLETERA: { label: 'Billetera', icon: 'fa-wallet' },
+    CAJA: { label: 'Caja menor', icon: 'fa-cash-register' }
+};
+
+/**
+ * Obtiene las cuentas (incluye las inactivas para poder nombrar movimientos antiguos)
+ * @returns {Promise<Array>}
+ */
+async function getAccounts() {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_cuentas')
+            .select('*')
+            .order('orden', { ascending: true })
+            .order('nombre', { ascending: true });
+
+        if (error) {
+            console.error('❌ Error obteniendo cuentas:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Saldo verificado y pendiente de cada cuenta activa
+ * Calculado en Postgres (RPC daviplata_saldos_cuentas, ver sql/007_cuentas.sql)
+ * @returns {Promise<Array>} - [{ cuenta_id, nombre, tipo, balance, total_pendiente }]
+ */
+async function getAccountBalances() {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client.rpc('daviplata_saldos_cuentas');
+
+        if (error) {
+            console.error('❌ Error obteniendo saldos por cuenta:', error);
+            return [];
+        }
+
+        return (data || []).map(row => ({
+            ...row,
+            balance: parseFloat(row.balance) || 0,
+            total_pendiente: parseFloat(row.total_pendiente) || 0
+        }));
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Cuentas que se pueden elegir al registrar un movimiento
+ * @returns {Array}
+ */
+function getActiveAccounts() {
+    return (AppState.accounts || []).filter(c => c.activa !== false);
+}
+
+/**
+ * Nombre de una cuenta a partir de su id
+ * @param {string} cuentaId - ID de la cuenta
+ * @returns {string}
+ */
+function getAccountName(cuentaId) {
+    if (!cuentaId) return '';
+    const account = (AppState.accounts || []).find(c => c.id === cuentaId);
+    return account ? account.nombre : 'Cuenta eliminada';
+}
+
+/**
+ * Texto de la cuenta de un movimiento ("Origen → Destino" en las transferencias)
+ * @param {Object} movement - Movimiento
+ * @param {string} separator - Separador origen/destino (jsPDF no tiene la flecha)
+ * @returns {string}
+ */
+function getMovementAccountLabel(movement, separator = ' → ') {
+    if (movement.tipo === 'TRANSFERENCIA') {
+        return `${getAccountName(movement.cuenta_id)}${separator}${getAccountName(movement.cuenta_destino_id)}`;
+    }
+    return getAccountName(movement.cuenta_id);
+}
+
+/**
+ * Efecto de un movimiento sobre el saldo
+ * En la vista global las transferencias no suman ni restan;
+ * vistas desde una cuenta, suman en destino y restan en origen
+ * @param {Object} movement - Movimiento
+ * @param {string|null} cuentaId - Cuenta desde la que se mira (null = todas)
+ * @returns {number} - 1 | -1 | 0
+ */
+function getMovementSign(movement, cuentaId = null) {
+    if (movement.tipo === 'INGRESO') return 1;
+    if (movement.tipo === 'EGRESO') return -1;
+    if (!cuentaId) return 0;
+    if (movement.cuenta_destino_id === cuentaId) return 1;
+    return movement.cuenta_id === cuentaId ? -1 : 0;
+}
+
+/**
+ * Llena un <select> con las cuentas activas
+ * @param {HTMLSelectElement} select - Elemento a llenar
+ * @param {Object} options
+ * @param {string} options.allLabel - Si se indica, primera opción "todas" con valor vacío
+ * @param {string} options.placeholder - Primera opción vacía no seleccionable
+ * @param {string} options.selected - ID seleccionado
+ */
+function renderAccountOptions(select, options = {}) {
+    if (!select) return;
+
+    const first = options.allLabel
+        ? `<option value="">${escapeHtml(options.allLabel)}</option>`
+        : options.placeholder
+            ? `<option value="" disabled>${escapeHtml(options.placeholder)}</option>`
+            : '';
+
+    select.innerHTML = first + getActiveAccounts().map(c =>
+        `<option value="${c.id}">${escapeHtml(c.nombre)}</option>`
+    ).join('');
+
+    select.value = options.selected || '';
+}
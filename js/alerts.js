@@ -0,0 +1,285 @@
+// ============================================
+// DAVIPLATA - ALERTS MODULE
+// Reglas de alerta (saldo bajo, movimiento grande, pendientes
+// antiguos): se evalúan en Postgres después de cada alta o
+// verificación y avisan en la app y por el webhook de alertas
+// ============================================
+
+const ALERT_RULE_TYPES = {
+    SALDO_BAJO: 'Saldo menor a',
+    MOVIMIENTO_ALTO: 'Movimiento mayor a',
+    PENDIENTES_ANTIGUOS: 'Pendientes antiguos'
+};
+
+/**
+ * Obtiene las reglas de alerta (ver sql/017_reglas_alerta.sql)
+ * @returns {Promise<Array>}
+ */
+async function getAlertRules() {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_reglas_alerta')
+            .select('*')
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('❌ Error obteniendo reglas de alerta:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Crea o actualiza una regla de alerta (solo admin)
+ * @param {Object} rule - { id?, tipo, umbral, tipo_movimiento, horas, activa }
+ * @returns {Promise<Object|null>}
+ */
+async function saveAlertRule(rule) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const row = {
+            tipo: rule.tipo,
+            umbral: rule.umbral,
+            tipo_movimiento: rule.tipo === 'MOVIMIENTO_ALTO' ? rule.tipo_movimiento || null : null,
+            horas: rule.tipo === 'PENDIENTES_ANTIGUOS' ? rule.horas : null,
+            activa: rule.activa !== false
+        };
+
+        // Al cambiar la regla se vuelve a avisar si la condición se sigue cumpliendo
+        const request = rule.id
+            ? client.from('daviplata_reglas_alerta').update({ ...row, en_alerta: false }).eq('id', rule.id)
+            : client.from('daviplata_reglas_alerta').insert([row]);
+
+        const { data, error } = await request.select().single();
+
+        if (error) {
+            console.error('❌ Error guardando regla de alerta:', error);
+            showToast(error.code === '42501' || error.code === 'PGRST116'
+                ? 'Solo los administradores pueden configurar alertas'
+                : 'Error al guardar la regla de alerta', 'error');
+            return null;
+        }
+
+        console.log('✅ Regla de alerta guardada:', data);
+        return data;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Borra una regla de alerta (y su historial)
+ * @param {string} id - ID de la regla
+ * @returns {Promise<boolean>}
+ */
+async function deleteAlertRule(id) {
+    const client = getSupabase();
+    if (!client) return false;
+
+    try {
+        const { error } = await client
+            .from('daviplata_reglas_alerta')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            console.error('❌ Error borrando regla de alerta:', error);
+            showToast('Error al borrar la regla de alerta', 'error');
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return false;
+    }
+}
+
+/**
+ * Evalúa las reglas activas en la base
+ * @param {string|null} movimientoId - Movimiento recién creado o verificado
+ * @returns {Promise<Array|null>} - Alertas activas [{ regla_id, tipo, umbral, tipo_movimiento, horas, valor, movimiento_id, nueva }] o null si falla
+ */
+async function evaluateAlertRules(movimientoId = null) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const { data, error } = await client.rpc('daviplata_evaluar_alertas', {
+            p_movimiento_id: movimientoId
+        });
+
+        if (error) {
+            console.error('❌ Error evaluando alertas:', error);
+            return null;
+        }
+
+        return (data || []).map(row => ({
+            ...row,
+            umbral: parseFloat(row.umbral) || 0,
+            valor: parseFloat(row.valor) || 0
+        }));
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Reserva las alertas que aún no se enviaron al webhook (nuevas o fallidas)
+ * @returns {Promise<Array>} - [{ id, regla_id, tipo, umbral, tipo_movimiento, horas, valor, movimiento_id }]
+ */
+async function claimUnsentAlerts() {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client.rpc('daviplata_reclamar_alertas');
+
+        if (error) {
+            console.error('❌ Error reservando alertas sin enviar:', error);
+            return [];
+        }
+
+        return (data || []).map(row => ({
+            ...row,
+            umbral: parseFloat(row.umbral) || 0,
+            valor: parseFloat(row.valor) || 0
+        }));
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Devuelve una alerta reservada para reintentar el envío en la siguiente evaluación
+ * @param {string} id - ID de la alerta (daviplata_alertas)
+ */
+async function releaseAlert(id) {
+    const client = getSupabase();
+    if (!client) return;
+
+    try {
+        const { error } = await client.rpc('daviplata_liberar_alerta', { p_id: id });
+        if (error) console.error('❌ Error liberando alerta:', error);
+    } catch (error) {
+        console.error('❌ Error:', error);
+    }
+}
+
+/**
+ * Texto de una alerta para el aviso y para WhatsApp
+ * @param {Object} alert - Alerta de evaluateAlertRules
+ * @param {Object|null} movement - Movimiento que la disparó (MOVIMIENTO_ALTO)
+ * @returns {string}
+ */
+function getAlertMessage(alert, movement = null) {
+    switch (alert.tipo) {
+        case 'SALDO_BAJO':
+            return `El saldo verificado (${formatCurrency(alert.valor)}) está por debajo de ${formatCurrency(alert.umbral)}`;
+        case 'MOVIMIENTO_ALTO': {
+            const tipo = movement ? movement.tipo.toLowerCase() : 'movimiento';
+            const motivo = movement?.motivo ? ` "${movement.motivo}"` : '';
+            return `Se registró un ${tipo}${motivo} de ${formatCurrency(alert.valor)}, mayor a ${formatCurrency(alert.umbral)}`;
+        }
+        case 'PENDIENTES_ANTIGUOS':
+            return `Hay ${alert.valor} movimiento${alert.valor !== 1 ? 's' : ''} pendiente${alert.valor !== 1 ? 's' : ''} de verificar hace más de ${alert.horas} h`;
+        default:
+            return 'Alerta';
+    }
+}
+
+/**
+ * Envía una alerta disparada al webhook de alertas (n8n la reenvía a WhatsApp)
+ * @param {Object} alert - Alerta de evaluateAlertRules
+ * @param {Object|null} movement - Movimiento que la disparó
+ * @returns {Promise<boolean>}
+ */
+async function notifyAlertWebhook(alert, movement = null) {
+    try {
+        const mensaje = getAlertMessage(alert, movement);
+        const usuario = movement?.daviplata_usuarios?.nombre || AppState.userProfile?.nombre || '';
+
+        const formData = new FormData();
+        formData.append('regla_id', alert.regla_id);
+        formData.append('tipo', alert.tipo);
+        formData.append('umbral', alert.umbral);
+        formData.append('valor', alert.valor);
+        formData.append('horas', alert.horas || '');
+        formData.append('id_movimiento', alert.movimiento_id || '');
+        formData.append('mensaje', mensaje);
+        formData.append('usuario_nombre', usuario);
+        formData.append('fecha', new Date().toISOString());
+
+        const caption =
+`*ALERTA DAVIPLATA* ⚠️
+---------------------------------------
+${mensaje}.
+${movement ? `
+- *Monto:* ${formatMovementAmountWithBase(movement)}
+- *Usuario:* ${usuario}
+- *Fecha:* ${formatDate(movement.fecha)}
+` : ''}
+*_DaviPlata - Control de Movimientos_*`;
+
+        formData.append('caption', caption);
+
+        const response = await fetch(CONFIG.WEBHOOK_ALERT, {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            console.warn('Fallo al enviar webhook de alerta:', response.statusText);
+        }
+        return response.ok;
+    } catch (error) {
+        console.warn('Error enviando webhook de alerta:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Evalúa las reglas, avisa las alertas nuevas y actualiza los avisos de la app
+ * Se llama después de crear o verificar movimientos y al iniciar sesión un admin
+ * @param {Object|null} movement - Movimiento recién creado o verificado
+ */
+async function checkAlertRules(movement = null) {
+    const alerts = await evaluateAlertRules(movement?.id || null);
+    if (!alerts) return;
+
+    for (const alert of alerts.filter(a => a.nueva)) {
+        AppState.dismissedAlerts.delete(getAlertKey(alert));
+    }
+
+    // Las recién disparadas y las que no se pudieron enviar antes
+    for (const alert of await claimUnsentAlerts()) {
+        const source = alert.movimiento_id && alert.movimiento_id === movement?.id ? movement : null;
+        if (!await notifyAlertWebhook(alert, source)) {
+            await releaseAlert(alert.id);
+        }
+    }
+
+    // Los avisos de movimiento grande se quedan hasta que el admin los cierra
+    const movementAlerts = (AppState.alerts || []).filter(a =>
+        a.tipo === 'MOVIMIENTO_ALTO' && !alerts.some(b => b.regla_id === a.regla_id && b.movimiento_id === a.movimiento_id)
+    );
+
+    AppState.alerts = [
+        ...alerts.map(a => ({ ...a, mensaje: getAlertMessage(a, a.movimiento_id ? movement : null) })),
+        ...movementAlerts
+    ];
+    renderAlertBanners();
+}
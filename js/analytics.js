@@ -0,0 +1,259 @@
+// ============================================
+// DAVIPLATA - ANALYTICS MODULE
+// Datos del tablero por rango de fechas, calculados en Postgres
+// sobre el historial completo (ver sql/015_analitica.sql)
+// ============================================
+
+/**
+ * Zona horaria del navegador, para agrupar por día como lo ve el usuario
+ * @returns {string}
+ */
+function getBrowserTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (e) {
+        return 'UTC';
+    }
+}
+
+/**
+ * Saldo verificado justo antes de una fecha (saldo inicial del rango)
+ * @param {Date} date - Inicio del rango
+ * @returns {Promise<number|null>} - null si falla
+ */
+async function getOpeningBalance(date) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const { data, error } = await client.rpc('daviplata_saldo_al', {
+            p_fecha: date.toISOString()
+        });
+
+        if (error) {
+            console.error('❌ Error obteniendo saldo inicial:', error);
+            return null;
+        }
+
+        return parseFloat(data) || 0;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Ingresos, egresos y neto verificado por día (solo los días con movimientos)
+ * @param {Date} desde - Inicio del rango
+ * @param {Date} hasta - Fin del rango
+ * @returns {Promise<Array>} - [{ dia: 'YYYY-MM-DD', ingresos, egresos, neto }]
+ */
+async function getDailySeries(desde, hasta) {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client.rpc('daviplata_serie_diaria', {
+            p_desde: desde.toISOString(),
+            p_hasta: hasta.toISOString(),
+            p_zona: getBrowserTimeZone()
+        });
+
+        if (error) {
+            console.error('❌ Error obteniendo serie diaria:', error);
+            return [];
+        }
+
+        return (data || []).map(row => ({
+            dia: row.dia,
+            ingresos: parseFloat(row.ingresos) || 0,
+            egresos: parseFloat(row.egresos) || 0,
+            neto: parseFloat(row.neto) || 0
+        }));
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Ingresos y egresos registrados por cada usuario en el rango
+ * @param {Date} desde - Inicio del rango
+ * @param {Date} hasta - Fin del rango
+ * @returns {Promise<Array>} - [{ usuario_id, nombre, ingresos, egresos, cantidad }] de mayor a menor
+ */
+async function getUserContributions(desde, hasta) {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client.rpc('daviplata_aportes_usuarios', {
+            p_desde: desde.toISOString(),
+            p_hasta: hasta.toISOString()
+        });
+
+        if (error) {
+            console.error('❌ Error obteniendo aportes por usuario:', error);
+            return [];
+        }
+
+        return (data || []).map(row => ({
+            usuario_id: row.usuario_id,
+            nombre: row.nombre,
+            ingresos: parseFloat(row.ingresos) || 0,
+            egresos: parseFloat(row.egresos) || 0,
+            cantidad: parseInt(row.cantidad, 10) || 0
+        }));
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Estadísticas de un mes comparadas con el mes anterior y el mismo mes del año anterior
+ * @param {Date} date - Cualquier fecha del mes
+ * @returns {Promise<Object>} - { mes, actual, mesAnterior, anioAnterior } (estadísticas de getStatistics)
+ */
+async function getMonthComparison(date = new Date()) {
+    const d = new Date(date);
+    const months = [
+        d,
+        new Date(d.getFullYear(), d.getMonth() - 1, 1),
+        new Date(d.getFullYear() - 1, d.getMonth(), 1)
+    ];
+
+    const [actual, mesAnterior, anioAnterior] = await Promise.all(months.map(month => {
+        const { desde, hasta } = getMonthRange(month);
+        return getStatistics({ dateFrom: desde.toISOString(), dateTo: hasta.toISOString() });
+    }));
+
+    return { mes: getMonthRange(d).desde, actual, mesAnterior, anioAnterior };
+}
+
+/**
+ * Variación porcentual entre dos valores
+ * @param {number} current - Valor actual
+ * @param {number} previous - Valor de referencia
+ * @returns {number|null} - null si no hay referencia
+ */
+function getPercentChange(current, previous) {
+    if (!previous) return null;
+    return ((current - previous) / Math.abs(previous)) * 100;
+}
+
+/**
+ * Todo lo que necesita el tablero para un rango, en paralelo
+ * @param {Date} desde - Inicio del rango
+ * @param {Date} hasta - Fin del rango
+ * @returns {Promise<Object>} - { desde, hasta, saldoInicial, serie, usuarios, categorias, comparacion }
+ */
+async function getDashboardAnalytics(desde, hasta) {
+    const [saldoInicial, serie, usuarios, categorias, comparacion] = await Promise.all([
+        getOpeningBalance(desde),
+        getDailySeries(desde, hasta),
+        getUserContributions(desde, hasta),
+        getCategoryTotals(desde, hasta, 'EGRESO'),
+        getMonthComparison(hasta)
+    ]);
+
+    return { desde, hasta, saldoInicial, serie, usuarios, categorias, comparacion };
+}
+
+// ============================================
+// PRONÓSTICO DEL SALDO
+// ============================================
+
+/**
+ * Ingresos y egresos verificados por día sin los generados por programados
+ * (las próximas ocurrencias se suman aparte como movimientos conocidos)
+ * @param {Date} desde - Inicio del rango
+ * @param {Date} hasta - Fin del rango
+ * @returns {Promise<Array|null>} - [{ dia, ingresos, egresos }] o null si falla
+ */
+async function getVariableCashFlow(desde, hasta) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const { data, error } = await client.rpc('daviplata_flujo_diario', {
+            p_desde: desde.toISOString(),
+            p_hasta: hasta.toISOString(),
+            p_zona: getBrowserTimeZone()
+        });
+
+        if (error) {
+            console.error('❌ Error obteniendo flujo diario:', error);
+            return null;
+        }
+
+        return (data || []).map(row => ({
+            dia: row.dia,
+            ingresos: parseFloat(row.ingresos) || 0,
+            egresos: parseFloat(row.egresos) || 0
+        }));
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Proyección del saldo día a día: promedio diario del historial reciente
+ * más los programados conocidos, con una banda que se abre con la raíz de los días
+ * @param {number} saldoActual - Saldo verificado de hoy
+ * @param {number} dias - Días a proyectar (30, 60, 90)
+ * @returns {Promise<Object|null>} - { promedio, desviacion, puntos: [{ fecha, esperado, bajo, alto }], programados } o null si falla
+ */
+async function getBalanceForecast(saldoActual, dias = 30) {
+    const now = new Date();
+    const hoy = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const historyDays = CONFIG.FORECAST_HISTORY_DAYS;
+
+    // Solo días completos: hoy todavía no termina
+    const [flujo, templates] = await Promise.all([
+        getVariableCashFlow(new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate() - historyDays), new Date(hoy.getTime() - 1)),
+        getScheduledTemplates()
+    ]);
+    if (!flujo) return null;
+
+    // Los días sin movimientos cuentan como cero
+    const netos = flujo.map(row => row.ingresos - row.egresos);
+    const promedio = netos.reduce((sum, n) => sum + n, 0) / historyDays;
+    const varianza = netos.reduce((sum, n) => sum + n * n, 0) / historyDays - promedio * promedio;
+    const desviacion = Math.sqrt(Math.max(varianza, 0));
+
+    const fin = new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate() + dias);
+    const programados = getScheduledOccurrences(templates, new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate() + 1), fin);
+
+    const puntos = [];
+    let conocidos = 0;
+    for (let k = 1; k <= dias; k++) {
+        const fecha = new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate() + k);
+        programados
+            .filter(p => p.fecha.getTime() === fecha.getTime())
+            .forEach(p => { conocidos += p.tipo === 'INGRESO' ? p.monto : -p.monto; });
+
+        const esperado = saldoActual + promedio * k + conocidos;
+        const margen = CONFIG.FORECAST_CONFIDENCE_Z * desviacion * Math.sqrt(k);
+        puntos.push({ fecha, esperado, bajo: esperado - margen, alto: esperado + margen });
+    }
+
+    return { promedio, desviacion, puntos, programados };
+}
+
+/**
+ * Primer día en que la proyección baja del mínimo
+ * @param {Object} forecast - Resultado de getBalanceForecast
+ * @param {number} minimo - Saldo mínimo
+ * @returns {Object|null} - { punto, probable } (probable: lo cruza el valor esperado, no solo la banda baja)
+ */
+function findForecastShortfall(forecast, minimo) {
+    if (!forecast) return null;
+
+    const probable = forecast.puntos.find(p => p.esperado < minimo);
+    if (probable) return { punto: probable, probable: true };
+
+    const posible = forecast.puntos.find(p => p.bajo < minimo);
+    return posible ? { punto: posible, probable: false } : null;
+}
@@ -8,7 +8,8 @@ const AppState = {
     movements: [],
     stats: null,
     filter: 'TODOS',
-    selectedFile: null,
+    attachments: [], // Adjuntos del formulario en orden (los ya guardados y los archivos nuevos)
+    uploadController: null, // AbortController de la subida en curso (botón Cancelar)
     selectedMovement: null,
     isLoading: false,
     hasWelcomed: false, // Evitar mensajes duplicados
@@ -18,6 +19,29 @@ const AppState = {
     userProfile: null,
     isAdmin: false,
     editingMovementId: null,
+    offlineQueue: [], // Movimientos guardados sin conexión (IndexedDB)
+    // Lista paginada (filtros aplicados en el servidor)
+    list: {
+        movements: [],
+        cursor: null,
+        hasMore: false,
+        loading: false,
+        requestId: 0
+    },
+    listObserver: null, // IntersectionObserver del scroll infinito
+    editPolicy: null, // Política de edición (daviplata_configuracion)
+    accounts: [], // Cuentas (billeteras y caja menor)
+    accountBalances: [], // Saldo por cuenta (daviplata_saldos_cuentas)
+    accountFilter: '', // Cuenta de la lista de movimientos ('' = todas)
+    categories: [], // Categorías de movimientos (daviplata_categorias)
+    scheduled: [], // Plantillas de movimientos programados (solo admin)
+    alertRules: [], // Reglas de alerta (daviplata_reglas_alerta)
+    alerts: [], // Alertas activas para los avisos de la app (solo admin)
+    dismissedAlerts: new Set(), // Avisos cerrados en esta sesión
+    // Selección múltiple para verificación masiva (solo admin)
+    selection: new Set(),
+    selectMode: false,
+    realtimeHighlights: new Set(), // IDs recién llegados por Realtime (resaltados)
     chart: null // Referencia para el gráfico
 };
 
@@ -58,6 +82,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Event listeners
     setupEventListeners();
     setupDesktopEventListeners();
+    setupOfflineSync();
+    setupPushNotifications();
 
     console.log('DaviPlata listo');
 });
@@ -114,13 +140,47 @@ async function handleAuthSuccess(session) {
         console.log(`Usuario: ${profile.email} | Rol: ${profile.rol_daviplata}`);
     }
 
+    // Reglas de edición configurables, cuentas y categorías
+    const [editPolicy, accounts, categories] = await Promise.all([loadEditPolicy(), getAccounts(), getCategories()]);
+    AppState.editPolicy = editPolicy;
+    AppState.accounts = accounts;
+    AppState.categories = categories;
+    renderAccountSelectors();
+
     // Mostrar app y cargar datos
     showAppScreen();
     await loadDashboard();
 
+    // Reenviar movimientos que quedaron en cola sin conexión
+    processOfflineQueue();
+
+    // Generar los movimientos programados vencidos (solo admin)
+    // y revisar las reglas de alerta (los pendientes envejecen aunque nadie registre nada)
+    if (AppState.isAdmin) {
+        processScheduledMovements().then(count => {
+            if (count > 0) {
+                showToast(`${count} movimiento(s) programado(s) registrado(s)`, 'success');
+                loadDashboard();
+            }
+            return checkAlertRules();
+        });
+
+        // Pasar al bucket privado los comprobantes que aún son públicos (una tanda por inicio de sesión)
+        migratePublicReceipts().then(count => {
+            if (count > 0) loadDashboard();
+        });
+    }
+
+    // Cambios hechos en otros dispositivos
+    setupRealtime();
+
     // Actualizar UI según rol
     updateUIForRole();
 
+    // Suscripción push de este dispositivo y movimiento abierto desde una notificación
+    syncPushSubscription();
+    openMovementFromUrl();
+
     // Mensaje de bienvenida elegante
     if (!AppState.hasWelcomed && AppState.userProfile) {
         const nombreDisplay = formatDisplayName(AppState.userProfile.nombre || AppState.userProfile.email.split('@')[0]);
@@ -141,6 +201,18 @@ function updateUIForRole() {
     const fabExpense = document.getElementById('fab-expense');
     const dashBtnExpense = document.getElementById('dash-btn-expense');
     const expenseTypeOption = document.querySelector('.type-option.expense');
+    const transferTypeOption = document.querySelector('.type-option.transfer');
+    const selectModeBtn = document.getElementById('btn-select-mode');
+    const categoriesBtn = document.getElementById('btn-categories');
+    const scheduledBtn = document.getElementById('btn-scheduled');
+    const alertRulesBtn = document.getElementById('btn-alert-rules');
+
+    // La verificación masiva, las transferencias, las categorías, los programados y las alertas son exclusivos del admin
+    if (selectModeBtn) selectModeBtn.style.display = AppState.isAdmin ? 'inline-flex' : 'none';
+    if (transferTypeOption) transferTypeOption.style.display = AppState.isAdmin ? '' : 'none';
+    if (categoriesBtn) categoriesBtn.style.display = AppState.isAdmin ? '' : 'none';
+    if (scheduledBtn) scheduledBtn.style.display = AppState.isAdmin ? '' : 'none';
+    if (alertRulesBtn) alertRulesBtn.style.display = AppState.isAdmin ? '' : 'none';
 
     if (AppState.isAdmin) {
         // Admin puede ver ambos botones
@@ -182,6 +254,8 @@ function showLoginScreen() {
     AppState.user = null;
     AppState.userProfile = null;
     AppState.isAdmin = false;
+    AppState.alerts = [];
+    renderAlertBanners();
 }
 
 /**
@@ -200,18 +274,23 @@ async function loadDashboard() {
     showLoading(true);
 
     try {
-        // Cargar estadísticas y movimientos en paralelo
-        const [stats, movements] = await Promise.all([
+        // Cargar estadísticas, saldos por cuenta, movimientos y cola offline en paralelo
+        const [stats, accountBalances, movements, offlineQueue] = await Promise.all([
             getStatistics(),
-            getMovements({ limit: 50 })
+            getAccountBalances(),
+            getMovements({ limit: 50 }),
+            getQueuedMovements(AppState.userProfile?.id)
         ]);
 
         AppState.stats = stats;
+        AppState.accountBalances = accountBalances;
         AppState.movements = movements;
+        AppState.offlineQueue = offlineQueue;
 
         renderBalance(stats);
-        renderMovements(movements);
+        renderAccountBalances(accountBalances);
         renderCharts(movements);
+        await loadMovementsList(true);
     } catch (error) {
         console.error('Error cargando dashboard:', error);
         showToast('Error al cargar datos', 'error');
@@ -220,6 +299,85 @@ async function loadDashboard() {
     }
 }
 
+/**
+ * Filtros de la lista de movimientos para getMovements
+ * (desktop lo redefine con los filtros de su vista de movimientos)
+ * @returns {Object}
+ */
+function getListQuery() {
+    const query = AppState.accountFilter ? { cuentaId: AppState.accountFilter } : {};
+    if (AppState.filter === 'RECHAZADO') query.verified = 'RECHAZADO';
+    else if (AppState.filter !== 'TODOS') query.tipo = AppState.filter;
+    return query;
+}
+
+/**
+ * Carga la lista de movimientos página a página
+ * @param {boolean} reset - Volver a la primera página (cambio de filtros o recarga)
+ */
+async function loadMovementsList(reset = false) {
+    const list = AppState.list;
+    if (!reset && (list.loading || !list.hasMore)) return;
+
+    // Las respuestas de peticiones anteriores a un reset se descartan
+    const requestId = ++list.requestId;
+    list.loading = true;
+
+    // Con otros filtros la selección anterior ya no es visible
+    if (reset) AppState.selection.clear();
+
+    try {
+        const pageSize = CONFIG.MOVEMENTS_PAGE_SIZE || 25;
+        const query = { ...getListQuery(), limit: pageSize };
+        const current = reset ? [] : list.movements;
+
+        if (!query.orderBy || query.orderBy === 'created_at') {
+            query.cursor = reset ? null : list.cursor;
+        } else {
+            query.offset = current.length;
+        }
+
+        const page = await getMovements(query);
+        if (requestId !== list.requestId) return;
+
+        list.movements = current.concat(page);
+        list.cursor = getNextCursor(page) || list.cursor;
+        list.hasMore = page.length === pageSize;
+    } finally {
+        if (requestId === list.requestId) list.loading = false;
+    }
+
+    renderMovements(list.movements);
+    observeListSentinel();
+}
+
+/**
+ * Observa el elemento centinela al final de la lista para cargar la página siguiente
+ */
+function observeListSentinel() {
+    if (AppState.listObserver) AppState.listObserver.disconnect();
+
+    const sentinel = document.getElementById('movements-sentinel');
+    if (!sentinel || !AppState.list.hasMore || !('IntersectionObserver' in window)) return;
+
+    AppState.listObserver = new IntersectionObserver((entries) => {
+        if (entries.some(e => e.isIntersecting)) loadMovementsList();
+    }, { rootMargin: '200px' });
+    AppState.listObserver.observe(sentinel);
+}
+
+/**
+ * Busca un movimiento cargado (lista paginada, resumen del dashboard o adjunto repetido)
+ * @param {string} id - ID del movimiento
+ * @returns {Object|undefined}
+ */
+function findMovement(id) {
+    return AppState.list.movements.find(m => m.id === id) ||
+        AppState.movements.find(m => m.id === id) ||
+        AppState.attachments.flatMap(a => a.matches || []).find(m => m.id === id) ||
+        (AppState.selectedMovement?.id === id ? AppState.selectedMovement : null);
+}
+
 /**
  * Muestra un diálogo de confirmación personalizado
  * @param {string} title - Título del modal
@@ -268,6 +426,68 @@ function showConfirm(title, message, icon = 'fa-question-circle') {
     });
 }
 
+/**
+ * Muestra el diálogo de confirmación pidiendo un texto obligatorio
+ * @param {string} title - Título del modal
+ * @param {string} message - Mensaje del modal
+ * @param {string} placeholder - Texto de ayuda del campo
+ * @param {string} icon - Icono FontAwesome (opcional)
+ * @returns {Promise<string|null>} - Texto ingresado o null si se cancela
+ */
+function showPrompt(title, message, placeholder = '', icon = 'fa-question-circle') {
+    return new Promise((resolve) => {
+        const modal = document.getElementById('confirm-modal-overlay');
+        const titleEl = document.getElementById('confirm-title');
+        const messageEl = document.getElementById('confirm-message');
+        const iconEl = modal?.querySelector('.confirm-icon i');
+        const input = document.getElementById('confirm-input');
+        const btnOk = document.getElementById('confirm-ok');
+        const btnCancel = document.getElementById('confirm-cancel');
+
+        if (!modal || !input || !btnOk || !btnCancel) {
+            const value = prompt(message);
+            resolve(value && value.trim() ? value.trim() : null);
+            return;
+        }
+
+        titleEl.textContent = title;
+        messageEl.textContent = message;
+        if (iconEl) iconEl.className = `fas ${icon}`;
+        input.value = '';
+        input.placeholder = placeholder;
+        input.hidden = false;
+
+        modal.classList.add('active');
+        setTimeout(() => input.focus(), 100);
+
+        const onOk = () => {
+            const value = input.value.trim();
+            if (!value) {
+                showToast('Este campo es obligatorio', 'error');
+                input.focus();
+                return;
+            }
+            cleanup();
+            resolve(value);
+        };
+
+        const onCancel = () => {
+            cleanup();
+            resolve(null);
+        };
+
+        const cleanup = () => {
+            modal.classList.remove('active');
+            input.hidden = true;
+            btnOk.removeEventListener('click', onOk);
+            btnCancel.removeEventListener('click', onCancel);
+        };
+
+        btnOk.addEventListener('click', onOk);
+        btnCancel.addEventListener('click', onCancel);
+    });
+}
+
 // ============================================
 // RENDERIZADO
 // ============================================
@@ -303,26 +523,106 @@ function renderBalance(stats) {
         }
     }
 }
-function renderCharts(movements) {
+
+/**
+ * Saldo de cada cuenta bajo el balance general
+ * Con una sola cuenta no aporta nada y se oculta
+ * @param {Array} balances - Resultado de getAccountBalances()
+ */
+function renderAccountBalances(balances) {
+    const container = document.getElementById('account-balances');
+    if (!container) return;
+
+    if (!balances || balances.length < 2) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.style.display = '';
+    container.innerHTML = balances.map(account => {
+        const type = ACCOUNT_TYPES[account.tipo] || ACCOUNT_TYPES.BILLETERA;
+        const active = AppState.accountFilter === account.cuenta_id;
+        return `
+      <button type="button" class="account-chip ${active ? 'active' : ''}" onclick="setAccountFilter('${active ? '' : account.cuenta_id}')" title="Ver movimientos de ${escapeHtml(account.nombre)}">
+        <span class="account-chip-name"><i class="fas ${type.icon}"></i> ${escapeHtml(account.nombre)}</span>
+        <span class="account-chip-balance ${account.balance >= 0 ? 'positive' : 'negative'}">${formatCurrency(account.balance)}</span>
+        ${account.total_pendiente ? `<span class="account-chip-pending"><i class="fas fa-clock"></i> ${formatCurrency(account.total_pendiente)}</span>` : ''}
+      </button>
+    `;
+    }).join('');
+}
+
+/**
+ * Llena los selectores de cuenta (formulario, filtro de lista y reporte)
+ */
+function renderAccountSelectors() {
+    renderAccountOptions(document.getElementById('input-cuenta'), { placeholder: 'Selecciona la cuenta' });
+    renderAccountOptions(document.getElementById('input-cuenta-destino'), { placeholder: 'Selecciona la cuenta destino' });
+    renderAccountOptions(document.getElementById('filter-account'), { allLabel: 'Todas las cuentas', selected: AppState.accountFilter });
+    renderAccountOptions(document.getElementById('pdf-account'), { allLabel: 'Todas las cuentas' });
+
+    // Con una sola cuenta el filtro no tiene sentido
+    const filterGroup = document.getElementById('filter-account-group');
+    if (filterGroup) filterGroup.style.display = getActiveAccounts().length > 1 ? '' : 'none';
+}
+
+/**
+ * Filtra la lista de movimientos por cuenta
+ * @param {string} cuentaId - ID de la cuenta ('' = todas)
+ */
+function setAccountFilter(cuentaId) {
+    AppState.accountFilter = cuentaId || '';
+    const select = document.getElementById('filter-account');
+    if (select) select.value = AppState.accountFilter;
+    renderAccountBalances(AppState.accountBalances);
+    loadMovementsList(true);
+}
+
+// Presentación por tipo de movimiento
+const MOVEMENT_TYPES = {
+    INGRESO: { label: 'Ingreso', className: 'income', icon: 'arrow-down' },
+    EGRESO: { label: 'Egreso', className: 'expense', icon: 'arrow-up' },
+    TRANSFERENCIA: { label: 'Transferencia', className: 'transfer', icon: 'right-left' }
+};
+
+/**
+ * Clase, icono y signo con que se muestra un movimiento
+ * @param {Object} movement - Movimiento (o entrada de la cola offline)
+ * @param {string|null} cuentaId - Cuenta desde la que se mira (cambia el signo de las transferencias)
+ * @returns {Object} - { label, className, icon, sign }
+ */
+function getMovementDisplay(movement, cuentaId = null) {
+    const type = MOVEMENT_TYPES[movement.tipo] || MOVEMENT_TYPES.EGRESO;
+    const sign = getMovementSign(movement, cuentaId);
+    return { ...type, sign: sign > 0 ? '+' : sign < 0 ? '-' : '' };
+}
+
+let chartRequestId = 0;
+
+async function renderCharts(movements) {
     const ctx = document.getElementById('expenses-chart');
     if (!ctx) return;
 
+    // Egresos del mes por categoría (sin rechazados): los movimientos cargados
+    // son solo los últimos del dashboard, así que el total sale de la base
+    const requestId = ++chartRequestId;
+    const { desde, hasta } = getMonthRange();
+    const breakdown = await getCategoryTotals(desde, hasta, 'EGRESO');
+    if (requestId !== chartRequestId) return;
+
     // Si ya existe un chart, destruirlo para recrearlo
     if (AppState.chart) {
         AppState.chart.destroy();
     }
 
-    // Datos simplificados: Ingresos vs Egresos
-    const income = movements.filter(m => m.tipo === 'INGRESO').reduce((acc, m) => acc + (parseFloat(m.monto) || 0), 0);
-    const expense = movements.filter(m => m.tipo === 'EGRESO').reduce((acc, m) => acc + (parseFloat(m.monto) || 0), 0);
-
     AppState.chart = new Chart(ctx, {
         type: 'doughnut',
         data: {
-            labels: ['Ingresos', 'Egresos'],
+            labels: breakdown.map(c => c.nombre),
             datasets: [{
-                data: [income, expense],
-                backgroundColor: ['#10B981', '#EF4444'],
+                data: breakdown.map(c => c.total),
+                backgroundColor: breakdown.map(c => c.color),
                 borderWidth: 0,
                 hoverOffset: 4
             }]
@@ -345,17 +645,32 @@ function renderCharts(movements) {
     });
 }
 
+/**
+ * Clip de adjuntos en las tarjetas (con la cantidad cuando hay más de uno)
+ * @param {number} count - Cantidad de adjuntos
+ * @returns {string} - HTML
+ */
+function renderAttachmentIcon(count) {
+    if (!count) return '';
+    return `<span class="movement-attachment"><i class="fas fa-paperclip"></i>${count > 1 ? `<span class="movement-attachment-count">${count}</span>` : ''}</span>`;
+}
+
 function renderMovements(movements) {
     const container = document.getElementById('movements-list');
     if (!container) return;
 
-    // Filtrar si es necesario
-    let filtered = movements;
+    // El filtro por tipo ya se aplicó en el servidor; solo falta la cola offline
+    const filtered = movements;
+    let queued = AppState.offlineQueue || [];
     if (AppState.filter !== 'TODOS') {
-        filtered = movements.filter(m => m.tipo === AppState.filter);
+        // Los movimientos en cola nunca están rechazados
+        queued = queued.filter(e => e.tipo === AppState.filter);
+    }
+    if (AppState.accountFilter) {
+        queued = queued.filter(e => e.cuenta_id === AppState.accountFilter);
     }
 
-    if (filtered.length === 0) {
+    if (filtered.length === 0 && queued.length === 0) {
         container.innerHTML = `
       <div class="empty-state">
         <div class="empty-state-icon">
@@ -368,34 +683,81 @@ function renderMovements(movements) {
         return;
     }
 
-    container.innerHTML = filtered.map(mov => {
+    container.innerHTML = queued.map(renderQueuedMovementCard).join('') + filtered.map(mov => {
         const editCheck = canEditMovement(mov, AppState.movements);
         const canEdit = editCheck.canEdit;
         const isPending = mov.verified === 'PENDIENTE';
+        const isRejected = mov.verified === 'RECHAZADO';
+        const selectable = AppState.selectMode && isPending;
+        const selected = selectable && AppState.selection.has(mov.id);
+        const display = getMovementDisplay(mov, AppState.accountFilter);
+        const accountLabel = AppState.accounts.length > 1 ? getMovementAccountLabel(mov) : '';
+        const category = getCategory(mov.categoria_id);
 
         return `
-      <div class="movement-card ${canEdit ? 'editable' : ''} ${isPending ? 'pending' : ''}" data-id="${mov.id}" onclick="showMovementDetail('${mov.id}')">
-        <div class="movement-icon ${mov.tipo === 'INGRESO' ? 'income' : 'expense'}">
-          <i class="fas fa-${mov.tipo === 'INGRESO' ? 'arrow-down' : 'arrow-up'}"></i>
+      <div class="movement-card ${canEdit ? 'editable' : ''} ${isPending ? 'pending' : ''} ${isRejected ? 'rejected' : ''} ${selectable ? 'selectable' : ''} ${selected ? 'selected' : ''}" data-id="${mov.id}" onclick="${selectable ? `toggleMovementSelection('${mov.id}')` : `showMovementDetail('${mov.id}')`}">
+        ${selectable ? '<span class="select-check"><i class="fas fa-check"></i></span>' : ''}
+        <div class="movement-icon ${display.className}">
+          <i class="fas fa-${display.icon}"></i>
         </div>
         <div class="movement-info">
           <div class="movement-motivo">
             ${escapeHtml(mov.motivo)}
             ${isPending ? '<span class="pending-badge"><i class="fas fa-clock"></i> Pendiente</span>' : ''}
+            ${isRejected ? '<span class="rejected-badge"><i class="fas fa-ban"></i> Rechazado</span>' : ''}
+            ${mov.auto_generado ? '<span class="auto-badge" title="Generado automáticamente"><i class="fas fa-rotate"></i> Programado</span>' : ''}
           </div>
           <div class="movement-date">
             ${formatDate(mov.fecha, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
             ${mov.daviplata_usuarios ? ` · ${formatDisplayName(mov.daviplata_usuarios.nombre || mov.daviplata_usuarios.email.split('@')[0])}` : ''}
+            ${accountLabel ? ` · ${escapeHtml(accountLabel)}` : ''}
+            ${category ? `<span class="category-tag" style="--category-color: ${category.color}">${escapeHtml(category.nombre)}</span>` : ''}
           </div>
         </div>
-        <div class="movement-amount ${mov.tipo === 'INGRESO' ? 'income' : 'expense'}">
-          ${mov.tipo === 'INGRESO' ? '+' : '-'}${formatCurrency(mov.monto)}
+        <div class="movement-amount ${display.className}">
+          ${display.sign}${formatMovementAmount(mov)}
+          ${isForeignCurrency(mov) ? `<span class="movement-amount-base">${formatMovementBaseAmount(mov)}</span>` : ''}
         </div>
-        ${mov.comprobante_url ? '<i class="fas fa-paperclip movement-attachment"></i>' : ''}
+        ${renderAttachmentIcon(getMovementAttachments(mov).length)}
         ${canEdit ? '<i class="fas fa-pen movement-edit-icon"></i>' : ''}
       </div>
     `;
-    }).join('');
+    }).join('') + (AppState.list.hasMore ? `
+      <div class="list-sentinel" id="movements-sentinel">
+        <i class="fas fa-spinner fa-spin"></i> Cargando más...
+      </div>
+    ` : '');
+
+    updateBulkBar();
+}
+
+/**
+ * Tarjeta de un movimiento guardado en la cola offline
+ * @param {Object} entry - Entrada de la cola (IndexedDB)
+ */
+function renderQueuedMovementCard(entry) {
+    const display = getMovementDisplay(entry, AppState.accountFilter);
+    return `
+      <div class="movement-card queued" data-id="${entry.id}" onclick="showToast('Se enviará automáticamente al recuperar la conexión', 'warning')">
+        <div class="movement-icon ${display.className}">
+          <i class="fas fa-${display.icon}"></i>
+        </div>
+        <div class="movement-info">
+          <div class="movement-motivo">
+            ${escapeHtml(entry.motivo)}
+            <span class="queued-badge"><i class="fas fa-cloud-upload-alt"></i> En cola</span>
+          </div>
+          <div class="movement-date">
+            ${formatDate(entry.fecha, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+          </div>
+        </div>
+        <div class="movement-amount ${display.className}">
+          ${display.sign}${formatMovementAmount(entry)}
+          ${isForeignCurrency(entry) ? `<span class="movement-amount-base">${formatMovementBaseAmount(entry)}</span>` : ''}
+        </div>
+        ${renderAttachmentIcon(entry.files ? entry.files.length : (entry.file ? 1 : 0))}
+      </div>
+    `;
 }
 
 // ============================================
@@ -466,15 +828,74 @@ function setupEventListeners() {
     document.querySelectorAll('.type-option').forEach(btn => {
         btn.addEventListener('click', () => {
             // Solo permitir si es admin o es ingreso
-            if (!AppState.isAdmin && btn.dataset.type === 'EGRESO') {
-                showToast('Solo administradores pueden registrar egresos', 'error');
+            if (!AppState.isAdmin && btn.dataset.type !== 'INGRESO') {
+                showToast(btn.dataset.type === 'TRANSFERENCIA'
+                    ? 'Solo administradores pueden registrar transferencias'
+                    : 'Solo administradores pueden registrar egresos', 'error');
                 return;
             }
             document.querySelectorAll('.type-option').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
+            updateTransferFields();
+            updateCategoryField();
+            recheckDuplicateReceipts();
         });
     });
 
+    // Categoría: presupuesto disponible del mes
+    document.getElementById('input-categoria')?.addEventListener('change', updateCategoryBudgetHint);
+
+    // Moneda: tasa de cambio y equivalente en USD
+    renderCurrencyOptions(document.getElementById('input-moneda'));
+    document.getElementById('input-moneda')?.addEventListener('change', handleCurrencyChange);
+    document.getElementById('input-monto')?.addEventListener('input', updateCurrencyFields);
+    document.getElementById('input-tasa')?.addEventListener('input', updateCurrencyFields);
+
+    // Comprobantes parecidos: dependen del tipo y del monto
+    ['input-monto', 'input-moneda', 'input-tasa'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', recheckDuplicateReceipts);
+    });
+
+    // Administración de categorías (solo admin)
+    document.getElementById('btn-categories')?.addEventListener('click', openCategoriesModal);
+
+    // Movimientos programados (solo admin)
+    document.getElementById('btn-scheduled')?.addEventListener('click', openScheduledModal);
+    document.getElementById('scheduled-form')?.addEventListener('submit', handleCreateScheduled);
+    document.getElementById('sched-tipo')?.addEventListener('change', (e) => {
+        renderCategoryOptions(document.getElementById('sched-categoria'), { tipo: e.target.value });
+    });
+
+    const scheduledOverlay = document.getElementById('scheduled-modal-overlay');
+    if (scheduledOverlay) {
+        scheduledOverlay.addEventListener('click', (e) => {
+            if (e.target === scheduledOverlay) {
+                closeScheduledModal();
+            }
+        });
+    }
+
+    const categoriesOverlay = document.getElementById('categories-modal-overlay');
+    if (categoriesOverlay) {
+        categoriesOverlay.addEventListener('click', (e) => {
+            if (e.target === categoriesOverlay) {
+                closeCategoriesModal();
+            }
+        });
+    }
+
+    // Reglas de alerta (solo admin)
+    document.getElementById('btn-alert-rules')?.addEventListener('click', openAlertRulesModal);
+
+    const alertRulesOverlay = document.getElementById('alert-rules-modal-overlay');
+    if (alertRulesOverlay) {
+        alertRulesOverlay.addEventListener('click', (e) => {
+            if (e.target === alertRulesOverlay) {
+                closeAlertRulesModal();
+            }
+        });
+    }
+
     // Upload de archivo
     const fileCamera = document.getElementById('file-camera');
     const fileGallery = document.getElementById('file-gallery');
@@ -492,13 +913,16 @@ function setupEventListeners() {
         form.addEventListener('submit', handleFormSubmit);
     }
 
+    // Filtro por cuenta
+    document.getElementById('filter-account')?.addEventListener('change', (e) => setAccountFilter(e.target.value));
+
     // Filtros
     document.querySelectorAll('.filter-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             AppState.filter = btn.dataset.filter;
-            renderMovements(AppState.movements);
+            loadMovementsList(true);
         });
     });
 
@@ -510,9 +934,17 @@ function setupEventListeners() {
 
     const btnGeneratePdf = document.getElementById('btn-generate-pdf');
     if (btnGeneratePdf) {
-        btnGeneratePdf.addEventListener('click', handleGeneratePDF);
+        btnGeneratePdf.addEventListener('click', handleExportReport);
     }
 
+    // El modo de reporte (dispositivo/impresora) solo aplica al PDF
+    document.querySelectorAll('input[name="export-format"]').forEach(input => {
+        input.addEventListener('change', () => {
+            const modeGroup = document.getElementById('pdf-mode-group');
+            if (modeGroup) modeGroup.style.display = input.value === 'pdf' ? '' : 'none';
+        });
+    });
+
     // Modal de detalle
     const detailOverlay = document.getElementById('detail-modal-overlay');
     if (detailOverlay) {
@@ -522,6 +954,20 @@ function setupEventListeners() {
             }
         });
     }
+
+    // Selección múltiple (verificación masiva)
+    document.getElementById('btn-select-mode')?.addEventListener('click', toggleSelectMode);
+    document.getElementById('btn-bulk-verify')?.addEventListener('click', handleBulkVerify);
+    document.getElementById('btn-bulk-cancel')?.addEventListener('click', clearSelection);
+
+    const bulkSummaryOverlay = document.getElementById('bulk-summary-modal-overlay');
+    if (bulkSummaryOverlay) {
+        bulkSummaryOverlay.addEventListener('click', (e) => {
+            if (e.target === bulkSummaryOverlay) {
+                closeBulkSummary();
+            }
+        });
+    }
 }
 
 // ============================================
@@ -563,6 +1009,9 @@ async function handleLogin(e) {
 
 async function handleLogout() {
     showLoading(true, 'Cerrando sesión...');
+    teardownRealtime();
+    // El dispositivo deja de recibir los avisos de este usuario
+    await disablePushNotifications();
     await signOut();
     showLoading(false);
     showLoginScreen();
@@ -591,9 +1040,20 @@ function openNewMovementModal(tipo = null) {
         // Limpiar formulario
         document.getElementById('movement-form')?.reset();
         clearFilePreview();
-        AppState.selectedFile = null;
         AppState.editingMovementId = null;
 
+        // Cuenta: la filtrada en la lista o la primera
+        const cuentaSelect = document.getElementById('input-cuenta');
+        if (cuentaSelect) cuentaSelect.value = AppState.accountFilter || getActiveAccounts()[0]?.id || '';
+        const destinoSelect = document.getElementById('input-cuenta-destino');
+        if (destinoSelect) destinoSelect.value = '';
+        updateTransferFields();
+        updateCategoryField('');
+
+        const monedaSelect = document.getElementById('input-moneda');
+        if (monedaSelect) monedaSelect.value = CONFIG.CURRENCY;
+        updateCurrencyFields();
+
         // Título según acción
         if (modalTitle) {
             modalTitle.innerHTML = '<i class="fas fa-plus-circle"></i> Nuevo Movimiento';
@@ -625,29 +1085,25 @@ function openEditMovementModal(movement) {
     document.getElementById('input-monto').value = movement.monto;
     document.getElementById('input-motivo').value = movement.motivo;
 
-    AppState.editingMovementId = movement.id;
-    AppState.selectedFile = null;
+    const monedaSelect = document.getElementById('input-moneda');
+    if (monedaSelect) monedaSelect.value = getMovementCurrency(movement);
+    const tasaInput = document.getElementById('input-tasa');
+    if (tasaInput) tasaInput.value = isForeignCurrency(movement) ? movement.tasa_cambio : '';
+    updateCurrencyFields();
 
-    // Mostrar preview si ya tiene imagen
-    const previewContainer = document.getElementById('file-preview-container');
-    if (previewContainer) {
-        if (movement.comprobante_url) {
-            if (movement.comprobante_url.toLowerCase().endsWith('.pdf')) {
-                previewContainer.innerHTML = `
-                    <div class="file-name-badge">
-                        <i class="fas fa-file-pdf"></i>
-                        <span>Documento PDF existente</span>
-                    </div>
-                `;
-            } else {
-                previewContainer.innerHTML = `
-                    <img src="${movement.comprobante_url}" class="upload-preview-img" alt="Preview" onclick="window.open('${movement.comprobante_url}', '_blank')">
-                `;
-            }
-        } else {
-            previewContainer.innerHTML = '';
-        }
-    }
+    const cuentaSelect = document.getElementById('input-cuenta');
+    if (cuentaSelect) cuentaSelect.value = movement.cuenta_id || '';
+    const destinoSelect = document.getElementById('input-cuenta-destino');
+    if (destinoSelect) destinoSelect.value = movement.cuenta_destino_id || '';
+    updateTransferFields();
+
+    AppState.editingMovementId = movement.id;
+    updateCategoryField(movement.categoria_id || '');
+    // Adjuntos actuales (se pueden quitar o sumar nuevos)
+    clearFilePreview();
+    AppState.attachments = getMovementAttachments(movement).map(a => ({ ...a }));
+    renderAttachmentPreviews();
+    signAttachmentPreviews(AppState.attachments);
 
     // Título
     if (modalTitle) {
@@ -658,6 +1114,115 @@ function openEditMovementModal(movement) {
     showToast(editCheck.reason, 'success');
 }
 
+/**
+ * Muestra la cuenta destino solo en las transferencias
+ */
+function updateTransferFields() {
+    const isTransfer = document.querySelector('.type-option.active')?.dataset.type === 'TRANSFERENCIA';
+    const destinoGroup = document.getElementById('cuenta-destino-group');
+    const destinoSelect = document.getElementById('input-cuenta-destino');
+    const cuentaLabel = document.getElementById('input-cuenta-label');
+
+    if (destinoGroup) destinoGroup.style.display = isTransfer ? '' : 'none';
+    if (destinoSelect) destinoSelect.required = isTransfer;
+    if (cuentaLabel) cuentaLabel.textContent = isTransfer ? 'Cuenta origen' : 'Cuenta';
+}
+
+/**
+ * Muestra la tasa de cambio solo cuando la moneda no es la base
+ * y el equivalente en la moneda base del monto digitado
+ */
+function updateCurrencyFields() {
+    const moneda = document.getElementById('input-moneda')?.value || CONFIG.CURRENCY;
+    const isForeign = moneda !== CONFIG.CURRENCY;
+    const tasaGroup = document.getElementById('tasa-group');
+    const tasaInput = document.getElementById('input-tasa');
+    const montoInput = document.getElementById('input-monto');
+    const hint = document.getElementById('monto-base-hint');
+
+    if (tasaGroup) tasaGroup.style.display = isForeign ? '' : 'none';
+    if (tasaInput) tasaInput.required = isForeign;
+
+    if (montoInput) {
+        const decimals = getCurrencyDecimals(moneda);
+        montoInput.step = decimals ? (1 / 10 ** decimals).toFixed(decimals) : '1';
+        montoInput.min = montoInput.step;
+        montoInput.placeholder = (0).toFixed(decimals);
+    }
+
+    if (!hint) return;
+    const tasa = parseFloat(tasaInput?.value);
+    const monto = parseFloat(montoInput?.value);
+    hint.hidden = !isForeign || !tasa || !monto;
+    if (!hint.hidden) {
+        hint.textContent = `${formatMovementBaseAmount({ monto, moneda, tasa_cambio: tasa })} ${CONFIG.CURRENCY}`;
+    }
+}
+
+/**
+ * Al cambiar de moneda propone la última tasa usada para ella
+ */
+async function handleCurrencyChange() {
+    const moneda = document.getElementById('input-moneda')?.value || CONFIG.CURRENCY;
+    const tasaInput = document.getElementById('input-tasa');
+
+    if (tasaInput) tasaInput.value = '';
+    updateCurrencyFields();
+
+    const rate = await getLastExchangeRate(moneda);
+
+    // La moneda pudo cambiar mientras cargaba, o el usuario ya escribió una tasa
+    if (!rate || !tasaInput || tasaInput.value || document.getElementById('input-moneda')?.value !== moneda) return;
+    tasaInput.value = rate;
+    updateCurrencyFields();
+}
+
+/**
+ * Llena el selector de categoría según el tipo activo
+ * (las transferencias no llevan categoría)
+ * @param {string} selected - ID a seleccionar (por defecto, el elegido actualmente)
+ */
+function updateCategoryField(selected) {
+    const tipo = document.querySelector('.type-option.active')?.dataset.type;
+    const group = document.getElementById('categoria-group');
+    const select = document.getElementById('input-categoria');
+    if (!select) return;
+
+    const isTransfer = tipo === 'TRANSFERENCIA';
+    if (group) group.style.display = isTransfer ? 'none' : '';
+
+    renderCategoryOptions(select, { tipo, selected: selected ?? select.value });
+    updateCategoryBudgetHint();
+}
+
+/**
+ * Muestra bajo el selector lo que queda del presupuesto mensual de la categoría
+ */
+async function updateCategoryBudgetHint() {
+    const hint = document.getElementById('categoria-budget-hint');
+    if (!hint) return;
+
+    const tipo = document.querySelector('.type-option.active')?.dataset.type;
+    const categoriaId = document.getElementById('input-categoria')?.value || '';
+
+    if (tipo !== 'EGRESO' || !getCategory(categoriaId)?.presupuesto_mensual) {
+        hint.hidden = true;
+        return;
+    }
+
+    const previous = AppState.editingMovementId ? findMovement(AppState.editingMovementId) : null;
+    const budget = await checkCategoryBudget(categoriaId, 0, { previous });
+
+    // La categoría pudo cambiar mientras cargaba
+    if (document.getElementById('input-categoria')?.value !== categoriaId) return;
+
+    hint.hidden = !budget;
+    if (!budget) return;
+
+    hint.classList.toggle('over', budget.restante <= 0);
+    hint.innerHTML = `<i class="fas fa-chart-pie"></i> Quedan ${formatCurrency(Math.max(budget.restante, 0))} de ${formatCurrency(budget.presupuesto)} este mes`;
+}
+
 function closeModal() {
     const modal = document.getElementById('modal-overlay');
     if (modal) {
@@ -665,7 +1230,6 @@ function closeModal() {
         document.body.style.overflow = '';
         AppState.editingMovementId = null;
         clearFilePreview();
-        AppState.selectedFile = null;
     }
 }
 
@@ -673,99 +1237,378 @@ function closeModal() {
 // MANEJO DE ARCHIVOS
 // ============================================
 
+/**
+ * Agrega los archivos elegidos a los adjuntos del formulario
+ * Se pueden elegir varios a la vez y sumar más (cámara y galería) hasta CONFIG.MAX_ATTACHMENTS
+ */
 async function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = [...event.target.files];
+    // Vaciar el input para poder volver a elegir el mismo archivo
+    event.target.value = '';
+    if (!files.length) return;
+
+    const free = CONFIG.MAX_ATTACHMENTS - AppState.attachments.length;
+    if (files.length > free) {
+        showToast(`Puedes adjuntar hasta ${CONFIG.MAX_ATTACHMENTS} archivos por movimiento`, 'warning');
+    }
 
-    const isImage = file.type.startsWith('image/');
-    const isPdf   = file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+    const added = [];
+    for (let file of files.slice(0, Math.max(free, 0))) {
+        const isImage = file.type.startsWith('image/') || isHeicFile(file);
+        const isPdf   = file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
 
-    // Solo permitir imágenes y PDF
-    if (!isImage && !isPdf) {
-        showToast('Solo se permiten imágenes (JPG, PNG) o PDF', 'warning');
-        event.target.value = '';
-        return;
+        // Solo permitir imágenes y PDF
+        if (!isImage && !isPdf) {
+            showToast(`${escapeHtml(file.name)}: solo se permiten imágenes (JPG, PNG, HEIC) o PDF`, 'warning');
+            continue;
+        }
+
+        // Las fotos HEIC (iPhone) se pasan a JPEG para la vista previa, el OCR y las huellas
+        if (isHeicFile(file)) {
+            showLoading(true, 'Convirtiendo foto HEIC...');
+            try {
+                file = await normalizeHeicFile(file);
+            } catch (error) {
+                console.error('❌ Error convirtiendo HEIC:', error);
+                showToast(`${escapeHtml(file.name)}: no se pudo leer la foto HEIC`, 'error');
+                continue;
+            } finally {
+                showLoading(false);
+            }
+        }
+
+        added.push({
+            file,
+            nombre: file.name,
+            tipo: isPdf ? 'application/pdf' : file.type,
+            previewUrl: URL.createObjectURL(file),
+            hashes: null,
+            matches: []
+        });
     }
+    if (!added.length) return;
 
-    AppState.selectedFile = file;
+    AppState.attachments.push(...added);
+    renderAttachmentPreviews();
 
-    // Limpiar estado de otros botones de upload
-    document.querySelectorAll('.upload-option-item').forEach(el => el.classList.remove('has-file'));
+    // El OCR lee la primera imagen nueva; todas se revisan contra comprobantes ya registrados
+    const firstImage = added.find(a => !isPdfAttachment(a));
+    if (firstImage) suggestFromReceipt(firstImage);
+    added.forEach(checkDuplicateReceipt);
+}
 
-    // Marcar el botón actual
-    const optionItem = event.target.closest('.upload-option-item');
-    if (optionItem) optionItem.classList.add('has-file');
+/**
+ * Vista previa de los adjuntos del formulario: miniatura, posición y botón para quitar
+ */
+function renderAttachmentPreviews() {
+    document.querySelectorAll('.upload-option-item').forEach(el => el.classList.toggle('has-file', AppState.attachments.length > 0));
 
-    // Mostrar preview
     const previewContainer = document.getElementById('file-preview-container');
     if (!previewContainer) return;
 
-    if (isImage) {
-        const dataUrl = await readFileAsDataURL(file);
-        previewContainer.innerHTML = `<img src="${dataUrl}" class="upload-preview-img" alt="Preview" onclick="window.open('${dataUrl}', '_blank')">`;
-    } else if (isPdf) {
-        // On desktop show inline embed, on mobile just show the filename badge
-        const isDesktop = window.innerWidth >= 992;
-        const objectUrl = URL.createObjectURL(file);
-        if (isDesktop) {
-            previewContainer.innerHTML =
-                `<iframe src="${objectUrl}" style="width:100%;height:320px;border-radius:8px;border:1px solid var(--border)" title="PDF Preview"></iframe>
-                 <div class="file-name-badge"><i class="fas fa-file-pdf"></i> ${escapeHtml(file.name)} (${formatBytes(file.size)})</div>`;
-        } else {
-            previewContainer.innerHTML =
-                `<div class="file-name-badge"><i class="fas fa-file-pdf"></i> ${escapeHtml(file.name)} (${formatBytes(file.size)})</div>`;
-        }
+    let list = document.getElementById('attachment-list');
+    if (!list) {
+        list = document.createElement('div');
+        list.id = 'attachment-list';
+        list.className = 'attachment-list';
+        // Antes del estado del OCR
+        previewContainer.prepend(list);
     }
+
+    list.innerHTML = AppState.attachments.map((attachment, index) => {
+        const src = attachment.previewUrl || attachment.url;
+        const size = attachment.file ? ` (${formatBytes(attachment.file.size)})` : '';
+        return `
+          <div class="attachment-item">
+            <div class="attachment-row">
+              ${isPdfAttachment(attachment) ? `
+                <div class="attachment-thumb pdf" onclick="openAttachmentPreview(${index})">
+                  <i class="fas fa-file-pdf"></i>
+                </div>
+              ` : src ? `
+                <img src="${src}" class="attachment-thumb" alt="Adjunto ${index + 1}" onclick="openAttachmentPreview(${index})">
+              ` : `
+                <div class="attachment-thumb placeholder">
+                  <i class="fas fa-spinner fa-spin"></i>
+                </div>
+              `}
+              <div class="attachment-info">
+                <span class="attachment-name">${index + 1}. ${escapeHtml(attachment.nombre || 'Adjunto')}</span>
+                <span class="attachment-meta">${attachment.file ? `Nuevo${size}` : 'Guardado'}</span>
+              </div>
+              <button type="button" class="attachment-remove" onclick="removeAttachment(${index})" title="Quitar adjunto">
+                <i class="fas fa-times"></i>
+              </button>
+            </div>
+            ${attachment.matches?.length ? renderDuplicateWarning(attachment) : ''}
+          </div>
+        `;
+    }).join('');
 }
 
-function clearFilePreview() {
-    document.querySelectorAll('.upload-option-item').forEach(el => el.classList.remove('has-file'));
-    const previewContainer = document.getElementById('file-preview-container');
+/**
+ * Firma los adjuntos guardados del formulario para mostrar sus miniaturas
+ * El enlace solo se usa en pantalla: al guardar se conserva la ruta
+ * @param {Array} attachments - Adjuntos del formulario
+ */
+async function signAttachmentPreviews(attachments) {
+    const saved = attachments.filter(a => a.ruta && !a.url);
+    if (!saved.length) return;
 
-    // Limpiar inputs
-    const fileCamera = document.getElementById('file-camera');
-    const fileGallery = document.getElementById('file-gallery');
-    if (fileCamera) fileCamera.value = '';
-    if (fileGallery) fileGallery.value = '';
+    const urls = await createSignedReceiptUrls(saved.map(a => a.ruta));
+    saved.forEach(a => { a.url = urls[a.ruta] || null; });
+    if (saved.some(a => AppState.attachments.includes(a))) renderAttachmentPreviews();
+}
 
-    if (previewContainer) {
-        previewContainer.innerHTML = '';
+/**
+ * Abre un adjunto del formulario en otra pestaña
+ * @param {number} index - Posición en AppState.attachments
+ */
+function openAttachmentPreview(index) {
+    const attachment = AppState.attachments[index];
+    if (!attachment) return;
+
+    if (attachment.previewUrl) {
+        window.open(attachment.previewUrl, '_blank');
+    } else {
+        openSignedAttachment(attachment);
     }
 }
 
+/**
+ * Quita un adjunto del formulario (los ya guardados se quitan del movimiento al guardar)
+ * @param {number} index - Posición en AppState.attachments
+ */
+function removeAttachment(index) {
+    const [removed] = AppState.attachments.splice(index, 1);
+    if (removed?.previewUrl) URL.revokeObjectURL(removed.previewUrl);
+    renderAttachmentPreviews();
+}
+
+/**
+ * Calcula las huellas de un adjunto nuevo y avisa si ya se registró
+ * el mismo comprobante (o uno casi idéntico) en otro movimiento
+ * @param {Object} attachment - Adjunto nuevo (ver handleFileSelect)
+ */
+async function checkDuplicateReceipt(attachment) {
+    const hashes = await computeReceiptHashes(attachment.file);
+    if (!AppState.attachments.includes(attachment)) return;
+
+    // Se reutilizan al subir para no leer el archivo dos veces
+    attachment.hashes = hashes;
+
+    const matches = await findSimilarReceipts(hashes, AppState.editingMovementId, getDuplicateCheckMovement());
+    if (!AppState.attachments.includes(attachment) || !matches.length) return;
+
+    attachment.matches = matches;
+    renderAttachmentPreviews();
+}
+
+/**
+ * Tipo y monto en moneda base del formulario, para comparar comprobantes parecidos
+ * @returns {Object|null} - { tipo, monto_base } o null si aún no hay monto
+ */
+function getDuplicateCheckMovement() {
+    const tipo = document.querySelector('.type-option.active')?.dataset.type;
+    const monto = parseFloat(document.getElementById('input-monto')?.value);
+    if (!tipo || !monto) return null;
+
+    const moneda = document.getElementById('input-moneda')?.value || CONFIG.CURRENCY;
+    const tasa = moneda === CONFIG.CURRENCY ? 1 : parseFloat(document.getElementById('input-tasa')?.value);
+    if (!tasa) return null;
+
+    return { tipo, monto_base: getBaseAmount({ monto, tasa_cambio: tasa }) };
+}
+
+/**
+ * Vuelve a buscar comprobantes parecidos al cambiar el tipo o el monto
+ */
+async function recheckDuplicateReceipts() {
+    const checked = AppState.attachments.filter(a => a.hashes);
+    if (!checked.length) return;
+
+    const movement = getDuplicateCheckMovement();
+    await Promise.all(checked.map(async (attachment) => {
+        const matches = await findSimilarReceipts(attachment.hashes, AppState.editingMovementId, movement);
+        attachment.matches = matches;
+    }));
+    renderAttachmentPreviews();
+}
+
+/**
+ * Aviso de comprobante repetido bajo el adjunto
+ * @param {Object} attachment - Adjunto con sus huellas y los movimientos parecidos
+ * @returns {string} - HTML
+ */
+function renderDuplicateWarning(attachment) {
+    const { hashes, matches } = attachment;
+    const exact = matches.some(m => getMovementAttachments(m).some(a => a.hash && a.hash === hashes.hash));
+    return `
+      <div class="duplicate-warning">
+        <div class="duplicate-warning-title">
+          <i class="fas fa-copy"></i>
+          ${exact ? 'Este comprobante ya se registró' : 'Hay un comprobante casi idéntico ya registrado'}
+        </div>
+        ${matches.map(m => `
+          <a href="#" class="duplicate-warning-link" onclick="event.preventDefault(); showDuplicateMovement('${m.id}')">
+            ${getMovementDisplay(m).sign}${formatMovementAmount(m)} · ${escapeHtml(m.motivo || '')} · ${formatDate(m.fecha, { month: 'short', day: 'numeric', year: 'numeric' })}
+            ${m.verified === 'PENDIENTE' ? '<span class="pending-badge"><i class="fas fa-clock"></i> Pendiente</span>' : ''}
+          </a>
+        `).join('')}
+      </div>
+    `;
+}
+
+/**
+ * Abre el detalle del movimiento que ya tenía el comprobante
+ * (puede no estar en la página cargada de la lista)
+ * @param {string} id - ID del movimiento anterior
+ */
+async function showDuplicateMovement(id) {
+    // Los resultados de la búsqueda de duplicados no traen el usuario
+    if (!findMovement(id)?.daviplata_usuarios) {
+        const movement = await getMovementById(id);
+        if (!movement) {
+            showToast('No se pudo abrir el movimiento anterior', 'error');
+            return;
+        }
+        AppState.attachments.forEach(a => {
+            if (a.matches) a.matches = a.matches.map(m => m.id === id ? movement : m);
+        });
+    }
+    showMovementDetail(id);
+}
+
+/**
+ * Lee el comprobante con OCR y propone monto y motivo
+ * Solo rellena campos vacíos; lo sugerido queda resaltado hasta que el usuario lo cambie
+ * @param {Object} attachment - Adjunto nuevo con la imagen (ver handleFileSelect)
+ */
+async function suggestFromReceipt(attachment) {
+    // Al editar el formulario ya viene lleno
+    if (!CONFIG.OCR_ENABLED || AppState.editingMovementId) return;
+
+    setOcrStatus('loading', 'Leyendo comprobante...');
+    const result = await readReceipt(attachment.file, (progress) => {
+        if (AppState.attachments.includes(attachment)) setOcrStatus('loading', `Leyendo comprobante... ${Math.round(progress * 100)}%`);
+    });
+
+    // Se quitó el adjunto o se cerró el formulario mientras leía
+    if (!AppState.attachments.includes(attachment)) return;
+
+    if (!result) {
+        setOcrStatus('empty', 'No se pudo leer el comprobante; ingresa los datos a mano');
+        return;
+    }
+
+    const suggested = [];
+    const montoInput = document.getElementById('input-monto');
+    const monedaSelect = document.getElementById('input-moneda');
+    const motivoInput = document.getElementById('input-motivo');
+
+    if (result.monto && montoInput && !montoInput.value) {
+        if (result.moneda && CONFIG.CURRENCIES[result.moneda] && monedaSelect && monedaSelect.value !== result.moneda) {
+            monedaSelect.value = result.moneda;
+            handleCurrencyChange();
+            markOcrSuggestion(monedaSelect);
+        }
+        montoInput.value = result.monto;
+        markOcrSuggestion(montoInput);
+        updateCurrencyFields();
+        recheckDuplicateReceipts();
+        suggested.push('monto');
+    }
+
+    const details = [
+        result.referencia ? `Ref. ${result.referencia}` : '',
+        result.fecha ? formatDate(result.fecha, { day: 'numeric', month: 'short', year: 'numeric' }) : ''
+    ].filter(Boolean).join(' · ');
+
+    if (details && motivoInput && !motivoInput.value.trim()) {
+        motivoInput.value = `Comprobante ${details}`;
+        markOcrSuggestion(motivoInput);
+        suggested.push('motivo');
+    }
+
+    setOcrStatus(suggested.length ? 'done' : 'empty', suggested.length
+        ? `Se sugirió ${suggested.join(' y ')} desde el comprobante. Revísalo antes de guardar`
+        : 'No se encontraron datos para sugerir en el comprobante');
+}
+
+/**
+ * Resalta un campo rellenado por el OCR hasta que el usuario lo modifique
+ * @param {HTMLElement} input - Campo sugerido
+ */
+function markOcrSuggestion(input) {
+    input.classList.add('ocr-suggested');
+    const clear = () => input.classList.remove('ocr-suggested');
+    input.addEventListener('input', clear, { once: true });
+    input.addEventListener('change', clear, { once: true });
+}
+
+/**
+ * Estado del OCR bajo la vista previa del comprobante
+ * @param {string} state - loading | done | empty
+ * @param {string} message - Texto a mostrar
+ */
+function setOcrStatus(state, message) {
+    const previewContainer = document.getElementById('file-preview-container');
+    if (!previewContainer) return;
+
+    let status = document.getElementById('ocr-status');
+    if (!status) {
+        status = document.createElement('div');
+        status.id = 'ocr-status';
+        previewContainer.appendChild(status);
+    }
+
+    const icons = { loading: 'fa-spinner fa-spin', done: 'fa-wand-magic-sparkles', empty: 'fa-circle-info' };
+    status.className = `ocr-status ${state}`;
+    status.innerHTML = `<i class="fas ${icons[state]}"></i> ${escapeHtml(message)}`;
+}
+
+function clearFilePreview() {
+    // Cerrar el formulario detiene la subida en curso
+    AppState.uploadController?.abort();
+    document.querySelectorAll('.upload-option-item').forEach(el => el.classList.remove('has-file'));
+    AppState.attachments.forEach(a => a.previewUrl && URL.revokeObjectURL(a.previewUrl));
+    AppState.attachments = [];
+    const previewContainer = document.getElementById('file-preview-container');
+
+    // Limpiar inputs
+    const fileCamera = document.getElementById('file-camera');
+    const fileGallery = document.getElementById('file-gallery');
+    if (fileCamera) fileCamera.value = '';
+    if (fileGallery) fileGallery.value = '';
+
+    if (previewContainer) {
+        previewContainer.innerHTML = '';
+    }
+
+    document.querySelectorAll('.ocr-suggested').forEach(el => el.classList.remove('ocr-suggested'));
+}
+
+// ============================================
+// ENVÍO DE FORMULARIO
 // ============================================
-// ENVÍO DE FORMULARIO
-// ============================================
 
 async function handleFormSubmit(event) {
     event.preventDefault();
 
     // ── Guard: prevenir doble envío ──
     if (AppState.submitting) return;
-    AppState.submitting = true;
-
-    // Bloquear botón y mostrar spinner
-    const submitBtn = event.target.querySelector('[type="submit"]');
-    let originalBtnContent = null;
-    if (submitBtn) {
-        originalBtnContent = submitBtn.innerHTML;
-        submitBtn.disabled = true;
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando…';
-    }
-
-    const releaseLock = () => {
-        AppState.submitting = false;
-        if (submitBtn) {
-            submitBtn.disabled = false;
-            submitBtn.innerHTML = originalBtnContent;
-        }
-    };
 
     // Obtener valores
     const activeType = document.querySelector('.type-option.active');
     const tipo = activeType?.dataset.type;
     const monto = parseFloat(document.getElementById('input-monto')?.value);
+    const moneda = document.getElementById('input-moneda')?.value || CONFIG.CURRENCY;
+    const tasaCambio = moneda === CONFIG.CURRENCY ? 1 : parseFloat(document.getElementById('input-tasa')?.value);
     const motivo = document.getElementById('input-motivo')?.value?.trim();
+    const cuentaId = document.getElementById('input-cuenta')?.value || '';
+    const isTransfer = tipo === 'TRANSFERENCIA';
+    const cuentaDestinoId = isTransfer ? (document.getElementById('input-cuenta-destino')?.value || '') : null;
+    const categoriaId = isTransfer ? null : (document.getElementById('input-categoria')?.value || null);
 
     // Validaciones
     if (!tipo) {
@@ -773,9 +1616,21 @@ async function handleFormSubmit(event) {
         return;
     }
 
-    // Verificar rol para egresos
-    if (tipo === 'EGRESO' && !AppState.isAdmin) {
-        showToast('Solo administradores pueden registrar egresos', 'error');
+    // Verificar rol para egresos y transferencias
+    if (tipo !== 'INGRESO' && !AppState.isAdmin) {
+        showToast(isTransfer
+            ? 'Solo administradores pueden registrar transferencias'
+            : 'Solo administradores pueden registrar egresos', 'error');
+        return;
+    }
+
+    if (!cuentaId) {
+        showToast(isTransfer ? 'Selecciona la cuenta origen' : 'Selecciona la cuenta', 'error');
+        return;
+    }
+
+    if (isTransfer && (!cuentaDestinoId || cuentaDestinoId === cuentaId)) {
+        showToast('Selecciona una cuenta destino distinta de la de origen', 'error');
         return;
     }
 
@@ -784,28 +1639,63 @@ async function handleFormSubmit(event) {
         return;
     }
 
+    if (!tasaCambio || tasaCambio <= 0) {
+        showToast(`Ingresa la tasa de cambio (${moneda} por 1 ${CONFIG.CURRENCY})`, 'error');
+        return;
+    }
+
     if (!motivo) {
         showToast('Ingresa el motivo del movimiento', 'error');
         return;
     }
 
+    // Las validaciones van antes del bloqueo: un return ahí no debe dejar el botón deshabilitado
+    AppState.submitting = true;
+
+    // Bloquear botón y mostrar spinner
+    const submitBtn = event.target.querySelector('[type="submit"]');
+    let originalBtnContent = null;
+    if (submitBtn) {
+        originalBtnContent = submitBtn.innerHTML;
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Guardando…';
+    }
+
+    const releaseLock = () => {
+        AppState.submitting = false;
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = originalBtnContent;
+        }
+    };
+
     const isEditing = !!AppState.editingMovementId;
 
+    // Definir estado de verificación
+    // Si lo edita/crea un ADMIN se autoverifica. Si es un USUARIO normal, siempre pasa a PENDIENTE.
+    const verified = AppState.isAdmin ? 'VERIFICADO' : 'PENDIENTE';
+
     showLoading(true, isEditing ? 'Actualizando...' : 'Guardando...');
 
     try {
-        let comprobanteUrl = null;
+        // Sin conexión: los movimientos nuevos se guardan en la cola offline
+        if (!isEditing && !navigator.onLine) {
+            await saveMovementOffline({ tipo, monto, moneda, tasa_cambio: tasaCambio, motivo, verified, cuenta_id: cuentaId, cuenta_destino_id: cuentaDestinoId, categoria_id: categoriaId });
+            return;
+        }
 
-        // Subir comprobante si existe
-        if (AppState.selectedFile) {
-            showLoading(true, 'Subiendo comprobante...');
-            comprobanteUrl = await uploadToSupabaseStorage(AppState.selectedFile, AppState.selectedFile.name);
+        // Presupuesto mensual: se avisa, pero el egreso se registra igual
+        if (tipo === 'EGRESO' && categoriaId) {
+            const previous = isEditing ? findMovement(AppState.editingMovementId) : null;
+            const budget = await checkCategoryBudget(categoriaId, getBaseAmount({ monto, tasa_cambio: tasaCambio }), { previous });
+            if (budget?.excede) {
+                showToast(`Este egreso supera el presupuesto de ${escapeHtml(budget.categoria.nombre)}: quedan ${formatCurrency(Math.max(budget.restante, 0))} de ${formatCurrency(budget.presupuesto)} este mes`, 'warning');
+            }
         }
 
-        // Definir estado de verificación
-        // Si lo edita/crea un ADMIN se autoverifica. Si es un USUARIO normal, siempre pasa a PENDIENTE.
-        const verified = AppState.isAdmin ? 'VERIFICADO' : 'PENDIENTE';
-        const isPdf = AppState.selectedFile?.type === 'application/pdf' || false;
+        // Subir los adjuntos nuevos en orden (con las huellas ya calculadas al elegirlos)
+        const adjuntos = await uploadAttachments(AppState.attachments);
+        const isPdf = isPdfAttachment(adjuntos[0]);
 
         if (isEditing) {
             // ============================================
@@ -814,6 +1704,13 @@ async function handleFormSubmit(event) {
             
             // 1. Obtener datos actuales antes de actualizar
             const oldMovement = await getMovementById(AppState.editingMovementId);
+
+            // La ventana pudo vencer con el modal abierto: validar antes de borrar el mensaje
+            const editCheck = canEditMovement(oldMovement, AppState.movements);
+            if (!editCheck.canEdit) {
+                showToast(editCheck.reason, 'error');
+                return;
+            }
             
             // 2. Webhook de eliminación PRIMERO (si tiene idmessage)
             if (oldMovement && oldMovement.idmessage) {
@@ -821,8 +1718,12 @@ async function handleFormSubmit(event) {
             }
 
             // 3. Actualizar en Base de Datos con los nuevos valores
-            const updates = { monto, motivo, verified };
-            if (comprobanteUrl) updates.comprobante_url = comprobanteUrl;
+            const updates = { monto, moneda, tasa_cambio: tasaCambio, motivo, verified, cuenta_id: cuentaId, cuenta_destino_id: cuentaDestinoId, categoria_id: categoriaId };
+            const location = a => a.ruta || a.url;
+            const previous = getMovementAttachments(oldMovement).map(location);
+            if (adjuntos.map(location).join('\n') !== previous.join('\n')) {
+                Object.assign(updates, getAttachmentFields(adjuntos));
+            }
 
             const updatedData = await updateMovement(AppState.editingMovementId, updates);
 
@@ -841,35 +1742,176 @@ async function handleFormSubmit(event) {
             const movement = await createMovement({
                 tipo,
                 monto,
+                moneda,
+                tasa_cambio: tasaCambio,
                 motivo,
-                comprobante_url: comprobanteUrl,
-                verified
+                ...getAttachmentFields(adjuntos),
+                verified,
+                cuenta_id: cuentaId,
+                cuenta_destino_id: cuentaDestinoId,
+                categoria_id: categoriaId
             }, AppState.userProfile.id);
 
             if (movement) {
                 // Notificar nuevo movimiento al webhook
                 await notifyMovementWebhook(movement, false, isPdf);
+                await notifyPendingMovementPush(movement);
+                await checkAlertRules(movement);
 
                 showToast(verified === 'PENDIENTE' ? 'Registrado (Pendiente de verificación)' : 'Movimiento registrado', 'success');
                 closeModal();
                 await loadDashboard();
+            } else if (!navigator.onLine) {
+                // La conexión se perdió durante el guardado
+                await saveMovementOffline({ tipo, monto, moneda, tasa_cambio: tasaCambio, motivo, verified, cuenta_id: cuentaId, cuenta_destino_id: cuentaDestinoId, categoria_id: categoriaId });
             }
         }
     } catch (error) {
         console.error('Error:', error);
-        showToast('Error al guardar el movimiento', 'error');
+        if (error.code === 'UPLOAD_CANCELLED') {
+            showToast('Subida cancelada', 'warning');
+        } else if (!isEditing && isNetworkError(error)) {
+            await saveMovementOffline({ tipo, monto, moneda, tasa_cambio: tasaCambio, motivo, verified, cuenta_id: cuentaId, cuenta_destino_id: cuentaDestinoId, categoria_id: categoriaId });
+        } else if (error.code === 'UPLOAD_FAILED') {
+            showToast('No se pudo subir el comprobante. Vuelve a guardar y la subida seguirá donde quedó', 'error');
+        } else {
+            showToast('Error al guardar el movimiento', 'error');
+        }
     } finally {
         showLoading(false);
         releaseLock();
     }
 }
 
+/**
+ * Sube los adjuntos nuevos del formulario y arma la lista final en orden
+ * Los que ya estaban guardados en el movimiento se conservan tal cual.
+ * Cada adjunto conserva su ruta y su imagen procesada: si la subida falla o se
+ * cancela, volver a guardar la retoma; los ya subidos no se vuelven a subir
+ * @param {Array} attachments - AppState.attachments
+ * @returns {Promise<Array>} - [{ ruta | url, nombre, tipo, hash, phash }]
+ */
+async function uploadAttachments(attachments) {
+    const pending = attachments.filter(a => a.file && !a.uploaded);
+    const adjuntos = [];
+    if (!pending.length) return attachments.map(a => toStoredAttachment(a.uploaded || a));
+
+    // El avance se muestra en el formulario, con opción de cancelar
+    showLoading(false);
+    const controller = new AbortController();
+    AppState.uploadController = controller;
+
+    try {
+        for (const attachment of attachments) {
+            if (!attachment.file || attachment.uploaded) {
+                adjuntos.push(toStoredAttachment(attachment.uploaded || attachment));
+                continue;
+            }
+
+            const label = pending.length > 1
+                ? `Adjunto ${pending.indexOf(attachment) + 1} de ${pending.length}`
+                : 'Comprobante';
+
+            setUploadProgress(`${label}: preparando...`, null);
+            attachment.processed = attachment.processed || await compressImage(attachment.file);
+            attachment.uploadPath = attachment.uploadPath || `daviplata/${generateUniqueFilename(attachment.nombre, attachment.processed.type)}`;
+
+            setUploadProgress(`${label}: subiendo...`, 0);
+            let upload;
+            try {
+                upload = await uploadToSupabaseStorage(attachment.processed, attachment.nombre, {
+                    compress: false,
+                    hashes: attachment.hashes,
+                    filePath: attachment.uploadPath,
+                    signal: controller.signal,
+                    onProgress: (fraction) => setUploadProgress(`${label}: ${Math.round(fraction * 100)}%`, fraction)
+                });
+            } catch (error) {
+                if (!error.code) error.code = 'UPLOAD_FAILED';
+                throw error;
+            }
+
+            // Tipo y extensión del archivo subido (el procesado puede cambiar el formato)
+            const tipo = attachment.processed.type || attachment.tipo;
+            attachment.uploaded = { ruta: upload.ruta, nombre: getUploadedFilename(attachment.nombre, tipo), tipo, hash: upload.hash, phash: upload.phash };
+            adjuntos.push(attachment.uploaded);
+        }
+    } finally {
+        if (AppState.uploadController === controller) AppState.uploadController = null;
+        setUploadProgress(null);
+    }
+
+    showLoading(true, 'Guardando...');
+    return adjuntos;
+}
+
+/**
+ * Barra de avance de la subida bajo los adjuntos del formulario
+ * @param {string|null} message - Texto a mostrar (null = quitar la barra)
+ * @param {number|null} fraction - Avance de 0 a 1 (null = sin avance conocido)
+ */
+function setUploadProgress(message, fraction = null) {
+    const previewContainer = document.getElementById('file-preview-container');
+    let progress = document.getElementById('upload-progress');
+
+    if (message === null) {
+        progress?.remove();
+        return;
+    }
+    if (!previewContainer) return;
+
+    if (!progress) {
+        progress = document.createElement('div');
+        progress.id = 'upload-progress';
+        progress.className = 'upload-progress';
+        progress.innerHTML = `
+          <div class="upload-progress-header">
+            <span class="upload-progress-label"></span>
+            <button type="button" class="upload-progress-cancel" onclick="cancelUpload()">
+              <i class="fas fa-times"></i> Cancelar
+            </button>
+          </div>
+          <div class="upload-progress-track"><div class="upload-progress-bar"></div></div>
+        `;
+        previewContainer.appendChild(progress);
+    }
+
+    progress.querySelector('.upload-progress-label').textContent = message;
+    progress.classList.toggle('indeterminate', fraction === null);
+    progress.querySelector('.upload-progress-bar').style.width = fraction === null ? '' : `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * Cancela la subida en curso (lo ya subido se conserva para retomarla)
+ */
+function cancelUpload() {
+    AppState.uploadController?.abort();
+}
+
+/**
+ * Guarda el movimiento del formulario en la cola offline (con sus adjuntos)
+ * @param {Object} movement - { tipo, monto, motivo, verified, cuenta_id, cuenta_destino_id, categoria_id }
+ */
+async function saveMovementOffline(movement) {
+    try {
+        await queueOfflineMovement(movement, AppState.attachments.filter(a => a.file).map(a => a.file), AppState.userProfile.id);
+        AppState.offlineQueue = await getQueuedMovements(AppState.userProfile.id);
+
+        showToast('Sin conexión: movimiento guardado en cola', 'warning');
+        closeModal();
+        renderMovements(AppState.list.movements);
+    } catch (error) {
+        console.error('Error guardando en cola offline:', error);
+        showToast('Error al guardar el movimiento', 'error');
+    }
+}
+
 // ============================================
 // DETALLE DE MOVIMIENTO
 // ============================================
 
 async function showMovementDetail(id) {
-    const movement = AppState.movements.find(m => m.id === id);
+    const movement = findMovement(id);
     if (!movement) return;
 
     AppState.selectedMovement = movement;
@@ -879,9 +1921,12 @@ async function showMovementDetail(id) {
 
     if (!modal || !content) return;
 
-    const isIngreso = movement.tipo === 'INGRESO';
+    const display = getMovementDisplay(movement);
     const isPending = movement.verified === 'PENDIENTE';
+    const isRejected = movement.verified === 'RECHAZADO';
     const editCheck = canEditMovement(movement, AppState.movements);
+    // Enlaces firmados de corta duración: se piden cada vez que se abre el detalle
+    const attachments = await getSignedAttachments(movement);
 
     content.innerHTML = `
     <div class="modal-header">
@@ -895,15 +1940,22 @@ async function showMovementDetail(id) {
     <div class="modal-body">
       <div class="detail-header">
         <div style="display: flex; flex-direction: column; align-items: center; gap: 4px;">
-          <span class="detail-type ${isIngreso ? 'income' : 'expense'}">
-            <i class="fas fa-${isIngreso ? 'arrow-down' : 'arrow-up'}"></i>
+          <span class="detail-type ${display.className}">
+            <i class="fas fa-${display.icon}"></i>
             ${movement.tipo}
           </span>
           ${isPending ? '<span class="pending-badge" style="margin:0"><i class="fas fa-clock"></i> PENDIENTE DE VERIFICACIÓN</span>' : ''}
+          ${isRejected ? '<span class="rejected-badge" style="margin:0"><i class="fas fa-ban"></i> RECHAZADO</span>' : ''}
+          ${movement.auto_generado ? '<span class="auto-badge" style="margin:0"><i class="fas fa-rotate"></i> GENERADO AUTOMÁTICAMENTE</span>' : ''}
         </div>
-        <div class="detail-amount ${isIngreso ? 'income' : 'expense'} ${isPending ? 'pending' : ''}" style="${isPending ? 'color: #9CA3AF !important' : ''}">
-          ${isIngreso ? '+' : '-'}${formatCurrency(movement.monto)}
+        <div class="detail-amount ${display.className} ${isPending || isRejected ? 'pending' : ''}" style="${isPending || isRejected ? 'color: #9CA3AF !important' : ''}">
+          ${display.sign}${formatMovementAmount(movement)}
         </div>
+        ${isForeignCurrency(movement) ? `
+          <div class="detail-amount-base">
+            ${formatMovementBaseAmount(movement)} ${CONFIG.CURRENCY} · ${formatExchangeRate(movement.tasa_cambio, movement.moneda)}
+          </div>
+        ` : ''}
       </div>
       
       <div class="detail-section">
@@ -911,6 +1963,25 @@ async function showMovementDetail(id) {
         <div class="detail-value">${escapeHtml(movement.motivo)}</div>
       </div>
       
+      ${isRejected ? `
+        <div class="detail-section">
+          <div class="detail-label">Motivo del rechazo</div>
+          <div class="detail-value rejection-reason">${escapeHtml(movement.motivo_rechazo || '')}</div>
+        </div>
+      ` : ''}
+      
+      <div class="detail-section">
+        <div class="detail-label">${movement.tipo === 'TRANSFERENCIA' ? 'Cuentas' : 'Cuenta'}</div>
+        <div class="detail-value">${escapeHtml(getMovementAccountLabel(movement))}</div>
+      </div>
+      
+      ${movement.tipo !== 'TRANSFERENCIA' ? `
+        <div class="detail-section">
+          <div class="detail-label">Categoría</div>
+          <div class="detail-value">${escapeHtml(getCategoryName(movement.categoria_id))}</div>
+        </div>
+      ` : ''}
+      
       <div class="detail-section">
         <div class="detail-label">Fecha</div>
         <div class="detail-value">${formatDate(movement.fecha, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</div>
@@ -923,31 +1994,23 @@ async function showMovementDetail(id) {
         </div>
       ` : ''}
       
-      ${movement.comprobante_url ? `
-        <div class="detail-section">
-          <div class="detail-label">Comprobante</div>
-          <div class="detail-image-container">
-            ${movement.comprobante_url.toLowerCase().endsWith('.pdf') ? `
-              <div class="detail-image-square pdf-preview" onclick="window.open('${movement.comprobante_url}', '_blank')">
-                <i class="fas fa-file-pdf"></i>
-                <span>Abrir documento</span>
-              </div>
-            ` : `
-              <div class="detail-image-square" onclick="window.open('${movement.comprobante_url}', '_blank')">
-                <div class="loader" id="detail-img-loader"></div>
-                <img src="${movement.comprobante_url}" alt="Comprobante" 
-                     onload="document.getElementById('detail-img-loader').style.display='none'">
-              </div>
-            `}
-          </div>
+      ${renderDetailAttachments(attachments)}
+      
+      <div class="detail-section">
+        <div class="detail-label">Historial</div>
+        <div class="detail-history" id="detail-history">
+          <div class="history-loading"><i class="fas fa-spinner fa-spin"></i> Cargando historial...</div>
         </div>
-      ` : ''}
+      </div>
       
       <div class="detail-actions">
         ${AppState.isAdmin && isPending ? `
           <button class="btn btn-success circle-btn" onclick="handleVerifyMovement('${movement.id}')" title="Verificar Movimiento">
             <i class="fas fa-check"></i>
           </button>
+          <button class="btn btn-danger circle-btn" onclick="handleRejectMovement('${movement.id}')" title="Rechazar Movimiento">
+            <i class="fas fa-ban"></i>
+          </button>
         ` : ''}
         <button class="btn btn-secondary circle-btn" onclick="handleDownloadReceipt()" title="Descargar PDF">
           <i class="fas fa-file-pdf"></i>
@@ -972,51 +2035,194 @@ async function showMovementDetail(id) {
 
     // Re-attach close event
     document.getElementById('detail-modal-close')?.addEventListener('click', closeDetailModal);
+
+    loadMovementHistory(movement);
 }
 
-function closeDetailModal() {
-    const modal = document.getElementById('detail-modal-overlay');
-    if (modal) {
-        modal.classList.remove('active');
-        document.body.style.overflow = '';
-    }
-    AppState.selectedMovement = null;
+/**
+ * Galería de adjuntos del detalle (las imágenes y los PDFs se abren en otra pestaña)
+ * @param {Array} attachments - Adjuntos con enlace firmado (ver getSignedAttachments)
+ * @returns {string} - HTML
+ */
+function renderDetailAttachments(attachments) {
+    if (!attachments.length) return '';
+
+    return `
+        <div class="detail-section">
+          <div class="detail-label">${attachments.length > 1 ? `Comprobantes (${attachments.length})` : 'Comprobante'}</div>
+          <div class="detail-image-container${attachments.length > 1 ? ' detail-gallery' : ''}">
+            ${attachments.map((attachment, index) => isPdfAttachment(attachment) ? `
+              <div class="detail-image-square pdf-preview" onclick="window.open('${attachment.url}', '_blank')">
+                <i class="fas fa-file-pdf"></i>
+                <span>Abrir documento</span>
+              </div>
+            ` : `
+              <div class="detail-image-square" onclick="window.open('${attachment.url}', '_blank')">
+                <div class="loader"></div>
+                <img src="${attachment.url}" alt="Comprobante ${index + 1}" 
+                     onload="this.previousElementSibling.style.display='none'">
+              </div>
+            `).join('')}
+          </div>
+        </div>
+    `;
 }
 
-function handleEditMovement(id) {
-    const movement = AppState.movements.find(m => m.id === id);
-    if (movement) {
-        closeDetailModal();
-        setTimeout(() => openEditMovementModal(movement), 300);
-    }
+/**
+ * Abre un adjunto de un movimiento de la lista (firma el enlace en el momento)
+ * @param {string} id - ID del movimiento
+ * @param {number} index - Posición del adjunto
+ */
+function openMovementAttachment(id, index = 0) {
+    const attachment = getMovementAttachments(findMovement(id))[index];
+    if (attachment) openSignedAttachment(attachment);
 }
 
-async function handleVerifyMovement(id) {
-    const movement = AppState.movements.find(m => m.id === id);
-    if (!movement) return;
+// Etiquetas del historial de cambios
+const AUDIT_ACTIONS = {
+    CREAR: { label: 'Registrado', icon: 'fa-plus-circle' },
+    EDITAR: { label: 'Editado', icon: 'fa-pen' },
+    VERIFICAR: { label: 'Verificado', icon: 'fa-check-circle' },
+    RECHAZAR: { label: 'Rechazado', icon: 'fa-ban' }
+};
 
-    const confirmed = await showConfirm(
-        'Verificar Movimiento',
-        '¿Estás seguro de que deseas verificar este movimiento? Esto actualizará el saldo y enviará una notificación.',
-        'fa-check-circle'
-    );
+const AUDIT_FIELD_LABELS = {
+    tipo: 'Tipo',
+    monto: 'Monto',
+    moneda: 'Moneda',
+    tasa_cambio: 'Tasa de cambio',
+    motivo: 'Motivo',
+    comprobante_url: 'Comprobante',
+    adjuntos: 'Adjuntos',
+    verified: 'Estado',
+    motivo_rechazo: 'Motivo del rechazo',
+    cuenta_id: 'Cuenta',
+    cuenta_destino_id: 'Cuenta destino',
+    categoria_id: 'Categoría'
+};
 
-    if (!confirmed) return;
+/**
+ * Carga el historial del movimiento en la sección "Historial" del detalle
+ * @param {Object} movement - Movimiento mostrado
+ */
+async function loadMovementHistory(movement) {
+    const entries = await getMovementAudit(movement.id);
 
-    showLoading(true, 'Verificando movimiento...');
+    // El detalle pudo cerrarse o cambiar mientras cargaba
+    const container = document.getElementById('detail-history');
+    if (!container || AppState.selectedMovement?.id !== movement.id) return;
 
-    try {
-        // 1. Obtener la versión más reciente del movimiento para asegurar tener idmessage y remote_jid
-        const latestMovement = await getMovementById(id);
+    container.innerHTML = renderMovementHistory(movement, entries);
+}
+
+/**
+ * Línea de tiempo de cambios de un movimiento
+ * Los movimientos anteriores a la auditoría no tienen registro de creación,
+ * así que se reconstruye a partir de created_at.
+ * @param {Object} movement - Movimiento
+ * @param {Array} entries - Registros de daviplata_auditoria
+ * @returns {string} HTML
+ */
+function renderMovementHistory(movement, entries) {
+    const timeline = entries.some(e => e.accion === 'CREAR') ? entries : [{
+        accion: 'CREAR',
+        created_at: movement.created_at,
+        daviplata_usuarios: movement.daviplata_usuarios,
+        cambios: {}
+    }, ...entries];
+
+    return timeline.map(entry => {
+        const action = AUDIT_ACTIONS[entry.accion] || AUDIT_ACTIONS.EDITAR;
+        const user = entry.daviplata_usuarios;
+        const userName = user ? formatDisplayName(user.nombre || (user.email || '').split('@')[0]) : '';
+        const changes = entry.accion === 'CREAR' ? [] : Object.entries(entry.cambios || {})
+            // En verificar/rechazar el cambio de estado ya lo dice el título
+            .filter(([field]) => field !== 'verified' || entry.accion === 'EDITAR');
+
+        return `
+        <div class="history-item ${entry.accion.toLowerCase()}">
+          <div class="history-icon"><i class="fas ${action.icon}"></i></div>
+          <div class="history-content">
+            <div class="history-title">
+              ${action.label}${userName ? ` por ${escapeHtml(userName)}` : ''}
+            </div>
+            <div class="history-date">
+              ${formatDate(entry.created_at, { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })}
+            </div>
+            ${changes.map(([field, change]) => `
+              <div class="history-change">
+                <span class="history-field">${AUDIT_FIELD_LABELS[field] || field}:</span>
+                ${field === 'motivo_rechazo' ? '' : `<span class="history-old">${escapeHtml(formatAuditValue(field, change.anterior, entry.cambios.moneda?.anterior ?? movement.moneda))}</span> →`}
+                <span class="history-new">${escapeHtml(formatAuditValue(field, change.nuevo, movement.moneda))}</span>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
+}
+
+/**
+ * Formatea un valor del historial para mostrarlo
+ * @param {string} moneda - Moneda en que se muestra el monto
+ */
+function formatAuditValue(field, value, moneda = CONFIG.CURRENCY) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'monto') return formatCurrency(value, moneda || CONFIG.CURRENCY);
+    if (field === 'comprobante_url') return 'Adjunto';
+    if (field === 'adjuntos') return Array.isArray(value) && value.length ? `${value.length} adjunto${value.length === 1 ? '' : 's'}` : '—';
+    if (field === 'cuenta_id' || field === 'cuenta_destino_id') return getAccountName(value);
+    if (field === 'categoria_id') return getCategoryName(value);
+    return String(value);
+}
+
+function closeDetailModal() {
+    const modal = document.getElementById('detail-modal-overlay');
+    if (modal) {
+        modal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+    AppState.selectedMovement = null;
+}
+
+function handleEditMovement(id) {
+    const movement = findMovement(id);
+    if (movement) {
+        closeDetailModal();
+        setTimeout(() => openEditMovementModal(movement), 300);
+    }
+}
+
+async function handleVerifyMovement(id) {
+    const movement = findMovement(id);
+    if (!movement) return;
+
+    const confirmed = await showConfirm(
+        'Verificar Movimiento',
+        '¿Estás seguro de que deseas verificar este movimiento? Esto actualizará el saldo y enviará una notificación.',
+        'fa-check-circle'
+    );
+
+    if (!confirmed) return;
+
+    showLoading(true, 'Verificando movimiento...');
+
+    try {
+        // 1. Obtener la versión más reciente del movimiento para asegurar tener idmessage y remote_jid
+        const latestMovement = await getMovementById(id);
         if (!latestMovement) {
             showToast('No se pudo encontrar el movimiento actualizado', 'error');
             return;
         }
 
-        // 2. Actualizar en Supabase a VERIFICADO
-        const success = await updateMovement(id, { verified: 'VERIFICADO' });
+        // 2. Actualizar en Supabase a VERIFICADO (solo si sigue pendiente)
+        const { movement: success, alreadyProcessed } = await updatePendingMovementStatus(id, { verified: 'VERIFICADO' });
 
-        if (success) {
+        if (alreadyProcessed) {
+            showToast('El movimiento ya fue procesado por otro administrador', 'warning');
+            closeDetailModal();
+            await loadDashboard();
+        } else if (success) {
             // 3. Notificar al webhook de verificación (solo si es admin y se verifica manualmente)
             // Usamos latestMovement para asegurar que tenemos idmessage y remote_jid
             if (latestMovement.idmessage && latestMovement.remote_jid) {
@@ -1025,6 +2231,8 @@ async function handleVerifyMovement(id) {
                 console.warn('No se pudo enviar notificación de WhatsApp: faltan datos del webhook original');
                 showToast('Verificado sin notificación (datos de WhatsApp no disponibles)', 'warning');
             }
+            await notifyVerificationPush(latestMovement);
+            await checkAlertRules(latestMovement);
 
             showToast('Movimiento verificado exitosamente', 'success');
             
@@ -1042,12 +2250,882 @@ async function handleVerifyMovement(id) {
     }
 }
 
+async function handleRejectMovement(id) {
+    const movement = findMovement(id);
+    if (!movement) return;
+
+    const reason = await showPrompt(
+        'Rechazar Movimiento',
+        'Indica el motivo del rechazo. El movimiento no afectará el saldo y se notificará al usuario.',
+        'Ej: El comprobante no corresponde al monto registrado',
+        'fa-ban'
+    );
+
+    if (!reason) return;
+
+    showLoading(true, 'Rechazando movimiento...');
+
+    try {
+        // 1. Versión más reciente para tener idmessage y remote_jid
+        const latestMovement = await getMovementById(id);
+        if (!latestMovement) {
+            showToast('No se pudo encontrar el movimiento actualizado', 'error');
+            return;
+        }
+
+        if (latestMovement.verified !== 'PENDIENTE') {
+            showToast('El movimiento ya no está pendiente', 'warning');
+            closeDetailModal();
+            await loadDashboard();
+            return;
+        }
+
+        // 2. Actualizar en Supabase a RECHAZADO con su motivo
+        const { movement: rejected, alreadyProcessed } = await rejectMovement(id, reason);
+
+        if (alreadyProcessed) {
+            showToast('El movimiento ya fue procesado por otro administrador', 'warning');
+            closeDetailModal();
+            await loadDashboard();
+        } else if (rejected) {
+            // 3. Notificar al usuario por WhatsApp el motivo del rechazo
+            if (latestMovement.idmessage && latestMovement.remote_jid) {
+                await notifyRejectionWebhook(latestMovement, reason);
+            } else {
+                console.warn('No se pudo enviar notificación de WhatsApp: faltan datos del webhook original');
+                showToast('Rechazado sin notificación (datos de WhatsApp no disponibles)', 'warning');
+            }
+            await notifyVerificationPush(latestMovement);
+
+            showToast('Movimiento rechazado', 'success');
+
+            closeDetailModal();
+            await loadDashboard();
+        } else {
+            showToast('Error al actualizar el estado del movimiento', 'error');
+        }
+    } catch (error) {
+        console.error('Error en handleRejectMovement:', error);
+        showToast('Ocurrió un error al rechazar', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// ============================================
+// VERIFICACIÓN MASIVA
+// ============================================
+
+/**
+ * Activa/desactiva el modo selección de la lista (móvil)
+ */
+function toggleSelectMode() {
+    AppState.selectMode = !AppState.selectMode;
+    AppState.selection.clear();
+    document.body.classList.toggle('select-mode', AppState.selectMode);
+    renderMovements(AppState.list.movements);
+    observeListSentinel();
+}
+
+/**
+ * Marca o desmarca un movimiento pendiente
+ * @param {string} id - ID del movimiento
+ */
+function toggleMovementSelection(id) {
+    const movement = findMovement(id);
+    if (!movement || movement.verified !== 'PENDIENTE') return;
+
+    if (AppState.selection.has(id)) {
+        AppState.selection.delete(id);
+    } else {
+        AppState.selection.add(id);
+    }
+
+    const selected = AppState.selection.has(id);
+    document.querySelectorAll(`[data-id="${id}"]`).forEach(el => {
+        el.classList.toggle('selected', selected);
+        const checkbox = el.querySelector('input[type="checkbox"]');
+        if (checkbox) checkbox.checked = selected;
+    });
+    updateBulkBar();
+}
+
+/**
+ * Limpia la selección y sale del modo selección
+ */
+function clearSelection() {
+    const wasSelectMode = AppState.selectMode;
+    AppState.selection.clear();
+    AppState.selectMode = false;
+    document.body.classList.remove('select-mode');
+
+    if (wasSelectMode) {
+        renderMovements(AppState.list.movements);
+        observeListSentinel();
+    } else {
+        document.querySelectorAll('[data-id].selected').forEach(el => {
+            el.classList.remove('selected');
+            const checkbox = el.querySelector('input[type="checkbox"]');
+            if (checkbox) checkbox.checked = false;
+        });
+        const selectAll = document.getElementById('select-all-pending');
+        if (selectAll) selectAll.checked = false;
+        updateBulkBar();
+    }
+}
+
+/**
+ * Muestra la barra de acciones con la cantidad seleccionada
+ */
+function updateBulkBar() {
+    const bar = document.getElementById('bulk-bar');
+    if (!bar) return;
+
+    const count = AppState.selection.size;
+    bar.classList.toggle('active', AppState.isAdmin && (count > 0 || AppState.selectMode));
+
+    const countEl = document.getElementById('bulk-count');
+    if (countEl) countEl.textContent = `${count} seleccionado${count !== 1 ? 's' : ''}`;
+
+    const verifyBtn = document.getElementById('btn-bulk-verify');
+    if (verifyBtn) verifyBtn.disabled = count === 0;
+}
+
+/**
+ * Verifica todos los movimientos seleccionados.
+ * El saldo se consulta una sola vez y se acumula fila a fila (en orden
+ * cronológico) para que cada notificación informe el saldo correcto.
+ * El dashboard se recarga una sola vez al terminar.
+ */
+async function handleBulkVerify() {
+    if (!AppState.isAdmin) return;
+
+    const movements = [...AppState.selection]
+        .map(id => findMovement(id))
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+
+    if (movements.length === 0) return;
+
+    const confirmed = await showConfirm(
+        'Verificar seleccionados',
+        `¿Verificar ${movements.length} movimiento${movements.length !== 1 ? 's' : ''}? Se actualizará el saldo y se enviará una notificación por cada uno.`,
+        'fa-check-double'
+    );
+
+    if (!confirmed) return;
+
+    const results = [];
+    showLoading(true, 'Verificando movimientos...');
+
+    try {
+        const stats = await getStatistics();
+        let balance = stats.balance;
+
+        for (let i = 0; i < movements.length; i++) {
+            showLoading(true, `Verificando ${i + 1} de ${movements.length}...`);
+            const result = await verifyMovementInBatch(movements[i], balance);
+            if (result.ok) balance = result.balance;
+            results.push(result);
+        }
+    } catch (error) {
+        console.error('Error en handleBulkVerify:', error);
+        showToast('Ocurrió un error al verificar', 'error');
+    } finally {
+        showLoading(false);
+    }
+
+    clearSelection();
+    if (results.some(r => r.ok)) await checkAlertRules();
+    await loadDashboard();
+    showBulkSummary(results);
+}
+
+/**
+ * Verifica un movimiento dentro de un lote
+ * @param {Object} movement - Movimiento seleccionado
+ * @param {number} balanceBefore - Saldo acumulado antes de esta fila
+ * @returns {Promise<Object>} - { movement, ok, notified, balance, message }
+ */
+async function verifyMovementInBatch(movement, balanceBefore) {
+    const result = { movement, ok: false, notified: false, balance: balanceBefore, message: '' };
+
+    try {
+        // Versión más reciente: puede haber sido verificado/rechazado por otro admin
+        const latestMovement = await getMovementById(movement.id);
+        if (!latestMovement) {
+            result.message = 'No se encontró el movimiento';
+            return result;
+        }
+        if (latestMovement.verified !== 'PENDIENTE') {
+            result.message = `Ya estaba ${latestMovement.verified.toLowerCase()}`;
+            return result;
+        }
+
+        // Solo si sigue pendiente: otro admin pudo procesarlo después de la lectura
+        const { movement: updated, alreadyProcessed } = await updatePendingMovementStatus(movement.id, { verified: 'VERIFICADO' });
+        if (alreadyProcessed) {
+            result.message = 'Ya procesado por otro administrador';
+            return result;
+        }
+        if (!updated) {
+            result.message = 'Error al actualizar el estado';
+            return result;
+        }
+
+        const monto = getBaseAmount(latestMovement);
+        result.ok = true;
+        result.balance = balanceBefore + getMovementSign(latestMovement) * monto;
+
+        if (latestMovement.idmessage && latestMovement.remote_jid) {
+            result.notified = await notifyVerificationWebhook(latestMovement, result.balance);
+            result.message = result.notified ? 'Verificado y notificado' : 'Verificado (falló la notificación)';
+        } else {
+            result.message = 'Verificado sin notificación (datos de WhatsApp no disponibles)';
+        }
+        await notifyVerificationPush(latestMovement);
+    } catch (error) {
+        console.error('Error verificando en lote:', error);
+        result.message = 'Error inesperado';
+    }
+
+    return result;
+}
+
+/**
+ * Muestra el resumen por fila de una verificación masiva
+ * @param {Array} results - Resultados de verifyMovementInBatch
+ */
+function showBulkSummary(results) {
+    const modal = document.getElementById('bulk-summary-modal-overlay');
+    const content = document.getElementById('bulk-summary-content');
+    if (!modal || !content || results.length === 0) return;
+
+    const okCount = results.filter(r => r.ok).length;
+    const failCount = results.length - okCount;
+
+    content.innerHTML = `
+    <div class="modal-header">
+      <h2 class="modal-title">
+        <i class="fas fa-check-double"></i> Verificación masiva
+      </h2>
+      <button class="modal-close" onclick="closeBulkSummary()">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+    <div class="modal-body">
+      <div class="bulk-summary-totals">
+        <span class="bulk-summary-ok"><i class="fas fa-check-circle"></i> ${okCount} verificado${okCount !== 1 ? 's' : ''}</span>
+        ${failCount > 0 ? `<span class="bulk-summary-fail"><i class="fas fa-times-circle"></i> ${failCount} con error</span>` : ''}
+      </div>
+      <div class="bulk-summary-list">
+        ${results.map(r => `
+          <div class="bulk-summary-item ${r.ok ? 'ok' : 'error'}">
+            <i class="fas fa-${r.ok ? 'check-circle' : 'times-circle'}"></i>
+            <div class="bulk-summary-info">
+              <div class="bulk-summary-motivo">${escapeHtml(r.movement.motivo)}</div>
+              <div class="bulk-summary-message">${escapeHtml(r.message)}</div>
+            </div>
+            <div class="bulk-summary-amount">${formatMovementAmount(r.movement)}</div>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+    <div class="modal-footer">
+      <button class="btn btn-primary btn-block" onclick="closeBulkSummary()">
+        <i class="fas fa-check"></i> Entendido
+      </button>
+    </div>
+  `;
+
+    modal.classList.add('active');
+}
+
+function closeBulkSummary() {
+    const modal = document.getElementById('bulk-summary-modal-overlay');
+    if (modal) modal.classList.remove('active');
+}
+
 function handleDownloadReceipt() {
     if (AppState.selectedMovement) {
         generateMovementReceipt(AppState.selectedMovement);
     }
 }
 
+// ============================================
+// CATEGORÍAS Y PRESUPUESTOS (solo admin)
+// ============================================
+
+async function openCategoriesModal() {
+    const modal = document.getElementById('categories-modal-overlay');
+    if (!modal) return;
+
+    if (!AppState.isAdmin) {
+        showToast('Solo administradores pueden administrar categorías', 'error');
+        return;
+    }
+
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    await renderCategoriesModal();
+}
+
+function closeCategoriesModal() {
+    const modal = document.getElementById('categories-modal-overlay');
+    if (modal) {
+        modal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+}
+
+/**
+ * Pinta la lista editable de categorías con el consumo del presupuesto del mes
+ */
+async function renderCategoriesModal() {
+    const content = document.getElementById('categories-modal-content');
+    if (!content) return;
+
+    const spending = await getCategorySpending() || {};
+
+    content.innerHTML = `
+    <div class="modal-header">
+      <h2 class="modal-title">
+        <i class="fas fa-tags"></i> Categorías y presupuestos
+      </h2>
+      <button class="modal-close" onclick="closeCategoriesModal()">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+    <div class="modal-body">
+      <p class="category-help">El presupuesto es mensual y solo aplica a egresos. Déjalo vacío para no limitar la categoría.</p>
+      <div class="category-list">
+        ${AppState.categories.map(c => renderCategoryRow(c, spending[c.id] || 0)).join('')}
+      </div>
+      <div class="category-section-label">Nueva categoría</div>
+      ${renderCategoryRow(null)}
+    </div>
+  `;
+}
+
+/**
+ * Fila editable de una categoría (o del formulario de alta si category es null)
+ * @param {Object|null} category - Categoría
+ * @param {number} gastado - Egresos del mes en la categoría
+ * @returns {string} HTML
+ */
+function renderCategoryRow(category, gastado = 0) {
+    const id = category ? category.id : 'new';
+    const presupuesto = parseFloat(category?.presupuesto_mensual) || 0;
+    const percent = presupuesto ? Math.min(100, (gastado / presupuesto) * 100) : 0;
+    const tipo = category?.tipo || 'EGRESO';
+
+    return `
+      <div class="category-row ${category && !category.activa ? 'inactive' : ''}" data-category-id="${id}">
+        <div class="category-fields">
+          <input type="color" class="category-color" value="${category?.color || '#6B7280'}" title="Color">
+          <input type="text" class="form-input category-name" value="${escapeHtml(category?.nombre || '')}" placeholder="Nombre" maxlength="40">
+          <select class="form-input category-type">
+            ${Object.entries(CATEGORY_TYPES).map(([value, label]) =>
+                `<option value="${value}" ${value === tipo ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+          </select>
+          <input type="number" class="form-input category-budget" value="${presupuesto || ''}" placeholder="Presupuesto" min="0" step="0.01">
+          ${category ? `
+            <label class="category-active" title="Activa">
+              <input type="checkbox" ${category.activa ? 'checked' : ''}> Activa
+            </label>
+          ` : ''}
+          <button type="button" class="btn btn-primary category-save" onclick="handleSaveCategory('${id}')" title="${category ? 'Guardar' : 'Agregar'}">
+            <i class="fas fa-${category ? 'save' : 'plus'}"></i>
+          </button>
+        </div>
+        ${presupuesto ? `
+          <div class="category-budget-bar ${gastado > presupuesto ? 'over' : ''}">
+            <span style="width: ${percent}%"></span>
+          </div>
+          <div class="category-budget-text">
+            ${formatCurrency(gastado)} de ${formatCurrency(presupuesto)} este mes
+          </div>
+        ` : ''}
+      </div>
+    `;
+}
+
+/**
+ * Guarda la fila de una categoría del modal
+ * @param {string} id - ID de la categoría ('new' para crear)
+ */
+async function handleSaveCategory(id) {
+    const row = document.querySelector(`.category-row[data-category-id="${id}"]`);
+    if (!row) return;
+
+    const nombre = row.querySelector('.category-name').value.trim();
+    const presupuestoValue = row.querySelector('.category-budget').value;
+    const presupuesto = presupuestoValue === '' ? null : parseFloat(presupuestoValue);
+
+    if (!nombre) {
+        showToast('Ingresa el nombre de la categoría', 'error');
+        return;
+    }
+
+    if (presupuesto !== null && !(presupuesto > 0)) {
+        showToast('El presupuesto debe ser mayor a cero', 'error');
+        return;
+    }
+
+    showLoading(true, 'Guardando categoría...');
+
+    try {
+        const saved = await saveCategory({
+            id: id === 'new' ? null : id,
+            nombre,
+            tipo: row.querySelector('.category-type').value,
+            color: row.querySelector('.category-color').value,
+            presupuesto_mensual: presupuesto,
+            activa: row.querySelector('.category-active input')?.checked ?? true
+        });
+
+        if (saved) {
+            AppState.categories = await getCategories();
+            showToast(id === 'new' ? 'Categoría creada' : 'Categoría actualizada', 'success');
+            await renderCategoriesModal();
+            renderCharts(AppState.movements);
+            renderMovements(AppState.list.movements);
+        }
+    } finally {
+        showLoading(false);
+    }
+}
+
+// ============================================
+// REGLAS DE ALERTA Y AVISOS
+// ============================================
+
+/**
+ * Clave de un aviso (una regla puede avisar por varios movimientos)
+ */
+function getAlertKey(alert) {
+    return `${alert.regla_id}:${alert.movimiento_id || ''}`;
+}
+
+/**
+ * Pinta los avisos de las alertas activas en #alert-banners (solo admin)
+ */
+function renderAlertBanners() {
+    const container = document.getElementById('alert-banners');
+    if (!container) return;
+
+    const alerts = AppState.isAdmin
+        ? AppState.alerts.filter(a => !AppState.dismissedAlerts.has(getAlertKey(a)))
+        : [];
+
+    container.innerHTML = alerts.map(alert => `
+      <div class="alert-banner ${alert.tipo === 'MOVIMIENTO_ALTO' ? 'warning' : 'danger'}">
+        <i class="fas fa-${alert.tipo === 'PENDIENTES_ANTIGUOS' ? 'hourglass-half' : 'exclamation-triangle'}"></i>
+        <span class="alert-banner-text">${escapeHtml(alert.mensaje)}</span>
+        ${alert.movimiento_id ? `
+          <button type="button" class="alert-banner-action" onclick="showMovementDetail('${alert.movimiento_id}')">Ver</button>
+        ` : ''}
+        <button type="button" class="alert-banner-close" onclick="dismissAlert('${getAlertKey(alert)}')" title="Cerrar">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+    `).join('');
+}
+
+/**
+ * Cierra un aviso hasta que la alerta se vuelva a disparar
+ * @param {string} key - Clave del aviso (getAlertKey)
+ */
+function dismissAlert(key) {
+    AppState.dismissedAlerts.add(key);
+    renderAlertBanners();
+}
+
+async function openAlertRulesModal() {
+    const modal = document.getElementById('alert-rules-modal-overlay');
+    if (!modal) return;
+
+    if (!AppState.isAdmin) {
+        showToast('Solo administradores pueden configurar alertas', 'error');
+        return;
+    }
+
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    AppState.alertRules = await getAlertRules();
+    renderAlertRulesModal();
+}
+
+function closeAlertRulesModal() {
+    const modal = document.getElementById('alert-rules-modal-overlay');
+    if (modal) {
+        modal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+}
+
+/**
+ * Pinta la lista editable de reglas de alerta
+ */
+function renderAlertRulesModal() {
+    const content = document.getElementById('alert-rules-modal-content');
+    if (!content) return;
+
+    content.innerHTML = `
+    <div class="modal-header">
+      <h2 class="modal-title">
+        <i class="fas fa-bell"></i> Reglas de alerta
+      </h2>
+      <button class="modal-close" onclick="closeAlertRulesModal()">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+    <div class="modal-body">
+      <p class="category-help">
+        Se revisan después de cada registro o verificación. Cada alerta se avisa aquí y por WhatsApp
+        una sola vez, hasta que la condición deja de cumplirse.
+      </p>
+      <div class="alert-rule-list">
+        ${AppState.alertRules.length
+            ? AppState.alertRules.map(renderAlertRuleRow).join('')
+            : '<div class="category-budget-text">Todavía no hay reglas</div>'}
+      </div>
+      <div class="category-section-label">Nueva regla</div>
+      ${renderAlertRuleRow(null)}
+    </div>
+  `;
+}
+
+/**
+ * Fila editable de una regla (o del formulario de alta si rule es null)
+ * Los campos que no aplican al tipo se ocultan con CSS según data-tipo
+ * @param {Object|null} rule - Regla
+ * @returns {string} HTML
+ */
+function renderAlertRuleRow(rule) {
+    const id = rule ? rule.id : 'new';
+    const tipo = rule?.tipo || 'SALDO_BAJO';
+
+    return `
+      <div class="alert-rule-row ${rule && !rule.activa ? 'inactive' : ''}" data-rule-id="${id}" data-tipo="${tipo}">
+        <div class="alert-rule-fields">
+          <select class="form-input alert-rule-type" onchange="this.closest('.alert-rule-row').dataset.tipo = this.value">
+            ${Object.entries(ALERT_RULE_TYPES).map(([value, label]) =>
+                `<option value="${value}" ${value === tipo ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+          </select>
+          <input type="number" class="form-input alert-rule-threshold" value="${rule ? rule.umbral : ''}" placeholder="Monto / cantidad" min="0" step="0.01" title="Monto en ${CONFIG.CURRENCY} (o cantidad de pendientes)">
+          <select class="form-input alert-rule-movement" title="Tipo de movimiento">
+            <option value="" ${!rule?.tipo_movimiento ? 'selected' : ''}>Ingreso o egreso</option>
+            <option value="EGRESO" ${rule?.tipo_movimiento === 'EGRESO' ? 'selected' : ''}>Solo egresos</option>
+            <option value="INGRESO" ${rule?.tipo_movimiento === 'INGRESO' ? 'selected' : ''}>Solo ingresos</option>
+          </select>
+          <input type="number" class="form-input alert-rule-hours" value="${rule?.horas || ''}" placeholder="Horas" min="1" step="1" title="Antigüedad mínima del pendiente (horas)">
+          ${rule ? `
+            <label class="category-active" title="Activa">
+              <input type="checkbox" ${rule.activa ? 'checked' : ''}> Activa
+            </label>
+          ` : ''}
+          <button type="button" class="btn btn-primary category-save" onclick="handleSaveAlertRule('${id}')" title="${rule ? 'Guardar' : 'Agregar'}">
+            <i class="fas fa-${rule ? 'save' : 'plus'}"></i>
+          </button>
+          ${rule ? `
+            <button type="button" class="btn btn-secondary category-save" onclick="handleDeleteAlertRule('${id}')" title="Borrar">
+              <i class="fas fa-trash"></i>
+            </button>
+          ` : ''}
+        </div>
+        ${rule?.en_alerta ? '<div class="alert-rule-state"><i class="fas fa-exclamation-circle"></i> En alerta</div>' : ''}
+      </div>
+    `;
+}
+
+/**
+ * Guarda la fila de una regla del modal
+ * @param {string} id - ID de la regla ('new' para crear)
+ */
+async function handleSaveAlertRule(id) {
+    const row = document.querySelector(`.alert-rule-row[data-rule-id="${id}"]`);
+    if (!row) return;
+
+    const tipo = row.querySelector('.alert-rule-type').value;
+    const umbral = parseFloat(row.querySelector('.alert-rule-threshold').value);
+    const horas = parseInt(row.querySelector('.alert-rule-hours').value, 10);
+
+    if (isNaN(umbral) || umbral < 0) {
+        showToast(tipo === 'PENDIENTES_ANTIGUOS' ? 'Ingresa la cantidad de pendientes' : 'Ingresa el monto de la regla', 'error');
+        return;
+    }
+
+    if (tipo === 'PENDIENTES_ANTIGUOS' && !(horas > 0)) {
+        showToast('Ingresa cuántas horas debe llevar pendiente un movimiento', 'error');
+        return;
+    }
+
+    showLoading(true, 'Guardando regla...');
+
+    try {
+        const saved = await saveAlertRule({
+            id: id === 'new' ? null : id,
+            tipo,
+            umbral: tipo === 'PENDIENTES_ANTIGUOS' ? Math.floor(umbral) : umbral,
+            tipo_movimiento: row.querySelector('.alert-rule-movement').value,
+            horas,
+            activa: row.querySelector('.category-active input')?.checked ?? true
+        });
+
+        if (saved) {
+            showToast(id === 'new' ? 'Regla creada' : 'Regla actualizada', 'success');
+            AppState.alertRules = await getAlertRules();
+            renderAlertRulesModal();
+            await checkAlertRules();
+        }
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Borra una regla después de confirmarlo
+ * @param {string} id - ID de la regla
+ */
+async function handleDeleteAlertRule(id) {
+    const confirmed = await showConfirm(
+        'Borrar regla',
+        'La regla y su historial de alertas se borrarán. ¿Continuar?',
+        'fa-trash'
+    );
+    if (!confirmed) return;
+
+    if (await deleteAlertRule(id)) {
+        showToast('Regla borrada', 'success');
+        AppState.alertRules = await getAlertRules();
+        AppState.alerts = AppState.alerts.filter(a => a.regla_id !== id);
+        renderAlertRulesModal();
+        renderAlertBanners();
+    }
+}
+
+// ============================================
+// MOVIMIENTOS PROGRAMADOS (solo admin)
+// ============================================
+
+async function openScheduledModal() {
+    const modal = document.getElementById('scheduled-modal-overlay');
+    if (!modal) return;
+
+    if (!AppState.isAdmin) {
+        showToast('Solo administradores pueden programar movimientos', 'error');
+        return;
+    }
+
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    resetScheduledForm();
+    await loadScheduledTemplates();
+}
+
+function closeScheduledModal() {
+    const modal = document.getElementById('scheduled-modal-overlay');
+    if (modal) {
+        modal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+}
+
+/**
+ * Recarga las plantillas y las pinta en #scheduled-list
+ */
+async function loadScheduledTemplates() {
+    const container = document.getElementById('scheduled-list');
+    if (container && !AppState.scheduled.length) {
+        container.innerHTML = '<div class="history-loading"><i class="fas fa-spinner fa-spin"></i> Cargando programados...</div>';
+    }
+
+    AppState.scheduled = await getScheduledTemplates();
+    renderScheduledTemplates();
+}
+
+/**
+ * Deja el formulario de nuevo programado con los valores por defecto
+ */
+function resetScheduledForm() {
+    const form = document.getElementById('scheduled-form');
+    if (!form) return;
+
+    form.reset();
+    document.getElementById('sched-inicio').value = new Date().toLocaleDateString('en-CA');
+    renderAccountOptions(document.getElementById('sched-cuenta'), { selected: getActiveAccounts()[0]?.id });
+    renderCategoryOptions(document.getElementById('sched-categoria'), { tipo: document.getElementById('sched-tipo').value });
+}
+
+/**
+ * Fecha AAAA-MM-DD de una plantilla (sin desfase por zona horaria)
+ */
+function formatScheduleDate(date) {
+    return formatDate(`${date}T12:00:00`, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function renderScheduledTemplates() {
+    const container = document.getElementById('scheduled-list');
+    if (!container) return;
+
+    if (AppState.scheduled.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon"><i class="fas fa-calendar-plus"></i></div>
+        <div class="empty-state-title">Sin movimientos programados</div>
+        <div class="empty-state-text">Programa el arriendo, los sueldos o las suscripciones</div>
+      </div>
+    `;
+        return;
+    }
+
+    container.innerHTML = AppState.scheduled.map(template => {
+        const display = getMovementDisplay(template);
+        const finished = isScheduleFinished(template);
+        const status = finished
+            ? '<span class="scheduled-status finished">Finalizado</span>'
+            : !template.activo
+                ? '<span class="scheduled-status paused"><i class="fas fa-pause"></i> Pausado</span>'
+                : `<span class="scheduled-status">Próximo: ${formatScheduleDate(template.proxima_fecha)}</span>`;
+
+        return `
+      <div class="scheduled-item ${!template.activo || finished ? 'inactive' : ''}">
+        <div class="movement-icon ${display.className}">
+          <i class="fas fa-${display.icon}"></i>
+        </div>
+        <div class="scheduled-info">
+          <div class="scheduled-motivo">${escapeHtml(template.motivo)}</div>
+          <div class="scheduled-meta">
+            ${SCHEDULE_FREQUENCIES[template.frecuencia] || template.frecuencia}
+            · ${escapeHtml(getAccountName(template.cuenta_id))}
+            ${template.categoria_id ? `· ${escapeHtml(getCategoryName(template.categoria_id))}` : ''}
+            ${template.fecha_fin ? `· hasta ${formatScheduleDate(template.fecha_fin)}` : ''}
+          </div>
+          ${status}
+        </div>
+        <div class="scheduled-amount ${display.className}">${display.sign}${formatCurrency(template.monto)}</div>
+        ${finished ? '' : `
+          <div class="scheduled-actions">
+            <button type="button" class="btn btn-secondary scheduled-action" onclick="handleToggleScheduled('${template.id}')" title="${template.activo ? 'Pausar' : 'Reanudar'}">
+              <i class="fas fa-${template.activo ? 'pause' : 'play'}"></i>
+            </button>
+            ${template.activo ? `
+              <button type="button" class="btn btn-secondary scheduled-action" onclick="handleSkipScheduled('${template.id}')" title="Omitir el próximo">
+                <i class="fas fa-forward"></i>
+              </button>
+            ` : ''}
+          </div>
+        `}
+      </div>
+    `;
+    }).join('');
+}
+
+async function handleCreateScheduled(event) {
+    event.preventDefault();
+
+    const tipo = document.getElementById('sched-tipo').value;
+    const monto = parseFloat(document.getElementById('sched-monto').value);
+    const motivo = document.getElementById('sched-motivo').value.trim();
+    const cuentaId = document.getElementById('sched-cuenta').value;
+    const fechaInicio = document.getElementById('sched-inicio').value;
+    const fechaFin = document.getElementById('sched-fin').value;
+
+    if (!monto || monto <= 0) {
+        showToast('Ingresa un monto válido', 'error');
+        return;
+    }
+
+    if (!motivo) {
+        showToast('Ingresa el motivo del movimiento', 'error');
+        return;
+    }
+
+    if (!cuentaId) {
+        showToast('Selecciona la cuenta', 'error');
+        return;
+    }
+
+    if (!fechaInicio) {
+        showToast('Selecciona la fecha de inicio', 'error');
+        return;
+    }
+
+    if (fechaFin && fechaFin < fechaInicio) {
+        showToast('La fecha de fin debe ser posterior a la de inicio', 'error');
+        return;
+    }
+
+    showLoading(true, 'Guardando programado...');
+
+    try {
+        const template = await createScheduledTemplate({
+            tipo,
+            monto,
+            motivo,
+            cuenta_id: cuentaId,
+            categoria_id: document.getElementById('sched-categoria').value || null,
+            frecuencia: document.getElementById('sched-frecuencia').value,
+            fecha_inicio: fechaInicio,
+            fecha_fin: fechaFin || null
+        }, AppState.userProfile.id);
+
+        if (template) {
+            showToast('Movimiento programado', 'success');
+            resetScheduledForm();
+
+            // Si la primera fecha ya venció, se genera de inmediato
+            const count = await processScheduledMovements();
+            if (count > 0) await loadDashboard();
+
+            await loadScheduledTemplates();
+        }
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function handleToggleScheduled(id) {
+    const template = AppState.scheduled.find(t => t.id === id);
+    if (!template) return;
+
+    const updated = await setScheduledTemplateActive(id, !template.activo);
+    if (updated) {
+        showToast(updated.activo ? 'Programado reanudado' : 'Programado pausado', 'success');
+
+        // Al reanudar se generan las fechas vencidas durante la pausa
+        if (updated.activo) {
+            const count = await processScheduledMovements();
+            if (count > 0) await loadDashboard();
+        }
+
+        await loadScheduledTemplates();
+    }
+}
+
+async function handleSkipScheduled(id) {
+    const template = AppState.scheduled.find(t => t.id === id);
+    if (!template) return;
+
+    const confirmed = await showConfirm(
+        '¿Omitir el próximo?',
+        `No se registrará "${template.motivo}" del ${formatScheduleDate(template.proxima_fecha)}.`,
+        'fa-forward'
+    );
+    if (!confirmed) return;
+
+    const updated = await skipScheduledOccurrence(template);
+    if (updated) {
+        showToast(isScheduleFinished(updated)
+            ? 'Ocurrencia omitida; el programado finalizó'
+            : `Ocurrencia omitida. Próximo: ${formatScheduleDate(updated.proxima_fecha)}`, 'success');
+        await loadScheduledTemplates();
+    }
+}
+
 // ============================================
 // GENERACIÓN DE PDF
 // ============================================
@@ -1072,39 +3150,110 @@ function closePdfModal() {
     if (modal) modal.classList.remove('active');
 }
 
-async function handleGeneratePDF() {
+/**
+ * Lee los filtros del modal de reporte (compartidos por PDF, CSV y Excel)
+ * @returns {Object|null} - { typeFilter, cuentaId, cuentaNombre, dateStart, dateEnd, periodo } o null si faltan fechas
+ */
+function getReportFilters() {
     const typeFilter = document.querySelector('input[name="pdf-type"]:checked').value;
+    const cuentaId = document.getElementById('pdf-account')?.value || '';
     const dateStart = document.getElementById('pdf-date-start').value;
     const dateEnd = document.getElementById('pdf-date-end').value;
-    const mode = document.querySelector('input[name="pdf-mode"]:checked').value;
 
     if (!dateStart || !dateEnd) {
         showToast('Selecciona un rango de fechas', 'error');
-        return;
+        return null;
     }
 
+    return {
+        typeFilter,
+        cuentaId,
+        cuentaNombre: getAccountName(cuentaId),
+        dateStart,
+        dateEnd,
+        periodo: `${formatDateShort(dateStart)} al ${formatDateShort(dateEnd)}`
+    };
+}
+
+/**
+ * Obtiene de Supabase los movimientos del reporte
+ * @param {Object} filters - Resultado de getReportFilters()
+ * @returns {Promise<Array>} - Movimientos del rango, tipo y cuenta (incluye rechazados)
+ */
+async function fetchReportMovements(filters) {
+    // Obtener el cliente de Supabase
+    const client = getSupabase();
+    if (!client) throw new Error('No se pudo conectar con Supabase');
+
+    // Obtener movimientos filtrados desde Supabase
+    let query = client
+        .from('daviplata_movimientos')
+        .select('*, daviplata_usuarios(nombre, email)')
+        .gte('fecha', filters.dateStart + 'T00:00:00')
+        .lte('fecha', filters.dateEnd + 'T23:59:59')
+        .order('fecha', { ascending: false });
+
+    // Cuenta (las transferencias cuentan en origen y en destino)
+    if (filters.cuentaId) {
+        query = query.or(`cuenta_id.eq.${filters.cuentaId},cuenta_destino_id.eq.${filters.cuentaId}`);
+    }
+
+    const { data: movements, error } = await query;
+
+    if (error) throw error;
+
+    // Filtrar por tipo si no es TODOS
+    if (filters.typeFilter !== 'TODOS') {
+        return movements.filter(m => m.tipo === filters.typeFilter);
+    }
+    return movements;
+}
+
+/**
+ * Totales del reporte (los rechazados no suman)
+ * Las transferencias solo afectan el balance cuando el reporte es de una cuenta
+ * @param {Array} movements - Movimientos del reporte
+ * @param {string|null} cuentaId - Cuenta del reporte (null = todas)
+ * @returns {Object}
+ */
+function computeReportStats(movements, cuentaId = null) {
+    const counted = movements.filter(m => m.verified !== 'RECHAZADO');
+    const sum = (list) => list.reduce((acc, m) => acc + getBaseAmount(m), 0);
+    const ingresos = counted.filter(m => m.tipo === 'INGRESO');
+    const egresos = counted.filter(m => m.tipo === 'EGRESO');
+
+    return {
+        total_ingresos: sum(ingresos),
+        total_egresos: sum(egresos),
+        balance: counted.reduce((acc, m) => acc + getMovementSign(m, cuentaId) * getBaseAmount(m), 0),
+        cantidad_ingresos: ingresos.length,
+        cantidad_egresos: egresos.length,
+        cantidad_transferencias: counted.filter(m => m.tipo === 'TRANSFERENCIA').length,
+        cantidad_pendientes: counted.filter(m => m.verified === 'PENDIENTE').length,
+        cantidad_rechazados: movements.length - counted.length
+    };
+}
+
+/**
+ * Genera el reporte en el formato elegido en el modal
+ */
+function handleExportReport() {
+    const format = document.querySelector('input[name="export-format"]:checked')?.value || 'pdf';
+    if (format === 'pdf') return handleGeneratePDF();
+    return handleExportSpreadsheet(format);
+}
+
+async function handleGeneratePDF() {
+    const filters = getReportFilters();
+    if (!filters) return;
+    const mode = document.querySelector('input[name="pdf-mode"]:checked').value;
+
     showLoading(true, 'Filtrando movimientos...');
 
     try {
-        // Obtener el cliente de Supabase
-        const client = getSupabase();
-        if (!client) throw new Error('No se pudo conectar con Supabase');
-
-        // Obtener movimientos filtrados desde Supabase
-        const { data: movements, error } = await client
-            .from('daviplata_movimientos')
-            .select('*')
-            .gte('fecha', dateStart + 'T00:00:00')
-            .lte('fecha', dateEnd + 'T23:59:59')
-            .order('fecha', { ascending: false });
-
-        if (error) throw error;
-
-        // Filtrar por tipo si no es TODOS
-        let filteredMovements = movements;
-        if (typeFilter !== 'TODOS') {
-            filteredMovements = movements.filter(m => m.tipo === typeFilter);
-        }
+        // Los rechazados no forman parte del reporte
+        const filteredMovements = (await fetchReportMovements(filters))
+            .filter(m => m.verified !== 'RECHAZADO');
 
         if (filteredMovements.length === 0) {
             showToast('No hay movimientos en este rango', 'warning');
@@ -1112,17 +3261,15 @@ async function handleGeneratePDF() {
         }
 
         // Calcular estadísticas para el reporte basado en los filtrados
-        const stats = {
-            total_ingresos: filteredMovements.filter(m => m.tipo === 'INGRESO').reduce((acc, m) => acc + m.monto, 0),
-            total_egresos: filteredMovements.filter(m => m.tipo === 'EGRESO').reduce((acc, m) => acc + m.monto, 0),
-            balance: filteredMovements.reduce((acc, m) => acc + (m.tipo === 'INGRESO' ? m.monto : -m.monto), 0)
-        };
+        const stats = computeReportStats(filteredMovements, filters.cuentaId);
 
         showLoading(true, 'Generando PDF...');
 
         await generateMovementsReport(filteredMovements, stats, {
-            periodo: `${formatDateShort(dateStart)} al ${formatDateShort(dateEnd)}`,
-            tipo: typeFilter,
+            periodo: filters.periodo,
+            tipo: filters.typeFilter,
+            cuentaId: filters.cuentaId,
+            cuenta: filters.cuentaNombre,
             mode: mode // 'device' o 'print'
         });
 
@@ -1135,6 +3282,46 @@ async function handleGeneratePDF() {
     }
 }
 
+/**
+ * Exporta los movimientos del reporte a CSV o Excel
+ * Incluye los rechazados (con su estado) para que la contabilidad los vea
+ * @param {string} format - 'csv' | 'xlsx'
+ */
+async function handleExportSpreadsheet(format) {
+    const filters = getReportFilters();
+    if (!filters) return;
+
+    showLoading(true, 'Filtrando movimientos...');
+
+    try {
+        const found = await fetchReportMovements(filters);
+
+        if (found.length === 0) {
+            showToast('No hay movimientos en este rango', 'warning');
+            return;
+        }
+
+        const options = { periodo: filters.periodo, tipo: filters.typeFilter, cuenta: filters.cuentaNombre };
+        // La hoja se comparte: enlaces de los comprobantes con la duración larga
+        const movements = await withSignedAttachments(found, CONFIG.SIGNED_URL_TTL_SHARED);
+
+        if (format === 'csv') {
+            generateMovementsCSV(movements, options);
+        } else {
+            showLoading(true, 'Generando Excel...');
+            generateMovementsXLSX(movements, computeReportStats(movements, filters.cuentaId), options);
+        }
+
+        showToast(`Exportado ${movements.length} movimiento${movements.length !== 1 ? 's' : ''}`, 'success');
+        closePdfModal();
+    } catch (error) {
+        console.error('Error exportando movimientos:', error);
+        showToast(format === 'csv' ? 'Error al exportar CSV' : 'Error al exportar Excel', 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
 // ============================================
 // UTILIDADES
 // ============================================
@@ -1199,17 +3386,19 @@ function escapeHtml(text) {
 }
 
 /**
- * Formatea un número como moneda USD con 2 decimales
+ * Formatea un número como moneda (por defecto la base, USD con 2 decimales)
  * @param {number} amount - Monto a formatear
- * @returns {string} - Monto formateado (ej: $1,234.56)
+ * @param {string} currency - Código ISO de la moneda
+ * @returns {string} - Monto formateado (ej: $1,234.56 o COP 500,000)
  */
-function formatCurrency(amount) {
+function formatCurrency(amount, currency = CONFIG.CURRENCY) {
     const value = parseFloat(amount) || 0;
+    const decimals = getCurrencyDecimals(currency);
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
+        currency,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
     }).format(value);
 }
 
@@ -0,0 +1,254 @@
+// ============================================
+// DAVIPLATA - CATEGORIES MODULE
+// Categorías de movimientos, desglose por categoría
+// y presupuestos mensuales de egresos
+// ============================================
+
+const CATEGORY_TYPES = {
+    INGRESO: 'Ingresos',
+    EGRESO: 'Egresos',
+    AMBOS: 'Ambos'
+};
+
+// Color de los movimientos sin categoría en los gráficos
+const UNCATEGORIZED_COLOR = '#9CA3AF';
+
+/**
+ * Obtiene las categorías (incluye las inactivas para poder nombrar movimientos antiguos)
+ * @returns {Promise<Array>}
+ */
+async function getCategories() {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_categorias')
+            .select('*')
+            .order('orden', { ascending: true })
+            .order('nombre', { ascending: true });
+
+        if (error) {
+            console.error('❌ Error obteniendo categorías:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Crea o actualiza una categoría (solo admin, ver sql/008_categorias.sql)
+ * @param {Object} category - { id?, nombre, tipo, color, presupuesto_mensual, activa }
+ * @returns {Promise<Object|null>}
+ */
+async function saveCategory(category) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const row = {
+            nombre: category.nombre,
+            tipo: category.tipo,
+            color: category.color,
+            presupuesto_mensual: category.presupuesto_mensual || null,
+            activa: category.activa !== false
+        };
+
+        const request = category.id
+            ? client.from('daviplata_categorias').update(row).eq('id', category.id)
+            : client.from('daviplata_categorias').insert([{ ...row, orden: (AppState.categories || []).length }]);
+
+        const { data, error } = await request.select().single();
+
+        if (error) {
+            console.error('❌ Error guardando categoría:', error);
+            // 42501 (insert) / PGRST116 (update sin filas): la política RLS lo impidió
+            const message = error.code === '23505'
+                ? 'Ya existe una categoría con ese nombre'
+                : error.code === '42501' || error.code === 'PGRST116'
+                    ? 'Solo los administradores pueden administrar categorías'
+                    : 'Error al guardar la categoría';
+            showToast(message, 'error');
+            return null;
+        }
+
+        console.log('✅ Categoría guardada:', data);
+        return data;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Egresos (no rechazados) por categoría en el mes de la fecha indicada
+ * Calculado en Postgres (RPC daviplata_gasto_categorias)
+ * @param {Date|string} date - Cualquier fecha del mes (por defecto hoy)
+ * @returns {Promise<Object|null>} - { [categoria_id]: total } o null si falla
+ */
+async function getCategorySpending(date = new Date()) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    const { desde, hasta } = getMonthRange(date);
+
+    try {
+        const { data, error } = await client.rpc('daviplata_gasto_categorias', {
+            p_desde: desde.toISOString(),
+            p_hasta: hasta.toISOString()
+        });
+
+        if (error) {
+            console.error('❌ Error obteniendo gasto por categoría:', error);
+            return null;
+        }
+
+        return (data || []).reduce((acc, row) => {
+            acc[row.categoria_id] = parseFloat(row.total) || 0;
+            return acc;
+        }, {});
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Primer y último instante del mes calendario (hora local)
+ * @param {Date|string} date - Cualquier fecha del mes
+ * @returns {Object} - { desde, hasta }
+ */
+function getMonthRange(date = new Date()) {
+    const d = new Date(date);
+    return {
+        desde: new Date(d.getFullYear(), d.getMonth(), 1),
+        hasta: new Date(d.getFullYear(), d.getMonth() + 1, 0, 23, 59, 59, 999)
+    };
+}
+
+/**
+ * Categorías activas que se pueden elegir para un tipo de movimiento
+ * @param {string} tipo - INGRESO | EGRESO (sin tipo: todas)
+ * @returns {Array}
+ */
+function getActiveCategories(tipo = null) {
+    return (AppState.categories || []).filter(c =>
+        c.activa !== false && (!tipo || c.tipo === 'AMBOS' || c.tipo === tipo)
+    );
+}
+
+/**
+ * Busca una categoría por id
+ * @param {string} categoriaId - ID de la categoría
+ * @returns {Object|null}
+ */
+function getCategory(categoriaId) {
+    if (!categoriaId) return null;
+    return (AppState.categories || []).find(c => c.id === categoriaId) || null;
+}
+
+/**
+ * Nombre de una categoría a partir de su id
+ * @param {string} categoriaId - ID de la categoría
+ * @returns {string}
+ */
+function getCategoryName(categoriaId) {
+    if (!categoriaId) return 'Sin categoría';
+    const category = getCategory(categoriaId);
+    return category ? category.nombre : 'Categoría eliminada';
+}
+
+/**
+ * Totales por categoría en el rango para los gráficos (rechazados y transferencias no cuentan)
+ * Calculado en Postgres (RPC daviplata_totales_categorias, ver sql/015_analitica.sql)
+ * @param {Date} desde - Inicio del rango
+ * @param {Date} hasta - Fin del rango
+ * @param {string} tipo - INGRESO | EGRESO
+ * @returns {Promise<Array>} - [{ categoria_id, nombre, color, total }] de mayor a menor
+ */
+async function getCategoryTotals(desde, hasta, tipo = 'EGRESO') {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client.rpc('daviplata_totales_categorias', {
+            p_desde: desde.toISOString(),
+            p_hasta: hasta.toISOString(),
+            p_tipo: tipo
+        });
+
+        if (error) {
+            console.error('❌ Error obteniendo totales por categoría:', error);
+            return [];
+        }
+
+        return (data || []).map(row => ({
+            categoria_id: row.categoria_id,
+            nombre: getCategoryName(row.categoria_id),
+            color: getCategory(row.categoria_id)?.color || UNCATEGORIZED_COLOR,
+            total: parseFloat(row.total) || 0
+        }));
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Consumo del presupuesto mensual de una categoría si se registra un egreso
+ * @param {string} categoriaId - ID de la categoría
+ * @param {number} monto - Monto del egreso en la moneda base
+ * @param {Object} options
+ * @param {Object} options.previous - Versión anterior del movimiento al editar (no se cuenta dos veces)
+ * @returns {Promise<Object|null>} - { categoria, presupuesto, gastado, restante, excede } o null sin presupuesto
+ */
+async function checkCategoryBudget(categoriaId, monto, options = {}) {
+    const category = getCategory(categoriaId);
+    if (!category || !category.presupuesto_mensual) return null;
+
+    const previous = options.previous;
+    const fecha = previous?.fecha || new Date();
+    const spending = await getCategorySpending(fecha);
+    if (!spending) return null;
+
+    let gastado = spending[categoriaId] || 0;
+    if (previous && previous.tipo === 'EGRESO' && previous.categoria_id === categoriaId && previous.verified !== 'RECHAZADO') {
+        gastado -= getBaseAmount(previous);
+    }
+
+    const presupuesto = parseFloat(category.presupuesto_mensual) || 0;
+    const restante = presupuesto - gastado;
+
+    return {
+        categoria: category,
+        presupuesto,
+        gastado,
+        restante,
+        excede: monto > restante
+    };
+}
+
+/**
+ * Llena un <select> con las categorías activas de un tipo
+ * @param {HTMLSelectElement} select - Elemento a llenar
+ * @param {Object} options
+ * @param {string} options.tipo - INGRESO | EGRESO
+ * @param {string} options.selected - ID seleccionado (se conserva aunque la categoría esté inactiva)
+ */
+function renderCategoryOptions(select, options = {}) {
+    if (!select) return;
+
+    const categories = getActiveCategories(options.tipo);
+    const selected = getCategory(options.selected);
+    if (selected && !categories.includes(selected)) categories.push(selected);
+
+    select.innerHTML = '<option value="">Sin categoría</option>' + categories.map(c =>
+        `<option value="${c.id}">${escapeHtml(c.nombre)}</option>`
+    ).join('');
+
+    select.value = selected ? selected.id : '';
+}
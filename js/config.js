@@ -7,27 +7,84 @@ const CONFIG = {
     SUPABASE_URL: 'https://lpsupabase.luispintasolutions.com',
     SUPABASE_ANON_KEY: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.ewogICJyb2xlIjogImFub24iLAogICJpc3MiOiAic3VwYWJhc2UiLAogICJpYXQiOiAxNzE1MDUwODAwLAogICJleHAiOiAxODcyODE3MjAwCn0.LJEZ3yyGRxLBmCKM9z3EW-Yla1SszwbmvQMngMe3IWA',
 
-    // Supabase Storage - Bucket para comprobantes
+    // Supabase Storage - Bucket privado de comprobantes (ver sql/013_comprobantes_privados.sql)
+    RECEIPTS_BUCKET: 'daviplata-comprobantes',
+    // Bucket público anterior: solo para migrar los comprobantes que aún están ahí
     STORAGE_BUCKET: 'luispintapersonal',
 
+    // Duración de los enlaces firmados (segundos): para verlos en la app
+    // y para los que salen de ella (webhooks de WhatsApp, PDF y exportaciones)
+    SIGNED_URL_TTL: 600,
+    SIGNED_URL_TTL_SHARED: 86400,
+
     // Webhooks (solo para notificaciones)
     WEBHOOK_MOVEMENT: 'https://lpn8nwebhook.luispintasolutions.com/webhook/daviplataevo',
     WEBHOOK_MOVEMENT_PDF: 'https://lpn8nwebhook.luispintasolutions.com/webhook/daviplataevopdf',
     WEBHOOK_VERIFY: 'https://lpn8nwebhook.luispintasolutions.com/webhook/daviplataverificacion',
     WEBHOOK_DELETE: 'https://lpn8nwebhook.luispintasolutions.com/webhook/daviplataeliminacion',
+    WEBHOOK_REJECT: 'https://lpn8nwebhook.luispintasolutions.com/webhook/daviplatarechazo',
+    // Alertas de las reglas (saldo bajo, movimiento grande, pendientes antiguos; ver js/alerts.js)
+    WEBHOOK_ALERT: 'https://lpn8nwebhook.luispintasolutions.com/webhook/daviplataalerta',
+    // Notificaciones push (n8n las envía con web-push a las suscripciones de sql/018_notificaciones_push.sql)
+    WEBHOOK_PUSH: 'https://lpn8nwebhook.luispintasolutions.com/webhook/daviplatapush',
+    // Clave pública VAPID (la privada solo la tiene n8n); vacía = push desactivado
+    PUSH_VAPID_PUBLIC_KEY: '',
+
+    // Paginación de la lista de movimientos
+    MOVEMENTS_PAGE_SIZE: 25,
+
+    // Pronóstico del saldo (escritorio): días de historial para el promedio diario,
+    // ancho de la banda (1.28 ≈ 80 % de confianza) y saldo mínimo si no hay regla SALDO_BAJO activa
+    FORECAST_HISTORY_DAYS: 90,
+    FORECAST_CONFIDENCE_Z: 1.28,
+    FORECAST_MIN_BALANCE: 0,
+
+    // OCR del comprobante (Tesseract.js en el navegador; la imagen no se envía a ningún servicio)
+    OCR_ENABLED: true,
+    OCR_LANGUAGE: 'spa',
+    OCR_LIBRARY_URL: 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js',
+    OCR_LANG_PATH: 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/spa@1.0.0/4.0.0_best_int',
+
+    // Comprobantes duplicados: bits de diferencia (de 256) para considerar dos imágenes iguales
+    // (solo entre movimientos del mismo tipo y monto; el archivo idéntico se avisa siempre)
+    DUPLICATE_RECEIPT_MAX_DISTANCE: 12,
+
+    // Adjuntos por movimiento (imágenes y PDFs)
+    MAX_ATTACHMENTS: 5,
+    // Adjuntos PDF en el comprobante descargado: páginas que se dibujan como imagen (PDF.js)
+    PDF_ATTACHMENT_MAX_PAGES: 3,
+    PDFJS_LIBRARY_URL: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js',
+    PDFJS_WORKER_URL: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js',
+
+    // Subida reanudable de comprobantes (TUS) y espera en ms antes de cada reintento
+    TUS_LIBRARY_URL: 'https://cdn.jsdelivr.net/npm/tus-js-client@4.1.0/dist/tus.min.js',
+    UPLOAD_RETRY_DELAYS: [0, 1000, 3000, 5000, 10000, 20000],
 
     // Image Compression Settings
     IMAGE_MAX_WIDTH: 1200,
     IMAGE_MAX_HEIGHT: 1200,
     IMAGE_QUALITY: 0.85,
+    // Fotos de comprobantes: recortar el fondo y enderezar (giro máximo en grados)
+    IMAGE_AUTO_CROP: true,
+    IMAGE_MAX_DESKEW: 10,
+    // Decodificador de fotos HEIC/HEIF (iPhone) para los navegadores que no las leen
+    HEIC_LIBRARY_URL: 'https://cdn.jsdelivr.net/npm/heic2any@0.0.4/dist/heic2any.min.js',
 
     // Date Format - Español
     DATE_LOCALE: 'es-ES',
 
-    // Currency - USD con 2 decimales
+    // Currency - Moneda base USD con 2 decimales (saldos, estadísticas y presupuestos)
     CURRENCY: 'USD',
     CURRENCY_SYMBOL: '$',
-    DECIMAL_PLACES: 2
+    DECIMAL_PLACES: 2,
+
+    // Monedas en que se puede registrar un movimiento (con su tasa a USD)
+    CURRENCIES: {
+        USD: { name: 'Dólar estadounidense', decimals: 2 },
+        COP: { name: 'Peso colombiano', decimals: 0 },
+        EUR: { name: 'Euro', decimals: 2 },
+        PEN: { name: 'Sol peruano', decimals: 2 }
+    }
 };
 
 // Export for use in other modules
@@ -0,0 +1,131 @@
+// ============================================
+// DAVIPLATA - CURRENCY MODULE
+// Movimientos en varias monedas: conversión a la
+// moneda base (CONFIG.CURRENCY) y formato de montos
+// ============================================
+
+/**
+ * Decimales con que se muestra una moneda
+ * @param {string} currency - Código ISO (USD, COP...)
+ * @returns {number}
+ */
+function getCurrencyDecimals(currency = CONFIG.CURRENCY) {
+    return CONFIG.CURRENCIES[currency]?.decimals ?? CONFIG.DECIMAL_PLACES;
+}
+
+/**
+ * Moneda de un movimiento (los anteriores a sql/010_monedas.sql no la traen)
+ * @param {Object} movement - Movimiento
+ * @returns {string}
+ */
+function getMovementCurrency(movement) {
+    return movement.moneda || CONFIG.CURRENCY;
+}
+
+/**
+ * Indica si el movimiento está en una moneda distinta a la base
+ * @param {Object} movement - Movimiento
+ * @returns {boolean}
+ */
+function isForeignCurrency(movement) {
+    return getMovementCurrency(movement) !== CONFIG.CURRENCY;
+}
+
+/**
+ * Monto de un movimiento en la moneda base
+ * Usa monto_base (columna generada); los de la cola offline se convierten aquí
+ * @param {Object} movement - Movimiento
+ * @returns {number}
+ */
+function getBaseAmount(movement) {
+    if (movement.monto_base !== undefined && movement.monto_base !== null) {
+        return parseFloat(movement.monto_base) || 0;
+    }
+    const monto = parseFloat(movement.monto) || 0;
+    const tasa = parseFloat(movement.tasa_cambio) || 1;
+    return Math.round((monto / tasa) * 100) / 100;
+}
+
+/**
+ * Monto en la moneda original del movimiento
+ * @param {Object} movement - Movimiento
+ * @returns {string} - Ej: COP 500,000
+ */
+function formatMovementAmount(movement) {
+    return formatCurrency(movement.monto, getMovementCurrency(movement));
+}
+
+/**
+ * Equivalente en la moneda base, solo si el movimiento está en otra moneda
+ * @param {Object} movement - Movimiento
+ * @returns {string} - Ej: ≈ $121.95 ('' en la moneda base)
+ */
+function formatMovementBaseAmount(movement) {
+    return isForeignCurrency(movement) ? `≈ ${formatCurrency(getBaseAmount(movement))}` : '';
+}
+
+/**
+ * Monto original seguido del equivalente y la tasa (mensajes de WhatsApp)
+ * @param {Object} movement - Movimiento
+ * @returns {string} - Ej: COP 500,000 (≈ $121.95 USD · 1 USD = 4,100 COP)
+ */
+function formatMovementAmountWithBase(movement) {
+    if (!isForeignCurrency(movement)) return formatMovementAmount(movement);
+    return `${formatMovementAmount(movement)} (${formatMovementBaseAmount(movement)} ${CONFIG.CURRENCY} · ${formatExchangeRate(movement.tasa_cambio, movement.moneda)})`;
+}
+
+/**
+ * Tasa de cambio legible
+ * @param {number} rate - Unidades de la moneda por 1 de la base
+ * @param {string} currency - Código ISO de la moneda
+ * @returns {string} - Ej: 1 USD = 4,100 COP
+ */
+function formatExchangeRate(rate, currency) {
+    const value = new Intl.NumberFormat('en-US', { maximumFractionDigits: 6 }).format(parseFloat(rate) || 0);
+    return `1 ${CONFIG.CURRENCY} = ${value} ${currency}`;
+}
+
+/**
+ * Última tasa usada para una moneda (para proponerla en el formulario)
+ * @param {string} currency - Código ISO
+ * @returns {Promise<number|null>}
+ */
+async function getLastExchangeRate(currency) {
+    const client = getSupabase();
+    if (!client || currency === CONFIG.CURRENCY) return null;
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_movimientos')
+            .select('tasa_cambio')
+            .eq('moneda', currency)
+            .order('fecha', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error('❌ Error obteniendo tasa de cambio:', error);
+            return null;
+        }
+
+        return data ? parseFloat(data.tasa_cambio) : null;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Llena un <select> con las monedas configuradas
+ * @param {HTMLSelectElement} select - Elemento a llenar
+ * @param {string} selected - Código seleccionado (por defecto la moneda base)
+ */
+function renderCurrencyOptions(select, selected = CONFIG.CURRENCY) {
+    if (!select) return;
+
+    select.innerHTML = Object.entries(CONFIG.CURRENCIES).map(([code, currency]) =>
+        `<option value="${code}" title="${escapeHtml(currency.name)}">${code}</option>`
+    ).join('');
+
+    select.value = selected;
+}
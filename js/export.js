@@ -0,0 +1,184 @@
+// ============================================
+// DAVIPLATA - EXPORT MODULE
+// Exportación de movimientos a CSV y Excel (SheetJS)
+// ============================================
+
+// Columnas exportadas (mismo orden en CSV y Excel)
+const EXPORT_COLUMNS = [
+    { key: 'fecha', label: 'Fecha', width: 18 },
+    { key: 'tipo', label: 'Tipo', width: 10 },
+    { key: 'monto', label: 'Monto', width: 12 },
+    { key: 'moneda', label: 'Moneda', width: 8 },
+    { key: 'tasa_cambio', label: 'Tasa de cambio', width: 12 },
+    { key: 'monto_base', label: `Monto ${CONFIG.CURRENCY}`, width: 12 },
+    { key: 'cuenta', label: 'Cuenta', width: 22 },
+    { key: 'cuenta_destino', label: 'Cuenta destino', width: 22 },
+    { key: 'categoria', label: 'Categoría', width: 18 },
+    { key: 'motivo', label: 'Motivo', width: 40 },
+    { key: 'estado', label: 'Estado', width: 12 },
+    { key: 'usuario', label: 'Usuario', width: 22 },
+    { key: 'comprobante', label: 'Comprobantes (URL)', width: 50 },
+    { key: 'created_at', label: 'Creado', width: 22 }
+];
+
+/**
+ * Convierte un movimiento en una fila plana para exportar
+ * @param {Object} mov - Movimiento (con daviplata_usuarios)
+ * @returns {Object}
+ */
+function toExportRow(mov) {
+    const user = mov.daviplata_usuarios;
+    return {
+        fecha: formatExportDate(mov.fecha),
+        tipo: mov.tipo,
+        monto: parseFloat(mov.monto) || 0,
+        moneda: getMovementCurrency(mov),
+        tasa_cambio: parseFloat(mov.tasa_cambio) || 1,
+        monto_base: getBaseAmount(mov),
+        cuenta: escapeFormula(getAccountName(mov.cuenta_id)),
+        cuenta_destino: escapeFormula(getAccountName(mov.cuenta_destino_id)),
+        categoria: escapeFormula(getCategoryName(mov.categoria_id)),
+        motivo: escapeFormula(mov.motivo || ''),
+        estado: mov.verified || '',
+        usuario: escapeFormula(user ? (user.nombre || user.email || '') : ''),
+        comprobante: getMovementAttachments(mov).map(a => a.url).filter(Boolean).join(' '),
+        created_at: mov.created_at || ''
+    };
+}
+
+/**
+ * Evita que Excel interprete como fórmula un texto escrito por el usuario
+ * (un motivo "=HYPERLINK(...)" se ejecutaría al abrir el archivo):
+ * se antepone un apóstrofo, igual en CSV y en Excel
+ */
+function escapeFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Fecha local legible y ordenable (AAAA-MM-DD HH:mm)
+ */
+function formatExportDate(date) {
+    if (!date) return '';
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Nombre base del archivo exportado
+ */
+function getExportFilename(options) {
+    const tipo = options.tipo && options.tipo !== 'TODOS' ? `_${options.tipo.toLowerCase()}s` : '';
+    const cuenta = options.cuenta ? `_${sanitizeFilename(options.cuenta)}` : '';
+    return `movimientos${tipo}${cuenta}_${sanitizeFilename(options.periodo || '')}`;
+}
+
+/**
+ * Descarga un Blob con el nombre indicado (enlace temporal)
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+        if (document.body.contains(link)) {
+            document.body.removeChild(link);
+        }
+        URL.revokeObjectURL(url);
+    }, 150);
+
+    console.log('Archivo exportado:', filename);
+}
+
+/**
+ * Escapa un valor para CSV (RFC 4180)
+ */
+function escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Genera y descarga un CSV con todos los movimientos
+ * Se antepone BOM para que Excel detecte UTF-8 (tildes y ñ)
+ * @param {Array} movements - Movimientos del periodo
+ * @param {Object} options - { periodo, tipo, cuenta }
+ */
+function generateMovementsCSV(movements, options = {}) {
+    const lines = [EXPORT_COLUMNS.map(c => escapeCSV(c.label)).join(',')];
+
+    movements.map(toExportRow).forEach(row => {
+        lines.push(EXPORT_COLUMNS.map(c => escapeCSV(row[c.key])).join(','));
+    });
+
+    const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `${getExportFilename(options)}.csv`);
+}
+
+/**
+ * Genera y descarga un Excel con la hoja de movimientos y una hoja de resumen
+ * @param {Array} movements - Movimientos del periodo
+ * @param {Object} stats - Totales del reporte (ver computeReportStats)
+ * @param {Object} options - { periodo, tipo, cuenta }
+ */
+function generateMovementsXLSX(movements, stats, options = {}) {
+    if (typeof XLSX === 'undefined') {
+        throw new Error('La librería de Excel no está disponible');
+    }
+
+    const workbook = XLSX.utils.book_new();
+
+    // Hoja 1: Movimientos
+    const rows = movements.map(toExportRow).map(row =>
+        EXPORT_COLUMNS.map(c => row[c.key])
+    );
+    const sheet = XLSX.utils.aoa_to_sheet([EXPORT_COLUMNS.map(c => c.label), ...rows]);
+    sheet['!cols'] = EXPORT_COLUMNS.map(c => ({ wch: c.width }));
+
+    // Formato numérico para las columnas de monto
+    const montoCols = EXPORT_COLUMNS
+        .map((c, index) => (c.key === 'monto' || c.key === 'monto_base' ? index : -1))
+        .filter(index => index >= 0);
+    for (let r = 1; r <= rows.length; r++) {
+        montoCols.forEach(c => {
+            const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+            if (cell) cell.z = '#,##0.00';
+        });
+    }
+
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Movimientos');
+
+    // Hoja 2: Resumen
+    const summary = XLSX.utils.aoa_to_sheet([
+        ['Reporte de Movimientos - DaviPlata'],
+        [],
+        ['Periodo', options.periodo || ''],
+        ['Tipo', options.tipo || 'TODOS'],
+        ['Cuenta', options.cuenta || 'Todas'],
+        ['Generado', formatExportDate(new Date())],
+        [],
+        ['Total ingresos', stats.total_ingresos],
+        ['Total egresos', stats.total_egresos],
+        ['Balance', stats.balance],
+        [],
+        ['Cantidad de ingresos', stats.cantidad_ingresos],
+        ['Cantidad de egresos', stats.cantidad_egresos],
+        ['Transferencias entre cuentas', stats.cantidad_transferencias],
+        ['Pendientes de verificación', stats.cantidad_pendientes],
+        ['Rechazados (no suman)', stats.cantidad_rechazados],
+        ['Total de registros', movements.length]
+    ]);
+    summary['!cols'] = [{ wch: 28 }, { wch: 26 }];
+    ['B8', 'B9', 'B10'].forEach(ref => {
+        if (summary[ref]) summary[ref].z = '#,##0.00';
+    });
+
+    XLSX.utils.book_append_sheet(workbook, summary, 'Resumen');
+
+    XLSX.writeFile(workbook, `${getExportFilename(options)}.xlsx`);
+}
@@ -0,0 +1,94 @@
+// ============================================
+// DAVIPLATA - FILTERS MODULE
+// Filtros guardados de la vista de movimientos (escritorio),
+// propios de cada usuario (ver sql/014_filtros_guardados.sql)
+// ============================================
+
+/**
+ * Obtiene los filtros guardados del usuario actual
+ * @returns {Promise<Array>} - [{ id, nombre, filtro }] por nombre
+ */
+async function getFilterPresets() {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_filtros_guardados')
+            .select('id, nombre, filtro')
+            .order('nombre', { ascending: true });
+
+        if (error) {
+            console.error('❌ Error obteniendo filtros guardados:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Crea o actualiza un filtro guardado
+ * @param {Object} preset - { id?, nombre, filtro } (sin filtro solo se renombra)
+ * @returns {Promise<Object|null>}
+ */
+async function saveFilterPreset(preset) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const row = { nombre: preset.nombre.trim() };
+        if (preset.filtro) row.filtro = preset.filtro;
+
+        const request = preset.id
+            ? client.from('daviplata_filtros_guardados').update(row).eq('id', preset.id)
+            : client.from('daviplata_filtros_guardados').insert([row]);
+
+        const { data, error } = await request.select('id, nombre, filtro').single();
+
+        if (error) {
+            console.error('❌ Error guardando filtro:', error);
+            showToast(error.code === '23505'
+                ? 'Ya tienes un filtro con ese nombre'
+                : 'Error al guardar el filtro', 'error');
+            return null;
+        }
+
+        console.log('✅ Filtro guardado:', data);
+        return data;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Borra un filtro guardado
+ * @param {string} id - ID del filtro
+ * @returns {Promise<boolean>}
+ */
+async function deleteFilterPreset(id) {
+    const client = getSupabase();
+    if (!client) return false;
+
+    try {
+        const { error } = await client
+            .from('daviplata_filtros_guardados')
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            console.error('❌ Error borrando filtro:', error);
+            showToast('Error al borrar el filtro', 'error');
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return false;
+    }
+}
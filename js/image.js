@@ -0,0 +1,551 @@
+// ============================================
+// DAVIPLATA - IMAGE MODULE
+// Preparación de las fotos de comprobantes antes de subirlas:
+// orientación EXIF, recorte del fondo, enderezado, tamaño máximo
+// y recompresión (que descarta los metadatos EXIF y GPS).
+// Este mismo archivo corre como Web Worker con OffscreenCanvas;
+// si el navegador no lo soporta, el proceso se hace en la página.
+// ============================================
+
+const IS_IMAGE_WORKER = typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope;
+
+// Lado de la copia reducida que se analiza para recortar y enderezar
+const IMAGE_ANALYSIS_SIZE = 360;
+
+// Paso (en grados) de los ángulos que se prueban al enderezar
+const DESKEW_STEP = 0.5;
+
+/**
+ * Canvas para dibujar: OffscreenCanvas en el worker (y donde exista), <canvas> si no
+ * @param {number} width
+ * @param {number} height
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+function createImageCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Codifica un canvas
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas
+ * @param {string} type - Tipo MIME
+ * @param {number} quality - 0 a 1
+ * @returns {Promise<Blob|null>}
+ */
+function canvasToBlob(canvas, type, quality) {
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality }).catch(() => null);
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+/**
+ * Decodifica una imagen ya girada según su orientación EXIF
+ * (las fotos de celular se guardan de lado con una marca de rotación)
+ * @param {Blob} blob - Imagen
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function decodeImage(blob) {
+    if (typeof createImageBitmap !== 'undefined') {
+        try {
+            return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        } catch (error) {
+            if (IS_IMAGE_WORKER) throw error;
+        }
+    }
+
+    // <img> también aplica la orientación EXIF (image-orientation: from-image)
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('No se pudo leer la imagen'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Procesa una foto de comprobante
+ * @param {Blob} blob - Imagen original
+ * @param {Object} options
+ * @param {number} options.maxWidth - Ancho máximo del resultado
+ * @param {number} options.maxHeight - Alto máximo del resultado
+ * @param {number} options.quality - Calidad de WebP/JPEG (0 a 1)
+ * @param {boolean} options.autoCrop - Recortar el fondo y enderezar
+ * @param {number} options.maxDeskew - Giro máximo al enderezar, en grados
+ * @returns {Promise<Blob>} - WebP o JPEG (el que pese menos), sin metadatos
+ */
+async function processReceiptImage(blob, options) {
+    const image = await decodeImage(blob);
+    const { width, height } = image;
+
+    const analysis = options.autoCrop
+        ? analyzeReceiptPhoto(image, options.maxDeskew)
+        : { angle: 0, crop: { x: 0, y: 0, width, height } };
+    const { angle, crop } = analysis;
+
+    const scale = Math.min(1, options.maxWidth / crop.width, options.maxHeight / crop.height);
+    const outWidth = Math.max(1, Math.round(crop.width * scale));
+    const outHeight = Math.max(1, Math.round(crop.height * scale));
+
+    const canvas = createImageCanvas(outWidth, outHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    // Fondo blanco: esquinas que deja el giro y transparencias de los PNG
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, outWidth, outHeight);
+
+    ctx.scale(scale, scale);
+    ctx.translate(-crop.x, -crop.y);
+    drawRotated(ctx, image, angle);
+    if (image.close) image.close();
+
+    // Safari devuelve PNG si no sabe codificar WebP: solo valen los tipos pedidos
+    const encoded = await Promise.all([
+        canvasToBlob(canvas, 'image/webp', options.quality),
+        canvasToBlob(canvas, 'image/jpeg', options.quality)
+    ]);
+    const [best] = encoded
+        .filter(b => b && (b.type === 'image/webp' || b.type === 'image/jpeg'))
+        .sort((a, b) => a.size - b.size);
+
+    if (!best) throw new Error('No se pudo codificar la imagen');
+    return best;
+}
+
+/**
+ * Dibuja la imagen completa girada alrededor de su centro
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ImageBitmap|HTMLImageElement} image
+ * @param {number} angle - Radianes
+ */
+function drawRotated(ctx, image, angle) {
+    const cx = image.width / 2;
+    const cy = image.height / 2;
+    ctx.translate(cx, cy);
+    ctx.rotate(angle);
+    ctx.translate(-cx, -cy);
+    ctx.drawImage(image, 0, 0);
+}
+
+// ============================================
+// RECORTE Y ENDEREZADO
+// ============================================
+
+/**
+ * Busca el papel del comprobante sobre el fondo y la inclinación de sus líneas
+ * Si la foto no tiene un papel claro sobre un fondo más oscuro, no se recorta
+ * @param {ImageBitmap|HTMLImageElement} image - Imagen ya orientada
+ * @param {number} maxDeskew - Giro máximo, en grados
+ * @returns {Object} - { angle (radianes), crop: { x, y, width, height } en píxeles de la imagen }
+ */
+function analyzeReceiptPhoto(image, maxDeskew) {
+    const { width, height } = image;
+    const full = { x: 0, y: 0, width, height };
+    const scale = Math.min(1, IMAGE_ANALYSIS_SIZE / Math.max(width, height));
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+
+    const original = getLuminance(image, scale, w, h, 0);
+    const threshold = getOtsuThreshold(original);
+    const paper = findPaperBox(original, w, h, threshold);
+
+    // La inclinación se mide en el texto (píxeles oscuros) dentro del papel
+    const angle = estimateSkew(original, w, h, threshold, paper || { x: 0, y: 0, width: w, height: h }, maxDeskew);
+
+    let box = paper;
+    if (angle) {
+        const rotated = getLuminance(image, scale, w, h, angle);
+        box = findPaperBox(rotated, w, h, getOtsuThreshold(rotated));
+    }
+    if (!box) return { angle, crop: full };
+
+    // Un pequeño margen para no cortar el borde del papel
+    const pad = Math.round(Math.max(w, h) * 0.01);
+    const x = Math.max(0, Math.floor((box.x - pad) / scale));
+    const y = Math.max(0, Math.floor((box.y - pad) / scale));
+    return {
+        angle,
+        crop: {
+            x,
+            y,
+            width: Math.min(width, Math.ceil((box.x + box.width + pad) / scale)) - x,
+            height: Math.min(height, Math.ceil((box.y + box.height + pad) / scale)) - y
+        }
+    };
+}
+
+/**
+ * Luminancia (0-255) de la copia reducida, opcionalmente girada
+ * Las esquinas vacías del giro quedan negras para que no parezcan papel
+ * @returns {Uint8ClampedArray} - Un valor por píxel
+ */
+function getLuminance(image, scale, w, h, angle) {
+    const canvas = createImageCanvas(w, h);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, w, h);
+    ctx.scale(scale, scale);
+    drawRotated(ctx, image, angle);
+
+    const { data } = ctx.getImageData(0, 0, w, h);
+    const lum = new Uint8ClampedArray(w * h);
+    for (let i = 0; i < lum.length; i++) {
+        lum[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+    }
+    return lum;
+}
+
+/**
+ * Umbral de Otsu: separa los píxeles claros (papel) de los oscuros (fondo, texto)
+ * @param {Uint8ClampedArray} lum - Luminancia
+ * @returns {number}
+ */
+function getOtsuThreshold(lum) {
+    const histogram = new Array(256).fill(0);
+    lum.forEach(v => histogram[v]++);
+
+    const total = lum.length;
+    const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+    let sumBack = 0;
+    let weightBack = 0;
+    let best = { threshold: 127, variance: 0 };
+
+    for (let t = 0; t < 256; t++) {
+        weightBack += histogram[t];
+        if (!weightBack) continue;
+        const weightFore = total - weightBack;
+        if (!weightFore) break;
+
+        sumBack += t * histogram[t];
+        const meanBack = sumBack / weightBack;
+        const meanFore = (sum - sumBack) / weightFore;
+        const variance = weightBack * weightFore * (meanBack - meanFore) ** 2;
+        if (variance > best.variance) best = { threshold: t, variance };
+    }
+    return best.threshold;
+}
+
+/**
+ * Rectángulo del papel: filas y columnas mayormente claras
+ * @returns {Object|null} - { x, y, width, height } o null si no hay nada que recortar
+ */
+function findPaperBox(lum, w, h, threshold) {
+    const bright = (x, y) => lum[y * w + x] > threshold;
+
+    const rows = [];
+    for (let y = 0; y < h; y++) {
+        let count = 0;
+        for (let x = 0; x < w; x++) if (bright(x, y)) count++;
+        if (count / w > 0.5) rows.push(y);
+    }
+    if (!rows.length) return null;
+    const top = rows[0];
+    const bottom = rows[rows.length - 1];
+
+    const cols = [];
+    for (let x = 0; x < w; x++) {
+        let count = 0;
+        for (let y = top; y <= bottom; y++) if (bright(x, y)) count++;
+        if (count / (bottom - top + 1) > 0.5) cols.push(x);
+    }
+    if (!cols.length) return null;
+    const left = cols[0];
+    const right = cols[cols.length - 1];
+
+    const box = { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+    const area = (box.width * box.height) / (w * h);
+    // Casi toda la imagen (captura, foto de cerca) o muy poca: mejor no tocarla
+    if (area > 0.95 || area < 0.3) return null;
+
+    // El papel debe ser claro y lo de afuera más bien oscuro
+    let inside = 0;
+    let outside = 0;
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            if (!bright(x, y)) continue;
+            const isInside = x >= left && x <= right && y >= top && y <= bottom;
+            if (isInside) inside++; else outside++;
+        }
+    }
+    const outsideArea = w * h - box.width * box.height;
+    if (inside / (box.width * box.height) < 0.6 || outside / outsideArea > 0.35) return null;
+
+    return box;
+}
+
+/**
+ * Inclinación de las líneas de texto por perfil de proyección: se prueba cada ángulo
+ * y gana el que deja las filas más marcadas (texto y espacios bien separados)
+ * @param {Object} area - { x, y, width, height } donde buscar texto
+ * @param {number} maxDeskew - Grados
+ * @returns {number} - Giro a aplicar en radianes (0 si no hay una inclinación clara)
+ */
+function estimateSkew(lum, w, h, threshold, area, maxDeskew) {
+    if (!maxDeskew) return 0;
+
+    // Solo el interior, sin los bordes del papel
+    const marginX = Math.round(area.width * 0.05);
+    const marginY = Math.round(area.height * 0.05);
+    const points = [];
+    for (let y = area.y + marginY; y < area.y + area.height - marginY; y++) {
+        for (let x = area.x + marginX; x < area.x + area.width - marginX; x++) {
+            if (lum[y * w + x] <= threshold) points.push(x - w / 2, y - h / 2);
+        }
+    }
+    if (points.length < 100) return 0;
+
+    const offset = Math.ceil(Math.hypot(w, h) / 2);
+    const profileScore = (degrees) => {
+        const radians = degrees * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const bins = new Float64Array(offset * 2 + 1);
+        for (let i = 0; i < points.length; i += 2) {
+            bins[Math.round(points[i + 1] * cos - points[i] * sin) + offset]++;
+        }
+        let score = 0;
+        for (let i = 1; i < bins.length; i++) score += (bins[i] - bins[i - 1]) ** 2;
+        return score;
+    };
+
+    const straight = profileScore(0);
+    let best = { degrees: 0, score: straight };
+    for (let degrees = -maxDeskew; degrees <= maxDeskew; degrees += DESKEW_STEP) {
+        const score = profileScore(degrees);
+        if (score > best.score) best = { degrees, score };
+    }
+
+    // Solo si la mejora es clara: una foto derecha no debe girar por ruido
+    if (Math.abs(best.degrees) < DESKEW_STEP || best.score < straight * 1.1) return 0;
+    return -best.degrees * Math.PI / 180;
+}
+
+// ============================================
+// WEB WORKER
+// ============================================
+
+if (IS_IMAGE_WORKER) {
+    self.onmessage = async (event) => {
+        const { id, blob, options } = event.data;
+        try {
+            self.postMessage({ id, blob: await processReceiptImage(blob, options) });
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+}
+
+let imageWorker = null;
+let imageWorkerRequests = 0;
+const imageWorkerPending = new Map();
+
+/**
+ * Worker compartido de procesamiento (null si el navegador no lo soporta)
+ * @returns {Worker|null}
+ */
+function getImageWorker() {
+    if (imageWorker !== null) return imageWorker || null;
+
+    const supported = typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && typeof createImageBitmap !== 'undefined';
+
+    try {
+        imageWorker = supported ? new Worker('js/image.js?v=1') : false;
+    } catch (error) {
+        console.warn('No se pudo iniciar el worker de imágenes:', error);
+        imageWorker = false;
+    }
+    if (!imageWorker) return null;
+
+    imageWorker.onmessage = (event) => {
+        const { id, blob, error } = event.data;
+        const request = imageWorkerPending.get(id);
+        if (!request) return;
+        imageWorkerPending.delete(id);
+        if (error) request.reject(new Error(error)); else request.resolve(blob);
+    };
+    imageWorker.onerror = (event) => {
+        console.warn('Falló el worker de imágenes:', event.message);
+        imageWorkerPending.forEach(request => request.reject(new Error(event.message)));
+        imageWorkerPending.clear();
+    };
+
+    return imageWorker;
+}
+
+/**
+ * Procesa una imagen en el worker y, si no se puede, en la página
+ * @param {Blob} blob - Imagen original
+ * @param {Object} options - Ver processReceiptImage
+ * @returns {Promise<Blob>}
+ */
+async function processImage(blob, options) {
+    const worker = getImageWorker();
+    if (worker) {
+        try {
+            return await new Promise((resolve, reject) => {
+                const id = ++imageWorkerRequests;
+                imageWorkerPending.set(id, { resolve, reject });
+                worker.postMessage({ id, blob, options });
+            });
+        } catch (error) {
+            console.warn('El worker no pudo procesar la imagen, se procesa en la página:', error);
+        }
+    }
+    return processReceiptImage(blob, options);
+}
+
+// ============================================
+// HEIC / HEIF (fotos de iPhone)
+// ============================================
+
+let heicLibraryPromise = null;
+
+/**
+ * Indica si un archivo es HEIC/HEIF (algunos navegadores no informan el tipo)
+ * @param {File|Blob} file
+ * @returns {boolean}
+ */
+function isHeicFile(file) {
+    return /^image\/hei[cf]/i.test(file.type || '') || /\.hei[cf]$/i.test(file.name || '');
+}
+
+/**
+ * Carga el decodificador HEIC solo la primera vez que se necesita
+ * @returns {Promise<void>}
+ */
+function loadHeicLibrary() {
+    if (window.heic2any) return Promise.resolve();
+
+    if (!heicLibraryPromise) {
+        heicLibraryPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CONFIG.HEIC_LIBRARY_URL;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                heicLibraryPromise = null;
+                reject(new Error('No se pudo cargar el decodificador HEIC'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    return heicLibraryPromise;
+}
+
+/**
+ * Convierte una foto HEIC en JPEG para poder verla, leerla (OCR) y procesarla
+ * Safari la decodifica por sí mismo: en ese caso se deja igual
+ * @param {File} file - Archivo seleccionado
+ * @returns {Promise<File>} - El mismo archivo si no es HEIC o el navegador lo soporta
+ */
+async function normalizeHeicFile(file) {
+    if (!isHeicFile(file)) return file;
+
+    try {
+        const bitmap = await createImageBitmap(file);
+        bitmap.close();
+        return file;
+    } catch (error) {
+        // El navegador no decodifica HEIC
+    }
+
+    await loadHeicLibrary();
+    const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+    // Las fotos con varias imágenes (ráfagas, Live Photos) devuelven una lista
+    const jpeg = Array.isArray(result) ? result[0] : result;
+    const name = (file.name || 'comprobante.heic').replace(/\.hei[cf]$/i, '') + '.jpg';
+    return new File([jpeg], name, { type: 'image/jpeg', lastModified: file.lastModified });
+}
+
+// ============================================
+// FOTO O CAPTURA DE PANTALLA
+// ============================================
+
+// Diferencia máxima entre la proporción de la imagen y la de la pantalla
+const SCREEN_ASPECT_TOLERANCE = 0.02;
+
+/**
+ * Lee de un JPEG el tamaño (marcador SOF) y si el EXIF trae marca o modelo de cámara
+ * (solo la cabecera: el EXIF y el SOF van antes de los datos de la imagen)
+ * @param {Blob} blob - Imagen JPEG
+ * @returns {Promise<Object|null>} - { width, height, camera } o null si no es un JPEG legible
+ */
+async function readJpegInfo(blob) {
+    const view = new DataView(await blob.slice(0, 256 * 1024).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    const info = { width: 0, height: 0, camera: false };
+    let offset = 2;
+    while (offset + 4 <= view.byteLength && view.getUint8(offset) === 0xFF) {
+        const marker = view.getUint8(offset + 1);
+        const length = view.getUint16(offset + 2);
+
+        // APP1 "Exif\0\0": IFD0 con Make (0x010F) o Model (0x0110)
+        if (marker === 0xE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, little);
+            if (ifd + 2 <= view.byteLength) {
+                const entries = view.getUint16(ifd, little);
+                for (let i = 0; i < entries && ifd + 2 + (i + 1) * 12 <= view.byteLength; i++) {
+                    const tag = view.getUint16(ifd + 2 + i * 12, little);
+                    if (tag === 0x010F || tag === 0x0110) info.camera = true;
+                }
+            }
+        }
+
+        // SOF0..SOF15 (sin DHT 0xC4, JPG 0xC8 ni DAC 0xCC): alto y ancho
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            if (offset + 9 > view.byteLength) break;
+            info.height = view.getUint16(offset + 5);
+            info.width = view.getUint16(offset + 7);
+            return info;
+        }
+
+        offset += 2 + length;
+    }
+    return info;
+}
+
+/**
+ * Indica si conviene recortar y enderezar la imagen: solo las fotos de cámara.
+ * Las capturas de pantalla llegan como PNG o, reenviadas por WhatsApp, como
+ * JPEG sin datos de cámara en el EXIF y con la proporción de una pantalla
+ * @param {File} file - Archivo seleccionado
+ * @param {Blob} source - Imagen ya decodificable (ver normalizeHeicFile)
+ * @returns {Promise<boolean>}
+ */
+async function isCameraPhoto(file, source) {
+    // El iPhone guarda las capturas en PNG: un HEIC es una foto (heic2any no conserva el EXIF)
+    if (isHeicFile(file)) return true;
+    if (source.type !== 'image/jpeg') return false;
+
+    try {
+        const info = await readJpegInfo(source);
+        if (!info || !info.camera) return false;
+        if (!info.width || !info.height || typeof screen === 'undefined') return true;
+
+        // Lado largo / lado corto: no importa la orientación
+        const imageAspect = Math.max(info.width, info.height) / Math.min(info.width, info.height);
+        const screenAspect = Math.max(screen.width, screen.height) / Math.min(screen.width, screen.height);
+        return Math.abs(imageAspect - screenAspect) / screenAspect > SCREEN_ASPECT_TOLERANCE;
+    } catch (error) {
+        console.warn('No se pudo leer la cabecera de la imagen:', error);
+        return false;
+    }
+}
@@ -5,8 +5,24 @@
 // ============================================
 
 /**
- * Obtiene todos los movimientos
+ * Obtiene movimientos filtrados y paginados en el servidor
+ * Paginación por cursor (created_at/id) cuando se ordena por creación,
+ * o por rango (offset) para cualquier otro orden.
  * @param {Object} options - Opciones de filtrado
+ * @param {string} options.tipo - 'INGRESO' | 'EGRESO' | 'TRANSFERENCIA' | 'TODOS'
+ * @param {string} options.verified - Estado de verificación ('PENDIENTE', 'VERIFICADO')
+ * @param {string} options.dateFrom - Fecha mínima (ISO, sobre `fecha`)
+ * @param {string} options.dateTo - Fecha máxima (ISO, sobre `fecha`)
+ * @param {number} options.amtMin - Monto mínimo
+ * @param {number} options.amtMax - Monto máximo
+ * @param {string} options.search - Texto a buscar en el motivo
+ * @param {string} options.usuarioId - Solo movimientos de este usuario
+ * @param {string} options.cuentaId - Solo movimientos de esta cuenta (origen o destino)
+ * @param {string} options.orderBy - Columna de orden (por defecto 'created_at')
+ * @param {boolean} options.ascending - Orden ascendente (por defecto false)
+ * @param {Object} options.cursor - { created_at, id } del último elemento de la página anterior
+ * @param {number} options.offset - Posición inicial (paginación por rango)
+ * @param {number} options.limit - Tamaño de página
  * @returns {Promise<Array>}
  */
 async function getMovements(options = {}) {
@@ -14,18 +30,69 @@ async function getMovements(options = {}) {
     if (!client) return [];
 
     try {
+        const orderBy = options.orderBy || 'created_at';
+        const ascending = !!options.ascending;
+
         let query = client
             .from('daviplata_movimientos')
             .select('*, daviplata_usuarios(nombre, email)')
-            .order('created_at', { ascending: false });
+            .order(orderBy, { ascending })
+            .order('id', { ascending });
 
         // Filtrar por tipo
         if (options.tipo && options.tipo !== 'TODOS') {
             query = query.eq('tipo', options.tipo);
         }
 
-        // Limitar resultados
-        if (options.limit) {
+        // Filtrar por estado de verificación
+        if (options.verified) {
+            query = query.eq('verified', options.verified);
+        }
+
+        // Rango de fechas
+        if (options.dateFrom) query = query.gte('fecha', options.dateFrom);
+        if (options.dateTo) query = query.lte('fecha', options.dateTo);
+
+        // Rango de montos (en USD, para comparar movimientos de distintas monedas)
+        if (options.amtMin !== null && options.amtMin !== undefined) query = query.gte('monto_base', options.amtMin);
+        if (options.amtMax !== null && options.amtMax !== undefined) query = query.lte('monto_base', options.amtMax);
+
+        // Búsqueda de texto en el motivo
+        if (options.search) {
+            const term = options.search.replace(/[\\%_]/g, (c) => `\\${c}`);
+            query = query.ilike('motivo', `%${term}%`);
+        }
+
+        // Usuario
+        if (options.usuarioId) {
+            query = query.eq('usuario_id', options.usuarioId);
+        }
+
+        // Condiciones "o" (cuenta y cursor): PostgREST admite un solo `or` por
+        // consulta, así que si hay varias se agrupan dentro de un and(...)
+        const orFilters = [];
+
+        // Cuenta (las transferencias aparecen en origen y en destino)
+        if (options.cuentaId) {
+            orFilters.push(`cuenta_id.eq.${options.cuentaId},cuenta_destino_id.eq.${options.cuentaId}`);
+        }
+
+        // Paginación
+        if (options.cursor && orderBy === 'created_at') {
+            const op = ascending ? 'gt' : 'lt';
+            const { created_at, id } = options.cursor;
+            orFilters.push(`created_at.${op}."${created_at}",and(created_at.eq."${created_at}",id.${op}."${id}")`);
+        }
+
+        if (orFilters.length === 1) {
+            query = query.or(orFilters[0]);
+        } else if (orFilters.length > 1) {
+            query = query.or(`and(${orFilters.map(f => `or(${f})`).join(',')})`);
+        }
+
+        if (options.limit && options.offset) {
+            query = query.range(options.offset, options.offset + options.limit - 1);
+        } else if (options.limit) {
             query = query.limit(options.limit);
         }
 
@@ -44,6 +111,17 @@ async function getMovements(options = {}) {
     }
 }
 
+/**
+ * Cursor para pedir la página siguiente a getMovements
+ * @param {Array} page - Página recibida
+ * @returns {Object|null} - { created_at, id } del último elemento
+ */
+function getNextCursor(page) {
+    if (!page || page.length === 0) return null;
+    const last = page[page.length - 1];
+    return { created_at: last.created_at, id: last.id };
+}
+
 /**
  * Obtiene un movimiento por ID
  * @param {string} id - ID del movimiento
@@ -73,47 +151,133 @@ async function getMovementById(id) {
 }
 
 /**
- * Verifica si un movimiento puede ser editado
- * Reglas:
- * 1. Debe ser el último movimiento (no hay movimientos más nuevos)
- * 2. Debe tener menos de 30 minutos desde su creación
+ * Movimientos con el mismo comprobante o uno casi idéntico
+ * en cualquiera de sus adjuntos (RPC daviplata_comprobantes_similares,
+ * ver sql/011_comprobantes_duplicados.sql y sql/012_adjuntos.sql)
+ * La imagen casi idéntica solo cuenta con el mismo tipo y monto: sin ellos
+ * se busca únicamente la copia exacta del archivo
+ * @param {Object} hashes - { hash, phash } del comprobante (ver computeReceiptHashes)
+ * @param {string|null} excludeId - Movimiento que se está editando
+ * @param {Object|null} movement - { tipo, monto_base } del formulario
+ * @returns {Promise<Array>}
+ */
+async function findSimilarReceipts(hashes, excludeId = null, movement = null) {
+    const client = getSupabase();
+    if (!client || !hashes || (!hashes.hash && !hashes.phash)) return [];
+
+    try {
+        const { data, error } = await client.rpc('daviplata_comprobantes_similares', {
+            p_hash: hashes.hash,
+            p_phash: hashes.phash,
+            p_distancia: CONFIG.DUPLICATE_RECEIPT_MAX_DISTANCE,
+            p_excluir: excludeId,
+            p_tipo: movement?.tipo || null,
+            p_monto_base: movement?.monto_base || null
+        });
+
+        if (error) {
+            console.error('❌ Error buscando comprobantes duplicados:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+// Política por defecto (la misma que trae sql/005_politica_edicion.sql)
+const DEFAULT_EDIT_POLICY = {
+    ventana_minutos: 30,     // 0 = sin límite de tiempo
+    solo_ultimo: 'global',   // 'global' | 'usuario' | 'ninguno'
+    admin_sin_limite: false  // los administradores no tienen restricciones
+};
+
+/**
+ * Carga la política de edición desde daviplata_configuracion
+ * El trigger daviplata_validar_edicion aplica las mismas reglas en la base
+ * @returns {Promise<Object>}
+ */
+async function loadEditPolicy() {
+    const valor = await getSetting('politica_edicion');
+    return { ...DEFAULT_EDIT_POLICY, ...(valor || {}) };
+}
+
+/**
+ * Verifica si un movimiento puede ser editado según la política de edición
+ * Reglas (ver DEFAULT_EDIT_POLICY):
+ * 1. Si solo_ultimo es 'global' o 'usuario', debe ser el último movimiento
+ *    (de todos o de quien lo registró)
+ * 2. Debe estar dentro de la ventana de ventana_minutos desde su creación
+ * 3. Con admin_sin_limite, el admin puede editar siempre
+ * Los usuarios (no admin) solo pueden editar sus propios movimientos
  * @param {Object} movement - El movimiento a verificar
  * @param {Array} allMovements - Todos los movimientos para comparar
+ * @param {Object} policy - Política de edición (por defecto la cargada en AppState)
  * @returns {Object} { canEdit: boolean, reason: string }
  */
-function canEditMovement(movement, allMovements) {
+function canEditMovement(movement, allMovements, policy = AppState.editPolicy || DEFAULT_EDIT_POLICY) {
     if (!movement || !allMovements || allMovements.length === 0) {
         return { canEdit: false, reason: 'Movimiento no encontrado' };
     }
 
-    // Ordenar por fecha de creación (más reciente primero)
-    const sorted = [...allMovements].sort((a, b) =>
-        new Date(b.created_at) - new Date(a.created_at)
-    );
+    // Los usuarios solo editan lo suyo (RLS en sql/006_seguridad_roles.sql)
+    if (!AppState.isAdmin && movement.usuario_id !== AppState.userProfile?.id) {
+        return { canEdit: false, reason: 'Solo puedes editar tus propios movimientos' };
+    }
+
+    // ...y solo mientras siguen pendientes (trigger daviplata_validar_estado)
+    if (!AppState.isAdmin && movement.verified !== 'PENDIENTE') {
+        return { canEdit: false, reason: 'Solo se pueden editar los movimientos pendientes de verificación' };
+    }
 
-    const latestMovement = sorted[0];
+    if (policy.admin_sin_limite && AppState.isAdmin) {
+        return { canEdit: true, reason: 'Como administrador puedes editar este movimiento' };
+    }
 
-    // Verificar si es el último movimiento
-    if (movement.id !== latestMovement.id) {
-        return {
-            canEdit: false,
-            reason: 'Solo se puede editar el último movimiento registrado'
-        };
+    // Verificar si es el último movimiento (global o del mismo usuario)
+    if (policy.solo_ultimo === 'global' || policy.solo_ultimo === 'usuario') {
+        const candidates = policy.solo_ultimo === 'usuario'
+            ? allMovements.filter(m => m.usuario_id === movement.usuario_id)
+            : allMovements;
+
+        // Ordenar por fecha de creación (más reciente primero), igual que la base
+        const sorted = [...candidates].sort((a, b) =>
+            new Date(b.created_at) - new Date(a.created_at) || String(b.id).localeCompare(String(a.id))
+        );
+
+        const latestMovement = sorted[0];
+
+        if (latestMovement && movement.id !== latestMovement.id) {
+            return {
+                canEdit: false,
+                reason: policy.solo_ultimo === 'usuario'
+                    ? 'Solo se puede editar el último movimiento del usuario'
+                    : 'Solo se puede editar el último movimiento registrado'
+            };
+        }
+    }
+
+    // Sin límite de tiempo
+    const windowMinutes = parseInt(policy.ventana_minutos, 10) || 0;
+    if (windowMinutes <= 0) {
+        return { canEdit: true, reason: 'Puedes editar este movimiento' };
     }
 
-    // Verificar si han pasado menos de 30 minutos
+    // Verificar si sigue dentro de la ventana de edición
     const createdAt = new Date(movement.created_at);
     const now = new Date();
     const diffMinutes = (now - createdAt) / (1000 * 60);
 
-    if (diffMinutes > 30) {
+    if (diffMinutes > windowMinutes) {
         return {
             canEdit: false,
-            reason: 'Han pasado más de 30 minutos desde la creación'
+            reason: `Han pasado más de ${windowMinutes} minutos desde la creación`
         };
     }
 
-    const remainingMinutes = Math.ceil(30 - diffMinutes);
+    const remainingMinutes = Math.ceil(windowMinutes - diffMinutes);
     return {
         canEdit: true,
         reason: `Puedes editar por ${remainingMinutes} minuto${remainingMinutes !== 1 ? 's' : ''} más`
@@ -122,6 +286,8 @@ function canEditMovement(movement, allMovements) {
 
 /**
  * Crea un nuevo movimiento
+ * Si el movimiento trae un id generado en el cliente (cola offline) y ya
+ * existe en la base, se devuelve el existente en lugar de duplicarlo.
  * @param {Object} movement - Datos del movimiento
  * @param {string} usuarioId - ID del usuario que crea el movimiento
  * @returns {Promise<Object|null>}
@@ -131,28 +297,48 @@ async function createMovement(movement, usuarioId) {
     if (!client) return null;
 
     try {
+        const row = {
+            usuario_id: usuarioId,
+            tipo: movement.tipo,
+            monto: movement.monto,
+            motivo: movement.motivo,
+            comprobante_url: movement.comprobante_url || null,
+            comprobante_hash: movement.comprobante_hash || null,
+            comprobante_phash: movement.comprobante_phash || null,
+            adjuntos: movement.adjuntos || [],
+            fecha: movement.fecha || new Date().toISOString(),
+            verified: movement.verified || 'PENDIENTE'
+        };
+        // Sin cuenta (colas offline antiguas) la base asigna la cuenta predeterminada
+        if (movement.cuenta_id) row.cuenta_id = movement.cuenta_id;
+        if (movement.tipo === 'TRANSFERENCIA') row.cuenta_destino_id = movement.cuenta_destino_id;
+        if (movement.categoria_id) row.categoria_id = movement.categoria_id;
+        // Sin moneda (colas offline antiguas) la base asume USD con tasa 1
+        if (movement.moneda) {
+            row.moneda = movement.moneda;
+            row.tasa_cambio = movement.tasa_cambio || 1;
+        }
+        if (movement.id) row.id = movement.id;
+
         const { data, error } = await client
             .from('daviplata_movimientos')
-            .insert([{
-                usuario_id: usuarioId,
-                tipo: movement.tipo,
-                monto: movement.monto,
-                motivo: movement.motivo,
-                comprobante_url: movement.comprobante_url || null,
-                fecha: movement.fecha || new Date().toISOString(),
-                verified: movement.verified || 'PENDIENTE'
-            }])
+            .insert([row])
             .select()
             .single();
 
+        // Clave duplicada: el reenvío ya había insertado este movimiento
+        if (error && error.code === '23505' && movement.id) {
+            console.log('Movimiento ya registrado previamente:', movement.id);
+            return await getMovementById(movement.id);
+        }
+
         if (error) {
             console.error('❌ Error creando movimiento:', error);
-            showToast('Error al crear movimiento', 'error');
+            showToast(getPermissionErrorMessage(error, row) || 'Error al crear movimiento', 'error');
             return null;
         }
 
         console.log('✅ Movimiento creado:', data);
-
         return data;
     } catch (error) {
         console.error('❌ Error:', error);
@@ -162,7 +348,8 @@ async function createMovement(movement, usuarioId) {
 
 /**
  * Actualiza un movimiento existente
- * NOTA: Solo se puede actualizar el último movimiento y dentro de 30 minutos
+ * NOTA: La edición de monto/motivo/comprobante está sujeta a la política de edición,
+ * validada también en la base (trigger daviplata_validar_edicion)
  * @param {string} id - ID del movimiento
  * @param {Object} updates - Campos a actualizar
  * @returns {Promise<Object|null>}
@@ -175,11 +362,21 @@ async function updateMovement(id, updates) {
         // Solo permitir actualizar ciertos campos
         const allowedUpdates = {};
         if (updates.monto !== undefined) allowedUpdates.monto = updates.monto;
+        if (updates.moneda !== undefined) allowedUpdates.moneda = updates.moneda;
+        if (updates.tasa_cambio !== undefined) allowedUpdates.tasa_cambio = updates.tasa_cambio;
         if (updates.motivo !== undefined) allowedUpdates.motivo = updates.motivo;
         if (updates.comprobante_url !== undefined) allowedUpdates.comprobante_url = updates.comprobante_url;
+        if (updates.comprobante_hash !== undefined) allowedUpdates.comprobante_hash = updates.comprobante_hash;
+        if (updates.comprobante_phash !== undefined) allowedUpdates.comprobante_phash = updates.comprobante_phash;
+        if (updates.adjuntos !== undefined) allowedUpdates.adjuntos = updates.adjuntos;
         if (updates.verified !== undefined) allowedUpdates.verified = updates.verified;
         if (updates.idmessage !== undefined) allowedUpdates.idmessage = updates.idmessage;
         if (updates.remote_jid !== undefined) allowedUpdates.remote_jid = updates.remote_jid;
+        if (updates.motivo_rechazo !== undefined) allowedUpdates.motivo_rechazo = updates.motivo_rechazo;
+        if (updates.cuenta_id !== undefined) allowedUpdates.cuenta_id = updates.cuenta_id;
+        if (updates.cuenta_destino_id !== undefined) allowedUpdates.cuenta_destino_id = updates.cuenta_destino_id;
+        if (updates.categoria_id !== undefined) allowedUpdates.categoria_id = updates.categoria_id;
+        if (updates.notificado !== undefined) allowedUpdates.notificado = updates.notificado;
 
         const { data, error } = await client
             .from('daviplata_movimientos')
@@ -190,7 +387,9 @@ async function updateMovement(id, updates) {
 
         if (error) {
             console.error('❌ Error actualizando movimiento:', error);
-            showToast('Error al actualizar movimiento', 'error');
+            // El movimiento tal como está en la base, para explicar el rechazo
+            const previous = await getMovementById(id);
+            showToast(getPermissionErrorMessage(error, allowedUpdates, previous) || 'Error al actualizar movimiento', 'error');
             return null;
         }
 
@@ -203,84 +402,195 @@ async function updateMovement(id, updates) {
 }
 
 /**
- * Obtiene estadísticas de movimientos
- * @returns {Promise<Object>}
+ * Cambia el estado de un movimiento solo si sigue pendiente: si otro admin lo
+ * verificó o rechazó después de leerlo, la actualización no afecta filas
+ * @param {string} id - ID del movimiento
+ * @param {Object} changes - { verified, motivo_rechazo }
+ * @returns {Promise<Object>} - { movement } si se actualizó, { alreadyProcessed: true } si ya no
+ *                              estaba pendiente, {} si hubo un error
  */
-async function getStatistics() {
+async function updatePendingMovementStatus(id, changes) {
     const client = getSupabase();
-    if (!client) {
-        return {
-            total_ingresos: 0,
-            total_egresos: 0,
-            balance: 0,
-            cantidad_ingresos: 0,
-            cantidad_egresos: 0,
-            total_movimientos: 0
-        };
-    }
+    if (!client) return {};
 
     try {
-        // Intentar obtener todos los movimientos filtrando por VERIFICADO para el balance
-        const { data: movements, error } = await client
+        const { data, error } = await client
             .from('daviplata_movimientos')
-            .select('tipo, monto, verified');
+            .update(changes)
+            .eq('id', id)
+            .eq('verified', 'PENDIENTE')
+            .select();
 
         if (error) {
-            console.error('❌ Error obteniendo estadísticas:', error);
-            return {
-                total_ingresos: 0,
-                total_egresos: 0,
-                balance: 0,
-                cantidad_ingresos: 0,
-                cantidad_egresos: 0,
-                total_movimientos: 0,
-                total_pendiente: 0
-            };
+            console.error('❌ Error actualizando estado del movimiento:', error);
+            const previous = await getMovementById(id);
+            showToast(getPermissionErrorMessage(error, changes, previous) || 'Error al actualizar el estado del movimiento', 'error');
+            return {};
         }
 
-        const stats = movements.reduce((acc, mov) => {
-            const monto = parseFloat(mov.monto);
-            const isVerified = mov.verified === 'VERIFICADO';
-
-            if (mov.tipo === 'INGRESO') {
-                if (isVerified) {
-                    acc.total_ingresos += monto;
-                    acc.cantidad_ingresos++;
-                } else {
-                    acc.total_pendiente += monto;
-                }
-            } else {
-                // Egresos siempre se cuentan (o según lógica de negocio)
-                // Si quieres que egresos pendientes tampoco resten, añade condición
-                if (isVerified) {
-                    acc.total_egresos += monto;
-                    acc.cantidad_egresos++;
-                } else {
-                    acc.total_pendiente -= monto; // O ignora egresos pendientes
-                }
-            }
-            return acc;
-        }, {
-            total_ingresos: 0,
-            total_egresos: 0,
-            cantidad_ingresos: 0,
-            cantidad_egresos: 0,
-            total_pendiente: 0
-        });
+        if (!data.length) {
+            console.warn('El movimiento ya no estaba pendiente:', id);
+            return { alreadyProcessed: true };
+        }
+
+        console.log('✅ Estado del movimiento actualizado:', data[0]);
+        return { movement: data[0] };
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return {};
+    }
+}
+
+/**
+ * Traduce los rechazos de la base (RLS, trigger de edición) a un mensaje claro
+ * Las reglas están en sql/005_politica_edicion.sql y sql/006_seguridad_roles.sql
+ * @param {Object} error - Error devuelto por Supabase
+ * @param {Object} changes - Fila insertada o campos actualizados
+ * @param {Object} previous - Movimiento antes de actualizar (null al crear)
+ * @returns {string|null} - null si no es un error de permisos
+ */
+function getPermissionErrorMessage(error, changes = {}, previous = null) {
+    // Rechazo de la política de edición: el mensaje ya viene explicado
+    if (error.hint === 'EDICION_NO_PERMITIDA') return error.message;
+
+    // 42501: la fila no cumple la política RLS
+    // PGRST116: la actualización no afectó filas (la política la ocultó)
+    const isUpdate = !!previous;
+    if (error.code !== '42501' && !(isUpdate && error.code === 'PGRST116')) return null;
+
+    if (changes.verified === 'VERIFICADO' || changes.verified === 'RECHAZADO') {
+        return 'Solo los administradores pueden verificar o rechazar movimientos';
+    }
+    if ((changes.tipo || previous?.tipo) === 'TRANSFERENCIA') {
+        return 'Solo los administradores pueden registrar transferencias';
+    }
+    if ((changes.tipo || previous?.tipo) === 'EGRESO') {
+        return isUpdate
+            ? 'Solo los administradores pueden editar egresos'
+            : 'Solo los administradores pueden registrar egresos';
+    }
+    if (isUpdate && previous.usuario_id !== AppState.userProfile?.id) {
+        return 'Solo puedes editar tus propios movimientos';
+    }
+    return 'No tienes permisos para realizar esta acción';
+}
+
+/**
+ * Rechaza un movimiento pendiente
+ * El motivo es obligatorio: se guarda en el registro y se envía al usuario.
+ * Si otro admin ya lo verificó o rechazó, no se modifica
+ * @param {string} id - ID del movimiento
+ * @param {string} motivoRechazo - Motivo indicado por el administrador
+ * @returns {Promise<Object>} - Ver updatePendingMovementStatus
+ */
+async function rejectMovement(id, motivoRechazo) {
+    const reason = (motivoRechazo || '').trim();
+    if (!reason) {
+        showToast('Debes indicar el motivo del rechazo', 'error');
+        return {};
+    }
+
+    return await updatePendingMovementStatus(id, {
+        verified: 'RECHAZADO',
+        motivo_rechazo: reason
+    });
+}
+
+// ============================================
+// AUDITORÍA
+// ============================================
+
+// El historial lo escribe la base (trigger daviplata_registrar_auditoria en
+// sql/003_auditoria_movimientos.sql): la app solo lo lee
+
+/**
+ * Obtiene el historial de cambios de un movimiento (más antiguo primero)
+ * @param {string} movimientoId - ID del movimiento
+ * @returns {Promise<Array>}
+ */
+async function getMovementAudit(movimientoId) {
+    const client = getSupabase();
+    if (!client) return [];
 
-        stats.balance = stats.total_ingresos - stats.total_egresos;
-        stats.total_movimientos = movements.length;
+    try {
+        const { data, error } = await client
+            .from('daviplata_auditoria')
+            .select('*, daviplata_usuarios(nombre, email)')
+            .eq('movimiento_id', movimientoId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('❌ Error obteniendo historial:', error);
+            return [];
+        }
 
-        return stats;
+        return data || [];
     } catch (error) {
         console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Estadísticas vacías (sin conexión o error)
+ * @returns {Object}
+ */
+function emptyStatistics() {
+    return {
+        total_ingresos: 0,
+        total_egresos: 0,
+        balance: 0,
+        cantidad_ingresos: 0,
+        cantidad_egresos: 0,
+        total_movimientos: 0,
+        total_pendiente: 0
+    };
+}
+
+/**
+ * Obtiene estadísticas de movimientos
+ * Los totales se calculan en Postgres (RPC daviplata_estadisticas, ver sql/001_estadisticas.sql)
+ * Los movimientos RECHAZADOS no cuentan en ningún total (sql/002_rechazo_movimientos.sql)
+ * Las transferencias solo mueven saldo entre cuentas: sin cuentaId no alteran
+ * ningún total; con cuentaId suman/restan en balance (sql/007_cuentas.sql)
+ * @param {Object} options - Filtros opcionales
+ * @param {string} options.dateFrom - Fecha mínima (ISO, sobre `fecha`)
+ * @param {string} options.dateTo - Fecha máxima (ISO, sobre `fecha`)
+ * @param {string} options.usuarioId - Solo movimientos de este usuario
+ * @param {string} options.cuentaId - Solo esta cuenta
+ * @returns {Promise<Object>}
+ */
+async function getStatistics(options = {}) {
+    const client = getSupabase();
+    if (!client) return emptyStatistics();
+
+    try {
+        const { data, error } = await client
+            .rpc('daviplata_estadisticas', {
+                p_desde: options.dateFrom || null,
+                p_hasta: options.dateTo || null,
+                p_usuario_id: options.usuarioId || null,
+                p_cuenta_id: options.cuentaId || null
+            })
+            .single();
+
+        if (error) {
+            console.error('❌ Error obteniendo estadísticas:', error);
+            return emptyStatistics();
+        }
+
+        // numeric/bigint pueden llegar como string según la configuración de PostgREST
         return {
-            total_ingresos: 0,
-            total_egresos: 0,
-            balance: 0,
-            cantidad_ingresos: 0,
-            cantidad_egresos: 0,
-            total_movimientos: 0
+            total_ingresos: parseFloat(data.total_ingresos) || 0,
+            total_egresos: parseFloat(data.total_egresos) || 0,
+            balance: parseFloat(data.balance) || 0,
+            cantidad_ingresos: parseInt(data.cantidad_ingresos, 10) || 0,
+            cantidad_egresos: parseInt(data.cantidad_egresos, 10) || 0,
+            total_movimientos: parseInt(data.total_movimientos, 10) || 0,
+            total_pendiente: parseFloat(data.total_pendiente) || 0
         };
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return emptyStatistics();
     }
 }
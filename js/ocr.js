@@ -0,0 +1,204 @@
+// ============================================
+// DAVIPLATA - OCR MODULE
+// Lectura del comprobante en el navegador (Tesseract.js, WASM)
+// para proponer monto, fecha y referencia. La imagen no sale
+// del dispositivo: solo se descargan el motor y el idioma.
+// ============================================
+
+// Palabras que acompañan al monto en los comprobantes de DaviPlata y bancos
+const OCR_AMOUNT_KEYWORDS = /\b(valor|monto|total|importe|enviaste|recibiste|pagaste|transferiste|te enviaron)\b/i;
+
+// Referencia / número de aprobación (debe tener al menos un dígito)
+const OCR_REFERENCE_PATTERN = /\b(?:referencia|ref|comprobante|aprobaci[oó]n|autorizaci[oó]n|transacci[oó]n|operaci[oó]n|c[oó]digo)\b\.?(?:\s*(?:n[oº°]|n[uú]mero|#))?\.?\s*:?\s*([A-Z0-9][A-Z0-9-]{3,})/i;
+
+const OCR_MONTHS = ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'];
+
+let ocrLibraryPromise = null;
+let ocrWorkerPromise = null;
+let ocrProgressHandler = null;
+
+/**
+ * Carga Tesseract.js solo la primera vez que se necesita
+ * @returns {Promise<void>}
+ */
+function loadOcrLibrary() {
+    if (window.Tesseract) return Promise.resolve();
+
+    if (!ocrLibraryPromise) {
+        ocrLibraryPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CONFIG.OCR_LIBRARY_URL;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                ocrLibraryPromise = null;
+                reject(new Error('No se pudo cargar el motor OCR'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    return ocrLibraryPromise;
+}
+
+/**
+ * Worker de Tesseract compartido (crearlo cuesta más que reconocer)
+ * @returns {Promise<Object>}
+ */
+function getOcrWorker() {
+    if (!ocrWorkerPromise) {
+        ocrWorkerPromise = loadOcrLibrary()
+            .then(() => Tesseract.createWorker(CONFIG.OCR_LANGUAGE, 1, {
+                langPath: CONFIG.OCR_LANG_PATH,
+                logger: (message) => {
+                    if (ocrProgressHandler && message.status === 'recognizing text') {
+                        ocrProgressHandler(message.progress);
+                    }
+                }
+            }))
+            .catch(error => {
+                ocrWorkerPromise = null;
+                throw error;
+            });
+    }
+
+    return ocrWorkerPromise;
+}
+
+/**
+ * Lee un comprobante y extrae los datos sugeridos
+ * @param {File|Blob} file - Imagen del comprobante
+ * @param {Function} onProgress - Recibe el avance del reconocimiento (0 a 1)
+ * @returns {Promise<Object|null>} - { monto, moneda, fecha, referencia, text } o null si falla
+ */
+async function readReceipt(file, onProgress = null) {
+    try {
+        const worker = await getOcrWorker();
+
+        ocrProgressHandler = onProgress;
+        const { data } = await worker.recognize(file);
+
+        const result = parseReceiptText(data.text || '');
+        console.log('✅ OCR del comprobante:', result);
+        return result;
+    } catch (error) {
+        console.error('❌ Error leyendo el comprobante:', error);
+        return null;
+    } finally {
+        ocrProgressHandler = null;
+    }
+}
+
+/**
+ * Extrae monto, moneda, fecha y referencia del texto reconocido
+ * @param {string} text - Texto del OCR
+ * @returns {Object} - { monto, moneda, fecha, referencia, text } (null en lo que no encuentre)
+ */
+function parseReceiptText(text) {
+    const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+    const amount = findReceiptAmount(lines);
+
+    let referencia = null;
+    let fecha = null;
+    for (const line of lines) {
+        if (!referencia) {
+            const match = line.match(OCR_REFERENCE_PATTERN);
+            if (match && /\d/.test(match[1])) referencia = match[1];
+        }
+        if (!fecha) fecha = parseReceiptDate(line);
+    }
+
+    return {
+        monto: amount ? amount.value : null,
+        moneda: amount ? amount.moneda : null,
+        fecha,
+        referencia,
+        text
+    };
+}
+
+/**
+ * Busca el monto más probable: el que va junto a "Valor", "Monto", "$"...
+ * Si la etiqueta queda en una línea y el valor en la siguiente, también cuenta
+ * @param {Array<string>} lines - Líneas del OCR
+ * @returns {Object|null} - { value, moneda }
+ */
+function findReceiptAmount(lines) {
+    const codes = Object.keys(CONFIG.CURRENCIES).join('|');
+    const amountPattern = new RegExp(`(\\$|${codes})?\\s*(\\d{1,3}(?:[.,]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)\\s*(${codes})?`, 'gi');
+    let best = null;
+
+    lines.forEach((line, index) => {
+        // Las líneas de fecha y referencia también tienen números
+        if (parseReceiptDate(line) || OCR_REFERENCE_PATTERN.test(line)) return;
+
+        const clean = line.replace(/\d{1,2}:\d{2}(:\d{2})?/g, ' ');
+        const keyword = OCR_AMOUNT_KEYWORDS.test(line) || (index > 0 && OCR_AMOUNT_KEYWORDS.test(lines[index - 1]));
+
+        for (const match of clean.matchAll(amountPattern)) {
+            const symbol = match[1] || match[3];
+            const score = (keyword ? 3 : 0) + (symbol ? 2 : 0);
+            const value = parseReceiptAmount(match[2]);
+            if (!score || !value) continue;
+
+            if (!best || score > best.score || (score === best.score && value > best.value)) {
+                const code = symbol && symbol !== '$' ? symbol.toUpperCase() : null;
+                best = { value, moneda: code, score };
+            }
+        }
+    });
+
+    return best ? { value: best.value, moneda: best.moneda } : null;
+}
+
+/**
+ * Convierte un monto con separadores de miles/decimales en número
+ * Acepta 50.000 | 1.234,56 | 1,234.56 | 12.50
+ * @param {string} raw - Monto tal como aparece
+ * @returns {number|null}
+ */
+function parseReceiptAmount(raw) {
+    const value = raw.replace(/\s/g, '');
+    const lastSep = Math.max(value.lastIndexOf('.'), value.lastIndexOf(','));
+    if (lastSep === -1) return parseFloat(value) || null;
+
+    const sep = value[lastSep];
+    const other = sep === '.' ? ',' : '.';
+    const decimals = value.length - lastSep - 1;
+    // El último separador es decimal si aparece una sola vez y: hay del otro tipo antes, o no le siguen 3 dígitos
+    const isDecimal = value.split(sep).length === 2 && (value.includes(other) || decimals !== 3);
+
+    const integer = (isDecimal ? value.slice(0, lastSep) : value).replace(/[.,]/g, '');
+    const number = parseFloat(isDecimal ? `${integer}.${value.slice(lastSep + 1)}` : integer);
+    return number > 0 ? number : null;
+}
+
+/**
+ * Fecha de una línea del comprobante
+ * Acepta "15 de octubre de 2026", "15 oct. 2026", 15/10/2026 y 2026-10-15
+ * @param {string} line - Línea del OCR
+ * @returns {Date|null}
+ */
+function parseReceiptDate(line) {
+    let day, month, year;
+
+    const named = line.match(/\b(\d{1,2})\s+(?:de\s+)?([a-záéíóú]{3,})\.?\s+(?:de\s+|del\s+)?(\d{4})\b/i);
+    const numeric = line.match(/\b(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})\b/);
+    const iso = line.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+
+    const monthIndex = named ? OCR_MONTHS.indexOf(named[2].toLowerCase().slice(0, 3)) : -1;
+
+    if (monthIndex !== -1) {
+        [day, month, year] = [+named[1], monthIndex + 1, +named[3]];
+    } else if (iso) {
+        [year, month, day] = [+iso[1], +iso[2], +iso[3]];
+    } else if (numeric) {
+        [day, month, year] = [+numeric[1], +numeric[2], +numeric[3]];
+        if (year < 100) year += 2000;
+    } else {
+        return null;
+    }
+
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
@@ -0,0 +1,310 @@
+// ============================================
+// DAVIPLATA - OFFLINE QUEUE MODULE
+// Cola de movimientos sin conexión (IndexedDB)
+// y reenvío al recuperar la red
+// ============================================
+
+const OFFLINE_DB_NAME = 'daviplata-offline';
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_STORE = 'cola_movimientos';
+const OFFLINE_SYNC_TAG = 'daviplata-sync-movimientos';
+
+// Evita dos reenvíos simultáneos (evento online + mensaje del SW)
+let offlineQueueProcessing = false;
+
+/**
+ * Abre (o crea) la base IndexedDB de la cola offline
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOfflineDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+        request.onupgradeneeded = (e) => {
+            const db = e.target.result;
+            if (!db.objectStoreNames.contains(OFFLINE_STORE)) {
+                const store = db.createObjectStore(OFFLINE_STORE, { keyPath: 'id' });
+                store.createIndex('queued_at', 'queued_at');
+            }
+        };
+
+        request.onsuccess = (e) => resolve(e.target.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Ejecuta una operación sobre el object store de la cola
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} operation - Recibe el store y devuelve un IDBRequest
+ * @returns {Promise<any>}
+ */
+async function withOfflineStore(mode, operation) {
+    const db = await openOfflineDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OFFLINE_STORE, mode);
+        const request = operation(tx.objectStore(OFFLINE_STORE));
+        tx.oncomplete = () => { db.close(); resolve(request ? request.result : undefined); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+        tx.onabort = () => { db.close(); reject(tx.error); };
+    });
+}
+
+/**
+ * Genera un UUID v4 para identificar el movimiento desde el cliente.
+ * Este mismo id se inserta en Supabase, lo que hace el reenvío idempotente.
+ */
+function generateClientId() {
+    if (window.crypto && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Guarda un movimiento nuevo en la cola offline
+ * Los comprobantes se comprimen antes de guardarlos para no ocupar espacio de más
+ * @param {Object} movement - { tipo, monto, moneda, tasa_cambio, motivo, verified, cuenta_id, cuenta_destino_id, categoria_id }
+ * @param {Array<File>} files - Adjuntos seleccionados, en orden
+ * @param {string} usuarioId - ID del usuario que registra el movimiento
+ * @returns {Promise<Object>} - Entrada guardada en la cola
+ */
+async function queueOfflineMovement(movement, files, usuarioId) {
+    const id = generateClientId();
+    const queuedFiles = [];
+    for (const [index, file] of files.entries()) {
+        // Huellas sobre el original: el blob guardado ya va comprimido
+        const hashes = await computeReceiptHashes(file);
+        const blob = await compressImage(file);
+        // Tipo y extensión del archivo procesado, no del original (.png, .heic)
+        const type = blob.type || file.type || 'image/jpeg';
+        const extension = FILE_EXTENSIONS[type] || file.name.split('.').pop().toLowerCase() || 'jpg';
+        queuedFiles.push({
+            blob,
+            name: getUploadedFilename(file.name, type),
+            type,
+            path: `daviplata/offline_${id}_${index + 1}.${extension}`,
+            url: null,
+            hash: hashes.hash,
+            phash: hashes.phash
+        });
+    }
+
+    const entry = {
+        id,
+        usuario_id: usuarioId,
+        tipo: movement.tipo,
+        monto: movement.monto,
+        moneda: movement.moneda || CONFIG.CURRENCY,
+        tasa_cambio: movement.tasa_cambio || 1,
+        motivo: movement.motivo,
+        verified: movement.verified,
+        cuenta_id: movement.cuenta_id || null,
+        cuenta_destino_id: movement.cuenta_destino_id || null,
+        categoria_id: movement.categoria_id || null,
+        fecha: new Date().toISOString(),
+        queued_at: Date.now(),
+        files: queuedFiles,
+        is_pdf: queuedFiles[0]?.type === 'application/pdf',
+        notified: false
+    };
+
+    await withOfflineStore('readwrite', (store) => store.put(entry));
+    console.log('Movimiento guardado en cola offline:', entry.id);
+
+    registerOfflineSync();
+    return entry;
+}
+
+/**
+ * Obtiene los movimientos en cola (más antiguos primero)
+ * @param {string} usuarioId - Si se indica, solo los de ese usuario
+ * @returns {Promise<Array>}
+ */
+async function getQueuedMovements(usuarioId = null) {
+    try {
+        const entries = await withOfflineStore('readonly', (store) => store.index('queued_at').getAll());
+        return (entries || []).filter(e => !usuarioId || e.usuario_id === usuarioId);
+    } catch (error) {
+        console.warn('No se pudo leer la cola offline:', error);
+        return [];
+    }
+}
+
+/**
+ * Actualiza una entrada de la cola (progreso parcial del reenvío)
+ */
+function updateQueuedMovement(entry) {
+    return withOfflineStore('readwrite', (store) => store.put(entry));
+}
+
+/**
+ * Elimina una entrada de la cola
+ */
+function removeQueuedMovement(id) {
+    return withOfflineStore('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Adjuntos de una entrada de la cola
+ * Las entradas encoladas antes de los adjuntos múltiples tienen un solo `file`:
+ * se convierten a la lista conservando su ruta y su avance
+ * @param {Object} entry - Entrada de la cola
+ * @returns {Array} - [{ blob, name, type, path, ruta, url, hash, phash }]
+ */
+function getQueuedFiles(entry) {
+    if (!entry.files) {
+        const name = entry.file_name || 'comprobante.jpg';
+        const extension = name.split('.').pop().toLowerCase() || 'jpg';
+        entry.files = entry.file ? [{
+            blob: entry.file,
+            name,
+            type: entry.file_type || 'image/jpeg',
+            path: `daviplata/offline_${entry.id}.${extension}`,
+            url: entry.comprobante_url || null,
+            hash: entry.comprobante_hash || null,
+            phash: entry.comprobante_phash || null
+        }] : [];
+        delete entry.file;
+    }
+    return entry.files;
+}
+
+/**
+ * Reenvía un movimiento de la cola.
+ * Cada paso guarda su avance para que un reenvío interrumpido se pueda
+ * retomar sin duplicar registros:
+ * 1. Cada adjunto se sube a una ruta fija derivada del id (upsert)
+ * 2. El movimiento se inserta con el id generado en el cliente
+ * 3. Solo se notifica al webhook si el registro aún no tiene idmessage
+ * @param {Object} entry - Entrada de la cola
+ * @returns {Promise<Object>} - Movimiento creado en Supabase
+ */
+async function replayQueuedMovement(entry) {
+    // 1. Adjuntos (cada uno guarda su ruta al subirse; url = subido al bucket público antes de la migración)
+    for (const file of getQueuedFiles(entry)) {
+        if (file.ruta || file.url) continue;
+        const upload = await uploadToSupabaseStorage(file.blob, file.name, {
+            filePath: file.path,
+            upsert: true,
+            compress: false,
+            // Las entradas encoladas antes de las huellas las calculan sobre el blob comprimido
+            hashes: file.hash ? { hash: file.hash, phash: file.phash } : null
+        });
+        file.ruta = upload.ruta;
+        file.hash = upload.hash;
+        file.phash = upload.phash;
+        await updateQueuedMovement(entry);
+    }
+
+    const adjuntos = getQueuedFiles(entry).map(f => toStoredAttachment({ ruta: f.ruta, url: f.url, nombre: f.name, tipo: f.type, hash: f.hash, phash: f.phash }));
+
+    // 2. Movimiento (idempotente por id)
+    const movement = await createMovement({
+        id: entry.id,
+        tipo: entry.tipo,
+        monto: entry.monto,
+        moneda: entry.moneda,
+        tasa_cambio: entry.tasa_cambio,
+        motivo: entry.motivo,
+        ...getAttachmentFields(adjuntos),
+        fecha: entry.fecha,
+        verified: entry.verified,
+        cuenta_id: entry.cuenta_id,
+        cuenta_destino_id: entry.cuenta_destino_id,
+        categoria_id: entry.categoria_id
+    }, entry.usuario_id);
+
+    if (!movement) {
+        throw new Error('No se pudo crear el movimiento en cola');
+    }
+
+    // 3. Notificación
+    if (!entry.notified && !movement.idmessage) {
+        await notifyMovementWebhook(movement, false, entry.is_pdf);
+        await notifyPendingMovementPush(movement);
+        entry.notified = true;
+        await updateQueuedMovement(entry);
+    }
+
+    await checkAlertRules(movement);
+
+    return movement;
+}
+
+/**
+ * Procesa la cola offline del usuario actual
+ * Se detiene en el primer fallo para respetar el orden de registro
+ */
+async function processOfflineQueue() {
+    if (offlineQueueProcessing || !navigator.onLine) return;
+    if (!AppState.userProfile) return;
+
+    const entries = await getQueuedMovements(AppState.userProfile.id);
+    if (entries.length === 0) return;
+
+    offlineQueueProcessing = true;
+    let synced = 0;
+
+    try {
+        for (const entry of entries) {
+            try {
+                await replayQueuedMovement(entry);
+                await removeQueuedMovement(entry.id);
+                synced++;
+            } catch (error) {
+                console.warn('Reenvío de cola interrumpido:', error);
+                break;
+            }
+        }
+    } finally {
+        offlineQueueProcessing = false;
+    }
+
+    if (synced > 0) {
+        showToast(`${synced} movimiento${synced !== 1 ? 's' : ''} en cola sincronizado${synced !== 1 ? 's' : ''}`, 'success');
+        await loadDashboard();
+    }
+}
+
+/**
+ * Registra una Background Sync para que el SW avise cuando vuelva la red
+ * (si el navegador no la soporta, queda el evento 'online' como respaldo)
+ */
+function registerOfflineSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.ready
+        .then(reg => reg.sync ? reg.sync.register(OFFLINE_SYNC_TAG) : null)
+        .catch(err => console.warn('Background Sync no disponible:', err));
+}
+
+/**
+ * Indica si un error corresponde a falta de conexión
+ */
+function isNetworkError(error) {
+    if (!navigator.onLine) return true;
+    const message = String(error?.message || error || '');
+    return error instanceof TypeError || /failed to fetch|network|load failed/i.test(message);
+}
+
+/**
+ * Configura los disparadores de sincronización de la cola
+ */
+function setupOfflineSync() {
+    window.addEventListener('online', () => {
+        console.log('Conexión recuperada, procesando cola offline...');
+        processOfflineQueue();
+    });
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'SYNC_OFFLINE_QUEUE') {
+                processOfflineQueue();
+            }
+        });
+    }
+}
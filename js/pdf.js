@@ -4,15 +4,16 @@
 // ============================================
 
 /**
- * Formatea un monto como moneda USD con 2 decimales
+ * Formatea un monto como moneda (por defecto la base, USD con 2 decimales)
  */
-function formatCurrencyPDF(amount) {
+function formatCurrencyPDF(amount, currency = CONFIG.CURRENCY) {
     const value = parseFloat(amount) || 0;
+    const decimals = getCurrencyDecimals(currency);
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
+        currency,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
     }).format(value);
 }
 
@@ -160,6 +161,8 @@ async function generateQRCodeDataURL(text) {
  */
 async function generateMovementsReport(movements, stats, options = {}) {
     const { jsPDF } = window.jspdf;
+    // Enlaces de los comprobantes con la duración de los documentos compartidos
+    movements = await withSignedAttachments(movements, CONFIG.SIGNED_URL_TTL_SHARED);
     const doc = new jsPDF({
         orientation: 'portrait',
         unit: 'mm',
@@ -177,6 +180,7 @@ async function generateMovementsReport(movements, stats, options = {}) {
     const darkColor = [64, 64, 63]; // #40403F
     const successColor = [16, 185, 129]; // Verde
     const dangerColor = [239, 68, 68]; // Rojo
+    const transferColor = [59, 130, 246]; // Azul
 
     // ============================================
     // HEADER
@@ -210,7 +214,8 @@ async function generateMovementsReport(movements, stats, options = {}) {
     // Subtítulo
     yPos += 6;
     doc.setFontSize(10);
-    const subTitle = options.periodo ? `Reporte: ${options.periodo}` : 'Reporte Consolidado de Movimientos';
+    const subTitle = (options.periodo ? `Reporte: ${options.periodo}` : 'Reporte Consolidado de Movimientos') +
+        (options.cuenta ? ` · Cuenta: ${options.cuenta}` : '');
     doc.text(subTitle, margin, yPos);
 
     // Línea separadora
@@ -338,9 +343,11 @@ async function generateMovementsReport(movements, stats, options = {}) {
         doc.text(formatDateShort(mov.fecha), xPos, textY);
         xPos += colWidths[0];
 
-        // Tipo
-        doc.setTextColor(...(mov.tipo === 'INGRESO' ? successColor : dangerColor));
-        doc.text(mov.tipo === 'INGRESO' ? 'Ingreso' : 'Egreso', xPos, textY);
+        // Tipo (las transferencias suman o restan según la cuenta del reporte)
+        const sign = getMovementSign(mov, options.cuentaId || null);
+        const typeColor = mov.tipo === 'TRANSFERENCIA' ? transferColor : (mov.tipo === 'INGRESO' ? successColor : dangerColor);
+        doc.setTextColor(...typeColor);
+        doc.text(mov.tipo === 'TRANSFERENCIA' ? 'Transfer.' : (mov.tipo === 'INGRESO' ? 'Ingreso' : 'Egreso'), xPos, textY);
         xPos += colWidths[1];
 
         // Descripción (truncar)
@@ -352,19 +359,29 @@ async function generateMovementsReport(movements, stats, options = {}) {
         doc.text(motivo, xPos, textY);
         xPos += colWidths[2];
 
-        // Monto
+        // Monto (en USD, como los totales; debajo el monto original si es otra moneda)
         doc.setFont('helvetica', 'bold');
-        doc.setTextColor(...(mov.tipo === 'INGRESO' ? successColor : dangerColor));
-        const prefix = mov.tipo === 'INGRESO' ? '+' : '-';
-        doc.text(prefix + formatCurrencyPDF(mov.monto), xPos, textY);
+        doc.setTextColor(...typeColor);
+        const prefix = sign > 0 ? '+' : sign < 0 ? '-' : '';
+        if (isForeignCurrency(mov)) {
+            doc.text(prefix + formatCurrencyPDF(getBaseAmount(mov)), xPos, textY - 1);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(5.5);
+            doc.setTextColor(120, 120, 120);
+            doc.text(formatCurrencyPDF(mov.monto, mov.moneda), xPos, textY + 1.8);
+            doc.setFontSize(8);
+        } else {
+            doc.text(prefix + formatCurrencyPDF(mov.monto), xPos, textY);
+        }
         doc.setFont('helvetica', 'normal');
         xPos += colWidths[3];
 
-        // Comprobante (link o QR)
-        if (mov.comprobante_url) {
+        // Comprobante (link o QR al enlace firmado del primer adjunto)
+        const receiptUrl = getMovementAttachments(mov)[0]?.url;
+        if (receiptUrl) {
             if (isPrintMode) {
                 // Generar y añadir QR (aprox 150px/18mm)
-                const qrData = await generateQRCodeDataURL(mov.comprobante_url);
+                const qrData = await generateQRCodeDataURL(receiptUrl);
                 if (qrData) {
                     doc.addImage(qrData, 'PNG', xPos, yPos + 2, 18, 18);
                 } else {
@@ -373,7 +390,7 @@ async function generateMovementsReport(movements, stats, options = {}) {
                 }
             } else {
                 doc.setTextColor(...primaryColor);
-                doc.textWithLink('Ver recibo', xPos, textY, { url: mov.comprobante_url });
+                doc.textWithLink('Ver recibo', xPos, textY, { url: receiptUrl });
             }
         } else {
             doc.setTextColor(180, 180, 180);
@@ -411,6 +428,202 @@ async function generateMovementsReport(movements, stats, options = {}) {
     showToast('Reporte PDF descargado', 'success');
 }
 
+let pdfjsLibraryPromise = null;
+
+/**
+ * Carga PDF.js solo la primera vez que se necesita
+ * @returns {Promise<void>}
+ */
+function loadPdfjsLibrary() {
+    if (window.pdfjsLib) return Promise.resolve();
+
+    if (!pdfjsLibraryPromise) {
+        pdfjsLibraryPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CONFIG.PDFJS_LIBRARY_URL;
+            script.async = true;
+            script.onload = () => {
+                pdfjsLib.GlobalWorkerOptions.workerSrc = CONFIG.PDFJS_WORKER_URL;
+                resolve();
+            };
+            script.onerror = () => {
+                pdfjsLibraryPromise = null;
+                reject(new Error('No se pudo cargar el lector de PDF'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    return pdfjsLibraryPromise;
+}
+
+/**
+ * Dibuja las primeras páginas de un PDF como imágenes JPEG
+ * @param {string} url - Enlace firmado del PDF
+ * @param {number} maxPages - Páginas como máximo
+ * @returns {Promise<Object|null>} - { images: [base64], total } o null si no se pudo leer
+ */
+async function renderPdfPagesAsImages(url, maxPages) {
+    try {
+        await loadPdfjsLibrary();
+        const pdf = await pdfjsLib.getDocument({ url }).promise;
+        const images = [];
+
+        for (let number = 1; number <= Math.min(pdf.numPages, maxPages); number++) {
+            const page = await pdf.getPage(number);
+            // Escala 2: nítido al imprimir sin que el reporte pese demasiado
+            const viewport = page.getViewport({ scale: 2 });
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: ctx, viewport }).promise;
+            images.push(canvas.toDataURL('image/jpeg', 0.85));
+        }
+
+        const total = pdf.numPages;
+        pdf.destroy();
+        return { images, total };
+    } catch (error) {
+        console.warn('Error leyendo el PDF adjunto:', error);
+        return null;
+    }
+}
+
+/**
+ * Enlace a un adjunto que no se puede mostrar en el comprobante
+ * @param {jsPDF} doc - Documento
+ * @param {string} text - Texto del enlace
+ * @param {string} url - Enlace firmado del adjunto
+ * @param {number} yPos - Posición vertical actual
+ * @param {Object} layout - { margin, primaryColor }
+ * @returns {number} - Posición vertical después del enlace
+ */
+function addReceiptLink(doc, text, url, yPos, layout) {
+    const { margin, primaryColor } = layout;
+    const bottom = doc.internal.pageSize.getHeight() - 25; // Espacio del pie de página
+
+    if (yPos + 10 > bottom) {
+        doc.addPage();
+        yPos = margin;
+    }
+    yPos += 5;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...primaryColor);
+    doc.textWithLink(text, margin, yPos, { url });
+    return yPos + 3;
+}
+
+/**
+ * Agrega un adjunto al comprobante PDF
+ * Las imágenes se ajustan al ancho de la página y pasan a una página nueva si no
+ * caben. De los PDFs se dibujan las primeras CONFIG.PDF_ATTACHMENT_MAX_PAGES páginas
+ * y, si tienen más, un enlace al documento completo; lo que no se pudo cargar queda como enlace
+ * @param {jsPDF} doc - Documento
+ * @param {Object} attachment - { url, nombre, tipo }
+ * @param {string|null} label - Título del adjunto (solo cuando hay varios)
+ * @param {number} yPos - Posición vertical actual
+ * @param {Object} layout - { margin, primaryColor, darkColor }
+ * @returns {Promise<number>} - Posición vertical después del adjunto
+ */
+async function addReceiptAttachment(doc, attachment, label, yPos, layout) {
+    const withLabel = (text) => label ? `${label}: ${text}` : text;
+
+    if (isPdfAttachment(attachment)) {
+        const pdf = await renderPdfPagesAsImages(attachment.url, CONFIG.PDF_ATTACHMENT_MAX_PAGES);
+        if (!pdf || !pdf.images.length) {
+            return addReceiptLink(doc, withLabel('Ver documento PDF en línea'), attachment.url, yPos, layout);
+        }
+
+        for (const [index, imgData] of pdf.images.entries()) {
+            const pageLabel = pdf.total > 1 ? withLabel(`página ${index + 1} de ${pdf.total}`) : label;
+            yPos = await addReceiptImage(doc, imgData, pageLabel, attachment.url, yPos, layout);
+        }
+        if (pdf.total > pdf.images.length) {
+            yPos = addReceiptLink(doc, withLabel('Ver documento completo en línea'), attachment.url, yPos, layout);
+        }
+        return yPos;
+    }
+
+    const imgData = await loadImageAsBase64(attachment.url);
+    if (!imgData) {
+        return addReceiptLink(doc, withLabel('Ver comprobante en línea'), attachment.url, yPos, layout);
+    }
+    return addReceiptImage(doc, imgData, label, attachment.url, yPos, layout);
+}
+
+/**
+ * Agrega una imagen (foto o página de un PDF) al comprobante PDF
+ * @param {jsPDF} doc - Documento
+ * @param {string} imgData - Imagen en base64
+ * @param {string|null} label - Título sobre la imagen
+ * @param {string} url - Enlace del adjunto (si la imagen no se puede agregar)
+ * @param {number} yPos - Posición vertical actual
+ * @param {Object} layout - { margin, primaryColor, darkColor }
+ * @returns {Promise<number>} - Posición vertical después de la imagen
+ */
+async function addReceiptImage(doc, imgData, label, url, yPos, layout) {
+    const { margin, primaryColor, darkColor } = layout;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const bottom = doc.internal.pageSize.getHeight() - 25; // Espacio del pie de página
+    const labelHeight = label ? 6 : 0;
+
+    const img = new Image();
+    try {
+        img.src = imgData;
+        await new Promise((resolve, reject) => { img.onload = resolve; img.onerror = reject; });
+    } catch (e) {
+        console.warn('Error leyendo imagen del adjunto:', e);
+        return addReceiptLink(doc, label ? `${label}: Ver comprobante en línea` : 'Ver comprobante en línea', url, yPos, layout);
+    }
+
+    // Escalar manteniendo proporción: como máximo el ancho y una página completa
+    const pageMaxHeight = bottom - margin - labelHeight - 4;
+    let ratio = Math.min(1, (pageWidth - margin * 2) / img.width, pageMaxHeight / img.height);
+
+    // Si no cabe en lo que queda de la página se reduce hasta la mitad; si aun así no cabe, página nueva
+    const available = bottom - yPos - labelHeight - 4;
+    if (img.height * ratio > available) {
+        if (available >= img.height * ratio / 2) {
+            ratio = available / img.height;
+        } else {
+            doc.addPage();
+            yPos = margin;
+        }
+    }
+
+    const imgWidth = img.width * ratio;
+    const imgHeight = img.height * ratio;
+
+    if (label) {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(...darkColor);
+        doc.text(doc.splitTextToSize(label, pageWidth - margin * 2)[0], margin, yPos + 4);
+        yPos += labelHeight;
+    }
+
+    // Centrar imagen con marco
+    const imgX = (pageWidth - imgWidth) / 2;
+    try {
+        doc.setDrawColor(230, 230, 230);
+        doc.setLineWidth(0.5);
+        doc.roundedRect(imgX - 2, yPos, imgWidth + 4, imgHeight + 4, 2, 2, 'S');
+
+        doc.addImage(imgData, 'JPEG', imgX, yPos + 2, imgWidth, imgHeight);
+    } catch (e) {
+        console.warn('Error agregando imagen al PDF:', e);
+        // Link como fallback
+        doc.setTextColor(...primaryColor);
+        doc.textWithLink('Ver comprobante en línea', margin, yPos + 10, { url });
+    }
+
+    return yPos + imgHeight + 8;
+}
+
 /**
  * Genera un comprobante individual de movimiento con imagen
  * @param {Object} movement - Datos del movimiento
@@ -432,7 +645,8 @@ async function generateMovementReceipt(movement) {
     const primaryColor = [217, 107, 43];
     const darkColor = [64, 64, 63];
     const isIngreso = movement.tipo === 'INGRESO';
-    const typeColor = isIngreso ? [16, 185, 129] : [239, 68, 68];
+    const isTransfer = movement.tipo === 'TRANSFERENCIA';
+    const typeColor = isTransfer ? [59, 130, 246] : (isIngreso ? [16, 185, 129] : [239, 68, 68]);
 
     // ============================================
     // HEADER
@@ -492,8 +706,17 @@ async function generateMovementReceipt(movement) {
     yPos += 18;
     doc.setFontSize(36);
     doc.setTextColor(...typeColor);
-    const prefix = isIngreso ? '+' : '-';
-    doc.text(prefix + formatCurrencyPDF(movement.monto), pageWidth / 2, yPos, { align: 'center' });
+    const prefix = isTransfer ? '' : (isIngreso ? '+' : '-');
+    doc.text(prefix + formatCurrencyPDF(movement.monto, getMovementCurrency(movement)), pageWidth / 2, yPos, { align: 'center' });
+
+    // Equivalente en USD y tasa usada
+    if (isForeignCurrency(movement)) {
+        yPos += 8;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(120, 120, 120);
+        doc.text(`Equivale a ${formatCurrencyPDF(getBaseAmount(movement))} ${CONFIG.CURRENCY} (${formatExchangeRate(movement.tasa_cambio, movement.moneda)})`, pageWidth / 2, yPos, { align: 'center' });
+    }
 
     // ============================================
     // DETALLES
@@ -502,7 +725,7 @@ async function generateMovementReceipt(movement) {
 
     // Caja de detalles
     doc.setFillColor(250, 250, 250);
-    doc.roundedRect(margin, yPos, pageWidth - (margin * 2), 55, 3, 3, 'F');
+    doc.roundedRect(margin, yPos, pageWidth - (margin * 2), 65, 3, 3, 'F');
 
     const labelX = margin + 10;
     const valueX = margin + 45;
@@ -517,6 +740,15 @@ async function generateMovementReceipt(movement) {
     doc.setTextColor(...darkColor);
     doc.text(formatDatePDF(movement.fecha, { hour: '2-digit', minute: '2-digit' }), valueX, yPos);
 
+    // Cuenta (origen → destino en las transferencias)
+    yPos += 10;
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(120, 120, 120);
+    doc.text(isTransfer ? 'Cuentas:' : 'Cuenta:', labelX, yPos);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...darkColor);
+    doc.text(getMovementAccountLabel(movement, ' > '), valueX, yPos);
+
     // Motivo
     yPos += 12;
     doc.setFont('helvetica', 'normal');
@@ -548,83 +780,43 @@ async function generateMovementReceipt(movement) {
     doc.text(`ID: ${movement.id}`, labelX, yPos);
 
     // ============================================
-    // IMAGEN DEL COMPROBANTE
+    // ADJUNTOS
     // ============================================
-    if (movement.comprobante_url) {
+    const attachments = await getSignedAttachments(movement, CONFIG.SIGNED_URL_TTL_SHARED);
+    if (attachments.length) {
         yPos += 20;
 
         doc.setFont('helvetica', 'bold');
         doc.setFontSize(10);
         doc.setTextColor(...darkColor);
-        doc.text('Comprobante Adjunto', margin, yPos);
+        doc.text(attachments.length > 1 ? `Comprobantes Adjuntos (${attachments.length})` : 'Comprobante Adjunto', margin, yPos);
 
         yPos += 5;
 
-        // Intentar cargar la imagen
-        const imgData = await loadImageAsBase64(movement.comprobante_url);
-
-        if (imgData) {
-            const imgMaxWidth = pageWidth - (margin * 2);
-            const imgMaxHeight = pageHeight - yPos - 30;
-
-            try {
-                // Obtener dimensiones originales
-                const img = new Image();
-                img.src = imgData;
-                await new Promise(resolve => { img.onload = resolve; });
-
-                let imgWidth = img.width;
-                let imgHeight = img.height;
-
-                // Escalar manteniendo proporción
-                if (imgWidth > imgMaxWidth) {
-                    const ratio = imgMaxWidth / imgWidth;
-                    imgWidth = imgMaxWidth;
-                    imgHeight = imgHeight * ratio;
-                }
-                if (imgHeight > imgMaxHeight) {
-                    const ratio = imgMaxHeight / imgHeight;
-                    imgHeight = imgMaxHeight;
-                    imgWidth = imgWidth * ratio;
-                }
-
-                // Centrar imagen
-                const imgX = (pageWidth - imgWidth) / 2;
-
-                // Marco para imagen
-                doc.setDrawColor(230, 230, 230);
-                doc.setLineWidth(0.5);
-                doc.roundedRect(imgX - 2, yPos, imgWidth + 4, imgHeight + 4, 2, 2, 'S');
-
-                doc.addImage(imgData, 'JPEG', imgX, yPos + 2, imgWidth, imgHeight);
-            } catch (e) {
-                console.warn('Error agregando imagen al PDF:', e);
-                // Link como fallback
-                doc.setTextColor(...primaryColor);
-                doc.textWithLink('Ver comprobante en línea', margin, yPos + 10, { url: movement.comprobante_url });
-            }
-        } else {
-            // Si no se pudo cargar, mostrar link
-            yPos += 5;
-            doc.setFont('helvetica', 'normal');
-            doc.setFontSize(9);
-            doc.setTextColor(...primaryColor);
-            doc.textWithLink('Ver comprobante en línea', margin, yPos, { url: movement.comprobante_url });
+        for (const [index, attachment] of attachments.entries()) {
+            const label = attachments.length > 1 ? `${index + 1}. ${attachment.nombre || 'Adjunto'}` : null;
+            yPos = await addReceiptAttachment(doc, attachment, label, yPos, { margin, primaryColor, darkColor });
         }
     }
 
     // ============================================
     // FOOTER
     // ============================================
+    // En todas las páginas (las imágenes adjuntas pueden ocupar varias)
     const footerY = pageHeight - 15;
-    doc.setDrawColor(220, 220, 220);
-    doc.setLineWidth(0.2);
-    doc.line(margin, footerY - 5, pageWidth - margin, footerY - 5);
+    const generatedAt = formatDatePDF(new Date(), { hour: '2-digit', minute: '2-digit' });
+    for (let page = 1; page <= doc.getNumberOfPages(); page++) {
+        doc.setPage(page);
+        doc.setDrawColor(220, 220, 220);
+        doc.setLineWidth(0.2);
+        doc.line(margin, footerY - 5, pageWidth - margin, footerY - 5);
 
-    doc.setFontSize(7);
-    doc.setTextColor(150, 150, 150);
-    doc.text('Documento generado automáticamente por DaviPlata', pageWidth / 2, footerY, { align: 'center' });
-    doc.text(formatDatePDF(new Date(), { hour: '2-digit', minute: '2-digit' }), pageWidth / 2, footerY + 4, { align: 'center' });
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7);
+        doc.setTextColor(150, 150, 150);
+        doc.text('Documento generado automáticamente por DaviPlata', pageWidth / 2, footerY, { align: 'center' });
+        doc.text(generatedAt, pageWidth / 2, footerY + 4, { align: 'center' });
+    }
 
     // ============================================
     // GUARDAR
@@ -0,0 +1,319 @@
+// ============================================
+// DAVIPLATA - PUSH MODULE
+// Notificaciones Web Push: los admins se enteran de los ingresos
+// pendientes y cada usuario del resultado de la verificación.
+// Cada dispositivo se suscribe desde la app; n8n hace el envío
+// (ver sql/018_notificaciones_push.sql y sw.js)
+// ============================================
+
+/**
+ * Indica si el navegador y la configuración permiten notificaciones push
+ * (en iPhone solo funcionan con la app instalada en la pantalla de inicio)
+ * @returns {boolean}
+ */
+function isPushSupported() {
+    return !!CONFIG.PUSH_VAPID_PUBLIC_KEY &&
+        'serviceWorker' in navigator &&
+        'PushManager' in window &&
+        'Notification' in window;
+}
+
+/**
+ * Convierte la clave VAPID (base64 url-safe) al formato de pushManager.subscribe
+ * @param {string} key - Clave pública VAPID
+ * @returns {Uint8Array}
+ */
+function decodeVapidKey(key) {
+    const padding = '='.repeat((4 - key.length % 4) % 4);
+    const raw = atob((key + padding).replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(raw, c => c.charCodeAt(0));
+}
+
+/**
+ * Suscripción push de este navegador
+ * @returns {Promise<PushSubscription|null>}
+ */
+async function getPushSubscription() {
+    if (!isPushSupported()) return null;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        return await registration.pushManager.getSubscription();
+    } catch (error) {
+        console.warn('No se pudo leer la suscripción push:', error);
+        return null;
+    }
+}
+
+/**
+ * Guarda la suscripción a nombre del usuario actual
+ * @param {PushSubscription} subscription
+ * @returns {Promise<boolean>}
+ */
+async function savePushSubscription(subscription) {
+    const client = getSupabase();
+    if (!client) return false;
+
+    try {
+        const { endpoint, keys } = subscription.toJSON();
+        const { error } = await client.rpc('daviplata_guardar_suscripcion_push', {
+            p_endpoint: endpoint,
+            p_p256dh: keys.p256dh,
+            p_auth: keys.auth
+        });
+
+        if (error) {
+            console.error('❌ Error guardando suscripción push:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return false;
+    }
+}
+
+/**
+ * Borra la suscripción de este navegador
+ * @param {string} endpoint - Endpoint de la suscripción
+ * @returns {Promise<boolean>}
+ */
+async function deletePushSubscription(endpoint) {
+    const client = getSupabase();
+    if (!client) return false;
+
+    try {
+        const { error } = await client
+            .from('daviplata_suscripciones_push')
+            .delete()
+            .eq('endpoint', endpoint);
+
+        if (error) {
+            console.error('❌ Error borrando suscripción push:', error);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return false;
+    }
+}
+
+/**
+ * Pide permiso, suscribe este navegador y lo guarda
+ * @returns {Promise<boolean>}
+ */
+async function enablePushNotifications() {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        showToast(permission === 'denied'
+            ? 'Las notificaciones están bloqueadas en el navegador. Actívalas desde la configuración del sitio'
+            : 'No se activaron las notificaciones', 'warning');
+        return false;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription() ||
+            await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: decodeVapidKey(CONFIG.PUSH_VAPID_PUBLIC_KEY)
+            });
+
+        if (!await savePushSubscription(subscription)) {
+            await subscription.unsubscribe();
+            showToast('No se pudieron activar las notificaciones', 'error');
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error suscribiendo a push:', error);
+        showToast('No se pudieron activar las notificaciones', 'error');
+        return false;
+    }
+}
+
+/**
+ * Da de baja este navegador (en la base y en el navegador)
+ * @returns {Promise<boolean>}
+ */
+async function disablePushNotifications() {
+    const subscription = await getPushSubscription();
+    if (!subscription) return true;
+
+    try {
+        await deletePushSubscription(subscription.endpoint);
+        await subscription.unsubscribe();
+        return true;
+    } catch (error) {
+        console.error('❌ Error cancelando suscripción push:', error);
+        return false;
+    }
+}
+
+/**
+ * Vuelve a guardar la suscripción al iniciar sesión
+ * (las claves pueden cambiar y en un equipo compartido pasa al usuario actual)
+ */
+async function syncPushSubscription() {
+    const subscription = await getPushSubscription();
+    if (subscription) await savePushSubscription(subscription);
+    updatePushButton();
+}
+
+/**
+ * Botón de notificaciones: activa o desactiva push en este dispositivo
+ */
+async function handleTogglePush() {
+    const button = document.getElementById('btn-push');
+    if (button) button.disabled = true;
+
+    try {
+        if (await getPushSubscription()) {
+            if (await disablePushNotifications()) {
+                showToast('Notificaciones desactivadas en este dispositivo', 'info');
+            }
+        } else if (await enablePushNotifications()) {
+            showToast(AppState.isAdmin
+                ? 'Recibirás un aviso por cada ingreso pendiente de verificar'
+                : 'Recibirás un aviso cuando se verifiquen o rechacen tus ingresos', 'success');
+        }
+    } finally {
+        if (button) button.disabled = false;
+        updatePushButton();
+    }
+}
+
+/**
+ * Refleja en el botón si este dispositivo recibe notificaciones
+ * (oculto si el navegador no las soporta)
+ */
+async function updatePushButton() {
+    const button = document.getElementById('btn-push');
+    if (!button) return;
+
+    if (!isPushSupported()) {
+        button.style.display = 'none';
+        return;
+    }
+
+    const enabled = !!await getPushSubscription();
+    const label = enabled ? 'Desactivar notificaciones' : 'Activar notificaciones';
+
+    button.style.display = '';
+    button.title = label;
+    button.classList.toggle('push-on', enabled);
+
+    const icon = button.querySelector('i');
+    if (icon) icon.className = `fas ${enabled ? 'fa-comment-dots' : 'fa-comment-slash'}`;
+
+    const text = document.getElementById('btn-push-label');
+    if (text) text.textContent = label;
+}
+
+/**
+ * Pide al webhook el aviso push de un movimiento. Solo se envían el id y el
+ * JWT de la sesión: n8n valida quién llama y arma el destino y el texto desde
+ * la base (daviplata_aviso_push en sql/018_notificaciones_push.sql)
+ * El webhook debe aceptar el encabezado Authorization en CORS
+ * @param {string} movimientoId - Movimiento que se avisa y se abre al tocarla
+ * @returns {Promise<boolean>}
+ */
+async function notifyPush(movimientoId) {
+    // Sin clave VAPID no hay suscripciones a las que enviar
+    if (!CONFIG.PUSH_VAPID_PUBLIC_KEY || !CONFIG.WEBHOOK_PUSH) return false;
+
+    try {
+        const { data: { session } } = await getSupabase().auth.getSession();
+        if (!session) return false;
+
+        const formData = new FormData();
+        formData.append('id_movimiento', movimientoId);
+
+        const response = await fetch(CONFIG.WEBHOOK_PUSH, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${session.access_token}` },
+            body: formData
+        });
+
+        if (!response.ok) {
+            console.warn('Fallo al enviar webhook de push:', response.statusText);
+        }
+        return response.ok;
+    } catch (error) {
+        console.warn('Error enviando webhook de push:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Avisa a los admins de un ingreso pendiente de verificar
+ * @param {Object} movement - Movimiento recién creado
+ */
+async function notifyPendingMovementPush(movement) {
+    if (movement.verified !== 'PENDIENTE') return;
+    await notifyPush(movement.id);
+}
+
+/**
+ * Avisa al dueño del movimiento que fue verificado o rechazado
+ * (el resultado y el motivo los lee n8n del movimiento ya actualizado)
+ * @param {Object} movement - Movimiento (con usuario_id)
+ */
+async function notifyVerificationPush(movement) {
+    if (!movement.usuario_id || movement.usuario_id === AppState.userProfile?.id) return;
+    await notifyPush(movement.id);
+}
+
+/**
+ * Abre el detalle de un movimiento que llegó por notificación
+ * (puede no estar en la página cargada de la lista)
+ * @param {string} id - ID del movimiento
+ */
+async function openMovementFromNotification(id) {
+    if (!AppState.session) return;
+
+    if (!findMovement(id)) {
+        const movement = await getMovementById(id);
+        if (!movement) {
+            showToast('No se pudo abrir el movimiento', 'error');
+            return;
+        }
+        AppState.selectedMovement = movement;
+    }
+    showMovementDetail(id);
+}
+
+/**
+ * Movimiento pedido en el enlace (?movimiento=<id>, lo abre el service worker
+ * cuando no hay una ventana de la app); se quita del enlace al abrirlo
+ */
+function openMovementFromUrl() {
+    const params = new URLSearchParams(location.search);
+    const id = params.get('movimiento');
+    if (!id) return;
+
+    params.delete('movimiento');
+    const query = params.toString();
+    history.replaceState(null, '', location.pathname + (query ? `?${query}` : '') + location.hash);
+
+    openMovementFromNotification(id);
+}
+
+/**
+ * Botón de notificaciones y mensajes del service worker al tocar una notificación
+ */
+function setupPushNotifications() {
+    document.getElementById('btn-push')?.addEventListener('click', handleTogglePush);
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'OPEN_MOVEMENT') {
+                openMovementFromNotification(e.data.id);
+            }
+        });
+    }
+}
@@ -0,0 +1,228 @@
+// ============================================
+// DAVIPLATA - REALTIME MODULE
+// Actualiza el dashboard con los cambios que
+// llegan de otros dispositivos (Supabase Realtime)
+// ============================================
+
+const REALTIME_CHANNEL = 'daviplata-movimientos';
+const REALTIME_HIGHLIGHT_MS = 4000;
+const DASHBOARD_WINDOW = 50; // Igual que el getMovements({ limit: 50 }) de loadDashboard
+
+let realtimeChannel = null;
+let realtimeStatsTimer = null;
+let realtimeListTimer = null;
+
+/**
+ * Abre la suscripción a daviplata_movimientos
+ * Se llama tras iniciar sesión; una segunda llamada no duplica el canal
+ */
+function setupRealtime() {
+    const client = getSupabase();
+    if (!client || realtimeChannel) return;
+
+    realtimeChannel = client
+        .channel(REALTIME_CHANNEL)
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'daviplata_movimientos' }, handleRealtimeChange)
+        .subscribe((status) => {
+            if (status === 'SUBSCRIBED') {
+                console.log('✅ Realtime suscrito a daviplata_movimientos');
+            } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                console.warn('Realtime no disponible:', status);
+            }
+        });
+}
+
+/**
+ * Cierra la suscripción (al cerrar sesión)
+ */
+function teardownRealtime() {
+    if (!realtimeChannel) return;
+
+    const client = getSupabase();
+    if (client) client.removeChannel(realtimeChannel);
+    realtimeChannel = null;
+    clearTimeout(realtimeStatsTimer);
+    clearTimeout(realtimeListTimer);
+}
+
+/**
+ * Aplica un cambio recibido por Realtime sobre el estado local
+ * @param {Object} payload - { eventType, new, old }
+ */
+async function handleRealtimeChange(payload) {
+    if (!AppState.userProfile) return;
+
+    try {
+        if (payload.eventType === 'DELETE') {
+            removeMovementLocally(payload.old?.id);
+        } else {
+            // El payload no trae el join con daviplata_usuarios
+            const movement = await getMovementById(payload.new.id);
+            if (!movement) return;
+
+            const isNew = payload.eventType === 'INSERT';
+            upsertMovementLocally(movement, isNew);
+
+            // Resaltar lo que llega de otros usuarios
+            if (isNew && movement.usuario_id !== AppState.userProfile.id) {
+                highlightMovement(movement.id);
+            }
+        }
+
+        refreshAfterRealtime();
+    } catch (error) {
+        console.error('Error aplicando cambio en tiempo real:', error);
+    }
+}
+
+/**
+ * Inserta o reemplaza un movimiento en el resumen del dashboard y en la lista
+ * @param {Object} movement - Movimiento completo (con daviplata_usuarios)
+ * @param {boolean} isNew - INSERT (true) o UPDATE (false)
+ */
+function upsertMovementLocally(movement, isNew) {
+    // Resumen del dashboard: últimos N por created_at
+    const index = AppState.movements.findIndex(m => m.id === movement.id);
+    if (index >= 0) {
+        AppState.movements[index] = movement;
+    } else if (isNew) {
+        AppState.movements = [movement, ...AppState.movements]
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .slice(0, DASHBOARD_WINDOW);
+    }
+
+    // Lista paginada: reemplazar si está cargado; si es nuevo y cumple los filtros,
+    // se ubica en su lugar cuando se ordena por fecha de creación o de movimiento;
+    // con otro orden se recarga la primera página
+    const list = AppState.list;
+    const listIndex = list.movements.findIndex(m => m.id === movement.id);
+    const query = getListQuery();
+
+    if (listIndex >= 0) {
+        if (matchesListQuery(movement, query)) {
+            list.movements[listIndex] = movement;
+        } else {
+            list.movements.splice(listIndex, 1);
+            AppState.selection.delete(movement.id);
+        }
+    } else if (isNew && matchesListQuery(movement, query)) {
+        const orderBy = query.orderBy || 'created_at';
+        if (orderBy === 'created_at' || orderBy === 'fecha') {
+            insertMovementSorted(list, movement, orderBy, !!query.ascending);
+        } else {
+            scheduleListReload();
+        }
+    }
+
+    // Un movimiento que deja de estar pendiente no puede seguir seleccionado
+    if (movement.verified !== 'PENDIENTE') AppState.selection.delete(movement.id);
+
+    // Si ya no está en la cola offline de este dispositivo, quitarlo de ahí
+    AppState.offlineQueue = (AppState.offlineQueue || []).filter(e => e.id !== movement.id);
+}
+
+/**
+ * Agrega un movimiento nuevo a la lista cargada en su posición según el orden.
+ * Si cae después de lo cargado y quedan páginas, llegará con la siguiente
+ * @param {Object} list - AppState.list
+ * @param {Object} movement - Movimiento nuevo
+ * @param {string} column - created_at | fecha
+ * @param {boolean} ascending - Orden ascendente
+ */
+function insertMovementSorted(list, movement, column, ascending) {
+    const value = new Date(movement[column]).getTime();
+    const position = list.movements.findIndex(m => {
+        const other = new Date(m[column]).getTime();
+        return ascending ? other > value : other < value;
+    });
+
+    if (position >= 0) {
+        list.movements.splice(position, 0, movement);
+    } else if (!list.hasMore) {
+        list.movements.push(movement);
+    }
+}
+
+/**
+ * Recarga la primera página de la lista (agrupando ráfagas de cambios)
+ * cuando un movimiento nuevo no se puede ubicar en el orden actual
+ */
+function scheduleListReload() {
+    clearTimeout(realtimeListTimer);
+    realtimeListTimer = setTimeout(() => loadMovementsList(true), 400);
+}
+
+/**
+ * Quita un movimiento eliminado en otro dispositivo
+ * @param {string} id - ID del movimiento
+ */
+function removeMovementLocally(id) {
+    if (!id) return;
+    AppState.movements = AppState.movements.filter(m => m.id !== id);
+    AppState.list.movements = AppState.list.movements.filter(m => m.id !== id);
+    AppState.selection.delete(id);
+}
+
+/**
+ * Indica si un movimiento cumple los filtros de la lista (mismo criterio que getMovements)
+ * @param {Object} movement - Movimiento
+ * @param {Object} query - Resultado de getListQuery()
+ * @returns {boolean}
+ */
+function matchesListQuery(movement, query) {
+    const monto = getBaseAmount(movement);
+    const fecha = new Date(movement.fecha);
+
+    if (query.tipo && query.tipo !== 'TODOS' && movement.tipo !== query.tipo) return false;
+    if (query.verified && movement.verified !== query.verified) return false;
+    if (query.usuarioId && movement.usuario_id !== query.usuarioId) return false;
+    if (query.cuentaId && movement.cuenta_id !== query.cuentaId && movement.cuenta_destino_id !== query.cuentaId) return false;
+    if (query.dateFrom && fecha < new Date(query.dateFrom)) return false;
+    if (query.dateTo && fecha > new Date(query.dateTo)) return false;
+    if (query.amtMin !== undefined && query.amtMin !== null && monto < query.amtMin) return false;
+    if (query.amtMax !== undefined && query.amtMax !== null && monto > query.amtMax) return false;
+    if (query.search && !(movement.motivo || '').toLowerCase().includes(query.search.toLowerCase())) return false;
+    return true;
+}
+
+/**
+ * Vuelve a pintar lista y gráficos con el estado local y
+ * recalcula los KPIs (agrupando ráfagas de cambios en una sola consulta)
+ */
+function refreshAfterRealtime() {
+    renderCharts(AppState.movements);
+    renderMovements(AppState.list.movements);
+    observeListSentinel();
+    applyRealtimeHighlights();
+
+    clearTimeout(realtimeStatsTimer);
+    realtimeStatsTimer = setTimeout(async () => {
+        const [stats, accountBalances] = await Promise.all([getStatistics(), getAccountBalances()]);
+        AppState.stats = stats;
+        AppState.accountBalances = accountBalances;
+        renderBalance(stats);
+        renderAccountBalances(accountBalances);
+    }, 400);
+}
+
+/**
+ * Marca un movimiento como recién llegado durante unos segundos
+ * @param {string} id - ID del movimiento
+ */
+function highlightMovement(id) {
+    AppState.realtimeHighlights.add(id);
+    setTimeout(() => {
+        AppState.realtimeHighlights.delete(id);
+        document.querySelectorAll(`[data-id="${id}"]`).forEach(el => el.classList.remove('realtime-new'));
+    }, REALTIME_HIGHLIGHT_MS);
+}
+
+/**
+ * Aplica la clase de resaltado a las filas/tarjetas visibles
+ * (se vuelve a aplicar tras cada render mientras dure el resaltado)
+ */
+function applyRealtimeHighlights() {
+    AppState.realtimeHighlights.forEach(id => {
+        document.querySelectorAll(`[data-id="${id}"]`).forEach(el => el.classList.add('realtime-new'));
+    });
+}
@@ -15,8 +15,9 @@ function checkDeviceRedirect() {
     }
 
     // Si no estamos en la página correcta, redireccionar
+    // (conservando query y hash: los enlaces a una vista filtrada no se pierden)
     if (currentPage !== target && (currentPage === 'mobile.html' || currentPage === 'desktop.html')) {
-        window.location.href = target;
+        window.location.href = target + window.location.search + window.location.hash;
     }
 }
 
@@ -0,0 +1,282 @@
+// ============================================
+// DAVIPLATA - SCHEDULED MODULE
+// Movimientos programados: plantillas recurrentes que
+// generan el movimiento en cada fecha de vencimiento
+// ============================================
+
+const SCHEDULE_FREQUENCIES = {
+    SEMANAL: 'Semanal',
+    QUINCENAL: 'Quincenal',
+    MENSUAL: 'Mensual',
+    ANUAL: 'Anual'
+};
+
+/**
+ * Obtiene las plantillas programadas (solo admin, ver sql/009_movimientos_programados.sql)
+ * @returns {Promise<Array>}
+ */
+async function getScheduledTemplates() {
+    const client = getSupabase();
+    if (!client) return [];
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_programados')
+            .select('*')
+            .order('activo', { ascending: false })
+            .order('proxima_fecha', { ascending: true });
+
+        if (error) {
+            console.error('❌ Error obteniendo programados:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return [];
+    }
+}
+
+/**
+ * Crea una plantilla programada
+ * La próxima fecha la calcula la base a partir de fecha_inicio
+ * @param {Object} template - { tipo, monto, motivo, cuenta_id, categoria_id, frecuencia, fecha_inicio, fecha_fin }
+ * @param {string} usuarioId - Admin que la crea (queda como autor de los movimientos)
+ * @returns {Promise<Object|null>}
+ */
+async function createScheduledTemplate(template, usuarioId) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_programados')
+            .insert([{
+                tipo: template.tipo,
+                monto: template.monto,
+                motivo: template.motivo,
+                cuenta_id: template.cuenta_id,
+                categoria_id: template.categoria_id || null,
+                frecuencia: template.frecuencia,
+                fecha_inicio: template.fecha_inicio,
+                fecha_fin: template.fecha_fin || null,
+                proxima_fecha: template.fecha_inicio,
+                creado_por: usuarioId
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('❌ Error creando programado:', error);
+            showToast(error.code === '42501'
+                ? 'Solo los administradores pueden programar movimientos'
+                : 'Error al crear el movimiento programado', 'error');
+            return null;
+        }
+
+        console.log('✅ Programado creado:', data);
+        return data;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Actualiza una plantilla programada
+ * @param {string} id - ID de la plantilla
+ * @param {Object} updates - Campos a actualizar
+ * @param {Object} match - Condiciones extra (evita pisar un cambio concurrente)
+ * @returns {Promise<Object|null>}
+ */
+async function updateScheduledTemplate(id, updates, match = {}) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_programados')
+            .update(updates)
+            .match({ ...match, id })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('❌ Error actualizando programado:', error);
+            showToast(error.code === 'PGRST116'
+                ? 'El programado cambió mientras tanto; vuelve a intentarlo'
+                : 'Error al actualizar el movimiento programado', 'error');
+            return null;
+        }
+
+        return data;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
+
+/**
+ * Pausa o reanuda una plantilla
+ * @param {string} id - ID de la plantilla
+ * @param {boolean} activo - false = pausar
+ */
+async function setScheduledTemplateActive(id, activo) {
+    return updateScheduledTemplate(id, { activo });
+}
+
+/**
+ * Omite la próxima ocurrencia sin generar el movimiento
+ * @param {Object} template - Plantilla tal como se mostró
+ */
+async function skipScheduledOccurrence(template) {
+    return updateScheduledTemplate(template.id, { periodo: template.periodo + 1 }, { periodo: template.periodo });
+}
+
+/**
+ * Indica si la plantilla ya no generará más movimientos
+ * @param {Object} template - Plantilla
+ * @returns {boolean}
+ */
+function isScheduleFinished(template) {
+    return !!template.fecha_fin && template.proxima_fecha > template.fecha_fin;
+}
+
+/**
+ * Fecha de la ocurrencia número periodo (0 = fecha_inicio), igual que
+ * daviplata_fecha_programada: los meses cortos recortan el día (31 → 28)
+ * @param {string} fechaInicio - Fecha de inicio (YYYY-MM-DD)
+ * @param {string} frecuencia - SEMANAL | QUINCENAL | MENSUAL | ANUAL
+ * @param {number} periodo - Número de ocurrencia
+ * @returns {Date} - Fecha local a medianoche
+ */
+function getScheduledDate(fechaInicio, frecuencia, periodo) {
+    const [year, month, day] = fechaInicio.split('-').map(Number);
+
+    if (frecuencia === 'SEMANAL' || frecuencia === 'QUINCENAL') {
+        return new Date(year, month - 1, day + (frecuencia === 'SEMANAL' ? 7 : 14) * periodo);
+    }
+
+    const months = (month - 1) + (frecuencia === 'ANUAL' ? 12 * periodo : periodo);
+    const lastDay = new Date(year, months + 1, 0).getDate();
+    return new Date(year, months, Math.min(day, lastDay));
+}
+
+/**
+ * Próximas ocurrencias de las plantillas activas dentro de un rango
+ * (sirve para proyectar el saldo con los movimientos ya conocidos)
+ * @param {Array} templates - Plantillas (getScheduledTemplates)
+ * @param {Date} desde - Primer día (incluido)
+ * @param {Date} hasta - Último día (incluido)
+ * @returns {Array} - [{ fecha, tipo, monto, motivo }] por fecha
+ */
+function getScheduledOccurrences(templates, desde, hasta) {
+    const occurrences = [];
+
+    templates
+        .filter(t => t.activo && !isScheduleFinished(t))
+        .forEach(template => {
+            const fin = template.fecha_fin ? new Date(`${template.fecha_fin}T00:00:00`) : null;
+
+            for (let periodo = template.periodo; ; periodo++) {
+                const fecha = getScheduledDate(template.fecha_inicio, template.frecuencia, periodo);
+                if (fecha > hasta || (fin && fecha > fin)) break;
+                if (fecha < desde) continue;
+
+                occurrences.push({
+                    fecha,
+                    tipo: template.tipo,
+                    monto: parseFloat(template.monto) || 0,
+                    motivo: template.motivo
+                });
+            }
+        });
+
+    return occurrences.sort((a, b) => a.fecha - b.fecha);
+}
+
+/**
+ * Saldo de la cuenta justo después de un programado generado con atraso.
+ * Cuando se envía el webhook ya están todos verificados, así que el saldo
+ * actual incluiría los siguientes: se toma el saldo hasta su fecha y se
+ * descuentan los del lote con la misma fecha que van después.
+ * @param {Object} movement - Movimiento programado
+ * @param {Array} later - Movimientos del lote que van después
+ * @returns {Promise<number|null>} - null si no se pudo calcular
+ */
+async function getScheduledBalanceAfter(movement, later) {
+    if (!movement.cuenta_id) return null;
+
+    try {
+        const stats = await getStatistics({ cuentaId: movement.cuenta_id, dateTo: movement.fecha });
+        const sameDate = later.filter(m => m.fecha === movement.fecha);
+        return sameDate.reduce(
+            (balance, m) => balance - getMovementSign(m, movement.cuenta_id) * getBaseAmount(m),
+            stats.balance
+        );
+    } catch (error) {
+        console.warn('No se pudo calcular el saldo del programado:', error);
+        return null;
+    }
+}
+
+/**
+ * Genera los movimientos vencidos y envía los webhooks pendientes
+ * (también los de movimientos generados por el job de la base)
+ * @returns {Promise<number>} - Cantidad de movimientos generados ahora
+ */
+async function processScheduledMovements() {
+    const client = getSupabase();
+    if (!client) return 0;
+
+    try {
+        const { data: generated, error } = await client.rpc('daviplata_generar_programados');
+
+        if (error) {
+            console.error('❌ Error generando programados:', error);
+            return 0;
+        }
+
+        if (generated?.length) {
+            console.log(`✅ ${generated.length} movimiento(s) programado(s) generado(s)`);
+        }
+
+        // Reservar los webhooks pendientes (otro admin no los vuelve a enviar)
+        const { data: claimed, error: claimError } = await client.rpc('daviplata_reclamar_programados');
+
+        if (claimError) {
+            console.error('❌ Error reservando programados sin notificar:', claimError);
+            return generated?.length || 0;
+        }
+        if (!claimed?.length) return generated?.length || 0;
+
+        // Con el join del usuario para el mensaje
+        const { data: pending, error: pendingError } = await client
+            .from('daviplata_movimientos')
+            .select('*, daviplata_usuarios(nombre, email)')
+            .in('id', claimed.map(m => m.id))
+            .order('fecha', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (pendingError) {
+            console.error('❌ Error obteniendo programados sin notificar:', pendingError);
+            await Promise.all(claimed.map(m => updateMovement(m.id, { notificado: false })));
+            return generated?.length || 0;
+        }
+
+        for (const [index, movement] of pending.entries()) {
+            const balance = await getScheduledBalanceAfter(movement, pending.slice(index + 1));
+            const sent = await notifyMovementWebhook(movement, false, false, balance);
+            if (!sent) {
+                await updateMovement(movement.id, { notificado: false });
+            }
+            await checkAlertRules(movement);
+        }
+
+        return generated?.length || 0;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return 0;
+    }
+}
@@ -0,0 +1,210 @@
+// ============================================
+// DAVIPLATA - STORAGE MODULE
+// Enlaces firmados de los comprobantes (bucket privado)
+// y migración de los que quedaron en el bucket público
+// ============================================
+
+// Enlaces ya firmados: ruta → { url, expiresAt }
+const signedUrlCache = new Map();
+
+/**
+ * Firma las rutas indicadas en una sola petición
+ * Reutiliza los enlaces que aún tienen al menos la mitad de la duración pedida
+ * @param {Array<string>} paths - Rutas dentro de CONFIG.RECEIPTS_BUCKET
+ * @param {number} expiresIn - Segundos de validez
+ * @returns {Promise<Object>} - { [ruta]: url } (sin las que no se pudieron firmar)
+ */
+async function createSignedReceiptUrls(paths, expiresIn = CONFIG.SIGNED_URL_TTL) {
+    const urls = {};
+    const now = Date.now();
+    const missing = [];
+
+    [...new Set(paths)].forEach(path => {
+        const cached = signedUrlCache.get(path);
+        if (cached && cached.expiresAt - now >= expiresIn * 500) {
+            urls[path] = cached.url;
+        } else {
+            missing.push(path);
+        }
+    });
+    if (!missing.length) return urls;
+
+    const client = getSupabase();
+    if (!client) return urls;
+
+    try {
+        const { data, error } = await client.storage
+            .from(CONFIG.RECEIPTS_BUCKET)
+            .createSignedUrls(missing, expiresIn);
+
+        if (error) {
+            console.error('❌ Error firmando comprobantes:', error);
+            return urls;
+        }
+
+        (data || []).forEach(item => {
+            if (item.error || !item.signedUrl) return;
+            urls[item.path] = item.signedUrl;
+            signedUrlCache.set(item.path, { url: item.signedUrl, expiresAt: now + expiresIn * 1000 });
+        });
+        return urls;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return urls;
+    }
+}
+
+/**
+ * Copia de los movimientos con un enlace firmado en cada adjunto privado
+ * (los anteriores a la migración conservan su URL pública).
+ * Las copias son para mostrar o enviar: nunca se guardan.
+ * @param {Array} movements - Movimientos
+ * @param {number} expiresIn - Segundos de validez de los enlaces
+ * @returns {Promise<Array>}
+ */
+async function withSignedAttachments(movements, expiresIn = CONFIG.SIGNED_URL_TTL) {
+    const paths = movements.flatMap(m => getMovementAttachments(m).filter(a => a.ruta).map(a => a.ruta));
+    if (!paths.length) return movements;
+
+    const urls = await createSignedReceiptUrls(paths, expiresIn);
+    return movements.map(m => {
+        const attachments = getMovementAttachments(m);
+        if (!attachments.some(a => a.ruta)) return m;
+        return { ...m, adjuntos: attachments.map(a => a.ruta ? { ...a, url: urls[a.ruta] || null } : a) };
+    });
+}
+
+/**
+ * Adjuntos de un movimiento con enlaces firmados
+ * @param {Object} movement - Movimiento
+ * @param {number} expiresIn - Segundos de validez de los enlaces
+ * @returns {Promise<Array>} - [{ url, ruta, nombre, tipo, hash, phash }]
+ */
+async function getSignedAttachments(movement, expiresIn = CONFIG.SIGNED_URL_TTL) {
+    const [signed] = await withSignedAttachments([movement], expiresIn);
+    return getMovementAttachments(signed);
+}
+
+/**
+ * Abre un adjunto en otra pestaña
+ * La pestaña se abre antes de firmar el enlace para que el navegador no la bloquee
+ * @param {Object} attachment - { ruta } o { url } (públicos anteriores)
+ */
+async function openSignedAttachment(attachment) {
+    if (!attachment.ruta) {
+        window.open(attachment.url, '_blank');
+        return;
+    }
+
+    const tab = window.open('', '_blank');
+    const urls = await createSignedReceiptUrls([attachment.ruta]);
+    if (tab && urls[attachment.ruta]) {
+        tab.location.href = urls[attachment.ruta];
+        return;
+    }
+
+    if (tab) tab.close();
+    showToast('No se pudo abrir el comprobante', 'error');
+}
+
+// ============================================
+// MIGRACIÓN DEL BUCKET PÚBLICO
+// ============================================
+
+/**
+ * Ruta de un archivo del bucket público a partir de su URL pública
+ * @param {string} url - URL pública
+ * @returns {string|null}
+ */
+function getPublicStoragePath(url) {
+    const marker = `/storage/v1/object/public/${CONFIG.STORAGE_BUCKET}/`;
+    const index = url.indexOf(marker);
+    return index === -1 ? null : decodeURIComponent(url.slice(index + marker.length).split('?')[0]);
+}
+
+/**
+ * Copia al bucket privado los comprobantes que aún tienen URL pública y borra
+ * los originales. La ejecuta la app de un admin al iniciar sesión, una tanda
+ * por vez, hasta que no quede ninguno (ver sql/013_comprobantes_privados.sql)
+ * @param {number} limit - Movimientos por tanda
+ * @returns {Promise<number>} - Movimientos migrados en esta tanda
+ */
+async function migratePublicReceipts(limit = 20) {
+    const client = getSupabase();
+    if (!client) return 0;
+
+    try {
+        const { data: pending, error } = await client.rpc('daviplata_comprobantes_por_migrar', { p_limite: limit });
+
+        if (error) {
+            console.error('❌ Error buscando comprobantes públicos:', error);
+            return 0;
+        }
+
+        let migrated = 0;
+        for (const movement of pending || []) {
+            try {
+                const adjuntos = [];
+                const publicPaths = [];
+
+                for (const attachment of getMovementAttachments(movement)) {
+                    if (attachment.ruta) {
+                        adjuntos.push(attachment);
+                        continue;
+                    }
+
+                    const response = await fetch(attachment.url);
+                    if (!response.ok) throw new Error(`HTTP ${response.status} al descargar ${attachment.url}`);
+                    const blob = await response.blob();
+
+                    // Misma ruta que tenía en el bucket público (o una nueva si la URL era externa)
+                    const publicPath = getPublicStoragePath(attachment.url);
+                    const extension = (attachment.nombre || '').split('.').pop().toLowerCase() || 'jpg';
+                    const ruta = publicPath || `daviplata/migrado_${movement.id}_${adjuntos.length + 1}.${extension}`;
+
+                    const { error: uploadError } = await client.storage
+                        .from(CONFIG.RECEIPTS_BUCKET)
+                        .upload(ruta, blob, {
+                            cacheControl: '3600',
+                            upsert: true,
+                            contentType: attachment.tipo || blob.type || 'image/jpeg'
+                        });
+                    if (uploadError) throw uploadError;
+
+                    const { url, ...rest } = attachment;
+                    adjuntos.push({ ...rest, ruta });
+                    if (publicPath) publicPaths.push(publicPath);
+                }
+
+                const { error: updateError } = await client.rpc('daviplata_migrar_adjuntos', {
+                    p_id: movement.id,
+                    p_adjuntos: adjuntos.map(toStoredAttachment)
+                });
+                if (updateError) throw updateError;
+                migrated++;
+
+                // Sin esto el original seguiría accesible con su enlace público
+                if (publicPaths.length) {
+                    const { error: removeError } = await client.storage
+                        .from(CONFIG.STORAGE_BUCKET)
+                        .remove(publicPaths);
+                    if (removeError) console.warn('No se pudieron borrar los comprobantes públicos:', removeError);
+                }
+            } catch (error) {
+                console.warn(`No se pudo migrar el comprobante del movimiento ${movement.id}:`, error);
+                // Queda anotado y pasa al final de la cola: los que fallan siempre no frenan al resto
+                const { error: logError } = await client.rpc('daviplata_registrar_error_migracion', {
+                    p_id: movement.id,
+                    p_error: error?.message || String(error)
+                });
+                if (logError) console.warn('No se pudo registrar el error de migración:', logError);
+            }
+        }
+
+        if (migrated) console.log(`✅ ${migrated} movimiento(s) con comprobantes pasados al bucket privado`);
+        return migrated;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return 0;
+    }
+}
@@ -230,3 +230,31 @@ function onAuthStateChange(callback) {
         callback(event, session);
     });
 }
+
+/**
+ * Lee un valor de la tabla de configuración (daviplata_configuracion)
+ * @param {string} clave - Clave de la configuración
+ * @returns {Promise<any|null>} - Valor JSON o null si no existe o hay error
+ */
+async function getSetting(clave) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const { data, error } = await client
+            .from('daviplata_configuracion')
+            .select('valor')
+            .eq('clave', clave)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`❌ Error leyendo configuración "${clave}":`, error);
+            return null;
+        }
+
+        return data ? data.valor : null;
+    } catch (error) {
+        console.error('❌ Error:', error);
+        return null;
+    }
+}
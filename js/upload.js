@@ -1,80 +1,38 @@
 // ============================================
 // DAVIPLATA - UPLOAD MODULE
 // Compresión de imágenes y subida a Supabase Storage
+// (bucket privado: los enlaces se firman al mostrarlos, ver storage.js)
 // ============================================
 
 /**
- * Comprime una imagen manteniendo buena calidad
- * Solo comprime si el resultado es menor que el original
- * @param {File} file - Archivo de imagen original
- * @returns {Promise<Blob>} - Imagen comprimida o original si no vale la pena comprimir
+ * Prepara una foto de comprobante para subirla (ver image.js): respeta la orientación
+ * EXIF, recorta y endereza las fotos, la reduce a CONFIG.IMAGE_MAX_WIDTH/HEIGHT y la
+ * recomprime con CONFIG.IMAGE_QUALITY. Recomprimir descarta los metadatos (EXIF, GPS):
+ * por eso se usa el resultado aunque pese más que el original.
+ * Los PDFs no pasan por aquí: se suben sin modificar
+ * @param {File} file - Archivo de imagen original (también HEIC)
+ * @returns {Promise<Blob>} - Imagen procesada, o la original si no se pudo leer
  */
 async function compressImage(file) {
-    return new Promise((resolve) => {
-        // Solo comprimir imágenes
-        if (!file.type.startsWith('image/')) {
-            resolve(file);
-            return;
-        }
-
-        const reader = new FileReader();
-
-        reader.onload = (e) => {
-            const img = new Image();
-
-            img.onload = () => {
-                // Dimensiones máximas agresivas — suficiente para un comprobante legible
-                const MAX = 900;
-                let { width, height } = img;
+    if (!file.type.startsWith('image/') && !isHeicFile(file)) return file;
 
-                if (width > height) {
-                    if (width > MAX) { height = Math.round(height * MAX / width); width = MAX; }
-                } else {
-                    if (height > MAX) { width = Math.round(width * MAX / height); height = MAX; }
-                }
-
-                const canvas = document.createElement('canvas');
-                canvas.width  = width;
-                canvas.height = height;
-
-                const ctx = canvas.getContext('2d');
-                ctx.imageSmoothingEnabled = true;
-                ctx.imageSmoothingQuality = 'high';
-                ctx.drawImage(img, 0, 0, width, height);
-
-                // Intentar WebP primero (mejor ratio); caer en JPEG
-                const tryWebP = typeof ImageData !== 'undefined';
-                const quality = 0.72;
-
-                const finish = (blob, mime) => {
-                    if (!blob) { resolve(file); return; }
-                    const savings = ((1 - blob.size / file.size) * 100).toFixed(1);
-                    console.log(`Comprimido [${mime}]: ${formatBytes(file.size)} → ${formatBytes(blob.size)} (-${savings}%)`);
-                    // Usar comprimido siempre que no sea mayor que el original
-                    resolve(blob.size < file.size ? blob : file);
-                };
-
-                if (tryWebP) {
-                    canvas.toBlob((webpBlob) => {
-                        if (webpBlob && webpBlob.size < file.size) {
-                            finish(webpBlob, 'image/webp');
-                        } else {
-                            // WebP no mejor — usar JPEG
-                            canvas.toBlob((jpegBlob) => finish(jpegBlob, 'image/jpeg'), 'image/jpeg', quality);
-                        }
-                    }, 'image/webp', quality);
-                } else {
-                    canvas.toBlob((jpegBlob) => finish(jpegBlob, 'image/jpeg'), 'image/jpeg', quality);
-                }
-            };
-
-            img.onerror = () => resolve(file);
-            img.src = e.target.result;
-        };
+    try {
+        const source = await normalizeHeicFile(file);
+        const blob = await processImage(source, {
+            maxWidth: CONFIG.IMAGE_MAX_WIDTH,
+            maxHeight: CONFIG.IMAGE_MAX_HEIGHT,
+            quality: CONFIG.IMAGE_QUALITY,
+            // Las capturas de pantalla ya vienen derechas y sin fondo
+            autoCrop: CONFIG.IMAGE_AUTO_CROP && await isCameraPhoto(file, source),
+            maxDeskew: CONFIG.IMAGE_MAX_DESKEW
+        });
 
-        reader.onerror = () => resolve(file);
-        reader.readAsDataURL(file);
-    });
+        console.log(`Comprimido [${blob.type}]: ${formatBytes(file.size)} → ${formatBytes(blob.size)}`);
+        return blob;
+    } catch (error) {
+        console.warn('No se pudo procesar la imagen, se sube la original:', error);
+        return file;
+    }
 }
 
 /**
@@ -88,68 +46,430 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Extensión de los formatos que deja el procesado (y de los PDFs)
+const FILE_EXTENSIONS = {
+    'image/webp': 'webp',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'application/pdf': 'pdf'
+};
+
 /**
  * Genera un nombre único para el archivo
+ * @param {string} originalName - Nombre del archivo seleccionado
+ * @param {string|null} type - Tipo del archivo que se sube (el procesado puede cambiar el formato)
  */
-function generateUniqueFilename(originalName) {
+function generateUniqueFilename(originalName, type = null) {
     const timestamp = Date.now();
     const random = Math.random().toString(36).substring(2, 8);
-    const extension = originalName.split('.').pop().toLowerCase() || 'jpg';
+    const extension = FILE_EXTENSIONS[type] || originalName.split('.').pop().toLowerCase() || 'jpg';
     return `comprobante_${timestamp}_${random}.${extension}`;
 }
 
+/**
+ * Nombre del adjunto con la extensión del formato que realmente se subió
+ * (una foto .heic o .png se guarda como WebP/JPEG)
+ * @param {string} name - Nombre original
+ * @param {string|null} type - Tipo del archivo subido
+ * @returns {string}
+ */
+function getUploadedFilename(name, type) {
+    const extension = FILE_EXTENSIONS[type];
+    if (!extension || !name) return name;
+    return `${name.replace(/\.[^.]+$/, '')}.${extension}`;
+}
+
+// ============================================
+// ADJUNTOS
+// ============================================
+
+/**
+ * Adjuntos de un movimiento, en orden
+ * Los movimientos anteriores a sql/012_adjuntos.sql solo tienen comprobante_url.
+ * Los del bucket privado traen la ruta; los que aún no se migran, la URL pública
+ * (ver sql/013_comprobantes_privados.sql)
+ * @param {Object} movement - Movimiento
+ * @returns {Array} - [{ ruta | url, nombre, tipo, hash, phash }]
+ */
+function getMovementAttachments(movement) {
+    if (!movement) return [];
+    if (Array.isArray(movement.adjuntos) && movement.adjuntos.length) return movement.adjuntos;
+    if (!movement.comprobante_url) return [];
+
+    const value = movement.comprobante_url;
+    const isPublic = /^https?:\/\//i.test(value);
+    return [{
+        [isPublic ? 'url' : 'ruta']: value,
+        nombre: decodeURIComponent(value.split('?')[0].split('/').pop()),
+        tipo: value.toLowerCase().split('?')[0].endsWith('.pdf') ? 'application/pdf' : 'image/jpeg',
+        hash: movement.comprobante_hash || null,
+        phash: movement.comprobante_phash || null
+    }];
+}
+
+/**
+ * Adjunto tal como se guarda en la base: con ruta, sin el enlace firmado
+ * (que caduca); los públicos anteriores a la migración conservan su URL
+ * @param {Object} attachment - Adjunto
+ * @returns {Object} - { ruta | url, nombre, tipo, hash, phash }
+ */
+function toStoredAttachment(attachment) {
+    const location = attachment.ruta ? { ruta: attachment.ruta } : { url: attachment.url };
+    return {
+        ...location,
+        nombre: attachment.nombre,
+        tipo: attachment.tipo,
+        hash: attachment.hash || null,
+        phash: attachment.phash || null
+    };
+}
+
+/**
+ * Indica si un adjunto es un PDF
+ * @param {Object} attachment - { url, nombre, tipo } (o un adjunto del formulario)
+ * @returns {boolean}
+ */
+function isPdfAttachment(attachment) {
+    if (!attachment) return false;
+    if (attachment.tipo) return attachment.tipo === 'application/pdf';
+    return (attachment.nombre || attachment.ruta || attachment.url || '').toLowerCase().split('?')[0].endsWith('.pdf');
+}
+
+/**
+ * Columnas del movimiento a partir de su lista de adjuntos
+ * comprobante_* repiten el primero (webhooks y versiones anteriores de la app)
+ * comprobante_url guarda la ruta en el bucket privado (o la URL pública si no se ha migrado)
+ * @param {Array} adjuntos - [{ ruta | url, nombre, tipo, hash, phash }]
+ * @returns {Object} - { adjuntos, comprobante_url, comprobante_hash, comprobante_phash }
+ */
+function getAttachmentFields(adjuntos) {
+    const stored = adjuntos.map(toStoredAttachment);
+    const first = stored[0] || {};
+    return {
+        adjuntos: stored,
+        comprobante_url: first.ruta || first.url || null,
+        comprobante_hash: first.hash || null,
+        comprobante_phash: first.phash || null
+    };
+}
+
+// ============================================
+// HUELLAS DEL COMPROBANTE (detección de duplicados)
+// ============================================
+
+// Lado de la cuadrícula del hash perceptual: 16x16 = 256 bits (64 caracteres hex)
+const PERCEPTUAL_HASH_SIZE = 16;
+
+/**
+ * Huellas de un comprobante
+ * - hash:  SHA-256 del archivo original (mismo archivo exacto)
+ * - phash: hash perceptual (dHash) que sobrevive a la recompresión; solo imágenes
+ * @param {File|Blob} file - Comprobante original (antes de comprimir)
+ * @returns {Promise<Object>} - { hash, phash } (null en lo que no se pudo calcular)
+ */
+async function computeReceiptHashes(file) {
+    const [hash, phash] = await Promise.all([
+        computeFileHash(file),
+        file.type && file.type.startsWith('image/') ? computePerceptualHash(file) : null
+    ]);
+    return { hash, phash };
+}
+
+/**
+ * SHA-256 del contenido en hexadecimal
+ * @param {File|Blob} file - Archivo
+ * @returns {Promise<string|null>}
+ */
+async function computeFileHash(file) {
+    try {
+        if (!window.crypto?.subtle) return null;
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+        console.warn('No se pudo calcular el hash del comprobante:', error);
+        return null;
+    }
+}
+
+/**
+ * Hash perceptual por diferencias (dHash): la imagen reducida a escala de grises
+ * de (N+1)xN y un bit por cada píxel más claro que su vecino de la derecha.
+ * Dos capturas iguales dan hashes a pocos bits de distancia aunque cambie la compresión.
+ * @param {File|Blob} file - Imagen
+ * @returns {Promise<string|null>} - Hash en hexadecimal
+ */
+async function computePerceptualHash(file) {
+    try {
+        const size = PERCEPTUAL_HASH_SIZE;
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = size + 1;
+        canvas.height = size;
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0, size + 1, size);
+        bitmap.close();
+
+        const { data } = ctx.getImageData(0, 0, size + 1, size);
+        const gray = (x, y) => {
+            const i = (y * (size + 1) + x) * 4;
+            return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+        };
+
+        let hex = '';
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x += 4) {
+                let nibble = 0;
+                for (let b = 0; b < 4; b++) {
+                    nibble = (nibble << 1) | (gray(x + b, y) > gray(x + b + 1, y) ? 1 : 0);
+                }
+                hex += nibble.toString(16);
+            }
+        }
+        return hex;
+    } catch (error) {
+        console.warn('No se pudo calcular el hash perceptual del comprobante:', error);
+        return null;
+    }
+}
+
 /**
  * Sube un archivo a Supabase Storage
+ * Calcula también las huellas del comprobante para guardarlas en el movimiento
  * @param {File|Blob} file - Archivo a subir
  * @param {string} filename - Nombre del archivo original
- * @returns {Promise<string>} - URL pública del archivo
+ * @param {Object} options - Opciones de subida
+ * @param {string} options.filePath - Ruta fija dentro del bucket (por defecto se genera una única)
+ * @param {boolean} options.upsert - Sobrescribir si la ruta ya existe
+ * @param {boolean} options.compress - Comprimir imágenes antes de subir (por defecto true)
+ * @param {Object} options.hashes - Huellas ya calculadas sobre el original ({ hash, phash })
+ * @param {Function} options.onProgress - Recibe el avance de la subida (0 a 1)
+ * @param {AbortSignal} options.signal - Cancela la subida (error con code UPLOAD_CANCELLED)
+ * @returns {Promise<Object>} - { ruta, hash, phash } (la ruta se firma al mostrarla)
  */
-async function uploadToSupabaseStorage(file, filename) {
+async function uploadToSupabaseStorage(file, filename, options = {}) {
     const client = getSupabase();
     if (!client) {
         throw new Error('Supabase no inicializado');
     }
 
     try {
+        // Huellas sobre el original, antes de comprimir
+        const hashes = options.hashes || await computeReceiptHashes(file);
+
         // Comprimir solo imágenes; los PDFs se suben sin modificar
         // (el endpoint daviplataevopdf los envía como documento en WhatsApp)
         let fileToUpload = file;
-        if (file.type && file.type.startsWith('image/')) {
+        if (options.compress !== false && (file.type?.startsWith('image/') || isHeicFile(file))) {
             fileToUpload = await compressImage(file);
         }
 
-        // Generar nombre único
-        const uniqueFilename = generateUniqueFilename(filename);
-        const filePath = `daviplata/${uniqueFilename}`;
+        // Generar nombre único (o usar la ruta fija de la cola offline)
+        const filePath = options.filePath || `daviplata/${generateUniqueFilename(filename, fileToUpload.type)}`;
 
         console.log('Subiendo archivo a Supabase Storage...');
 
-        // Subir a Supabase Storage
-        const { data, error } = await client.storage
-            .from(CONFIG.STORAGE_BUCKET)
-            .upload(filePath, fileToUpload, {
+        // Subir al bucket privado (reanudable, con reintentos)
+        await uploadResumable(fileToUpload, filePath, {
+            upsert: !!options.upsert,
+            // El procesado puede cambiar el formato (WebP/JPEG)
+            contentType: fileToUpload.type || file.type || 'image/jpeg',
+            onProgress: options.onProgress,
+            signal: options.signal
+        });
+
+        console.log('Archivo subido:', filePath);
+
+        return { ruta: filePath, hash: hashes.hash, phash: hashes.phash };
+    } catch (error) {
+        console.error('Error subiendo archivo:', error);
+        throw error;
+    }
+}
+
+// ============================================
+// SUBIDA REANUDABLE (TUS)
+// ============================================
+
+// Tamaño de cada parte: Supabase Storage solo acepta partes de 6 MB
+const TUS_CHUNK_SIZE = 6 * 1024 * 1024;
+
+let tusLibraryPromise = null;
+
+/**
+ * Carga tus-js-client solo la primera vez que se necesita
+ * @returns {Promise<void>}
+ */
+function loadTusLibrary() {
+    if (window.tus) return Promise.resolve();
+
+    if (!tusLibraryPromise) {
+        tusLibraryPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = CONFIG.TUS_LIBRARY_URL;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                tusLibraryPromise = null;
+                reject(new Error('No se pudo cargar el cliente de subidas'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    return tusLibraryPromise;
+}
+
+/**
+ * Error de una subida cancelada por el usuario
+ * @returns {Error} - Con code UPLOAD_CANCELLED
+ */
+function createUploadCancelledError() {
+    const error = new Error('Subida cancelada');
+    error.code = 'UPLOAD_CANCELLED';
+    return error;
+}
+
+/**
+ * Sube un archivo al bucket privado por partes con el protocolo TUS de Supabase Storage.
+ * Si la conexión se cae, reintenta con esperas crecientes (CONFIG.UPLOAD_RETRY_DELAYS)
+ * y continúa desde la última parte confirmada; el avance queda en localStorage,
+ * así que un nuevo intento con la misma ruta también retoma donde quedó.
+ * Sin el cliente TUS se usa la subida normal, con los mismos reintentos.
+ * @param {Blob} blob - Archivo ya procesado
+ * @param {string} filePath - Ruta dentro de CONFIG.RECEIPTS_BUCKET
+ * @param {Object} options - { upsert, contentType, onProgress, signal }
+ * @returns {Promise<void>}
+ */
+async function uploadResumable(blob, filePath, options = {}) {
+    const { signal, onProgress } = options;
+    if (signal?.aborted) throw createUploadCancelledError();
+
+    try {
+        await loadTusLibrary();
+    } catch (error) {
+        console.warn('Subida sin reanudación:', error);
+        await uploadWithRetry(blob, filePath, options);
+        if (onProgress) onProgress(1);
+        return;
+    }
+
+    const { data: { session } } = await getSupabase().auth.getSession();
+
+    return new Promise((resolve, reject) => {
+        const upload = new tus.Upload(blob, {
+            endpoint: `${CONFIG.SUPABASE_URL}/storage/v1/upload/resumable`,
+            retryDelays: CONFIG.UPLOAD_RETRY_DELAYS,
+            headers: {
+                authorization: `Bearer ${session?.access_token || CONFIG.SUPABASE_ANON_KEY}`,
+                apikey: CONFIG.SUPABASE_ANON_KEY,
+                'x-upsert': options.upsert ? 'true' : 'false'
+            },
+            uploadDataDuringCreation: true,
+            removeFingerprintOnSuccess: true,
+            chunkSize: TUS_CHUNK_SIZE,
+            metadata: {
+                bucketName: CONFIG.RECEIPTS_BUCKET,
+                objectName: filePath,
+                contentType: options.contentType,
+                cacheControl: '3600'
+            },
+            // La ruta identifica la subida: otro intento con el mismo archivo la retoma
+            fingerprint: () => Promise.resolve(`daviplata-tus-${CONFIG.RECEIPTS_BUCKET}-${filePath}-${blob.size}`),
+            onProgress: (sent, total) => {
+                if (onProgress) onProgress(total ? sent / total : 0);
+            },
+            onError: (error) => {
+                signal?.removeEventListener('abort', handleAbort);
+                console.error('Error subiendo a Storage:', error);
+                reject(error);
+            },
+            onSuccess: () => {
+                signal?.removeEventListener('abort', handleAbort);
+                resolve();
+            }
+        });
+
+        // Se detiene sin borrar lo subido: un nuevo intento lo retoma
+        function handleAbort() {
+            upload.abort();
+            reject(createUploadCancelledError());
+        }
+        signal?.addEventListener('abort', handleAbort, { once: true });
+
+        // Si no se puede leer el avance guardado, se sube desde el principio
+        upload.findPreviousUploads()
+            .then(previous => {
+                if (previous.length) upload.resumeFromPreviousUpload(previous[0]);
+            })
+            .catch(error => console.warn('No se pudo retomar la subida anterior:', error))
+            .then(() => {
+                if (!signal?.aborted) upload.start();
+            });
+    });
+}
+
+/**
+ * Indica si vale la pena reintentar una subida fallida: los 4xx (permisos de
+ * Storage, 409 archivo ya existente...) fallan igual en el siguiente intento
+ * @param {Object} error - Error de Supabase Storage
+ * @returns {boolean}
+ */
+function isRetryableUploadError(error) {
+    const status = Number(error?.status || error?.statusCode);
+    return !(status >= 400 && status < 500 && status !== 408 && status !== 429);
+}
+
+/**
+ * Espera entre reintentos; se corta si el usuario cancela la subida
+ * @param {number} ms - Milisegundos de espera
+ * @param {AbortSignal} signal - Señal de cancelación
+ * @returns {Promise<void>}
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', handleAbort);
+            resolve();
+        }, ms);
+
+        function handleAbort() {
+            clearTimeout(timer);
+            reject(createUploadCancelledError());
+        }
+        signal?.addEventListener('abort', handleAbort, { once: true });
+    });
+}
+
+/**
+ * Subida normal (sin partes) con los reintentos de CONFIG.UPLOAD_RETRY_DELAYS
+ * @param {Blob} blob - Archivo ya procesado
+ * @param {string} filePath - Ruta dentro de CONFIG.RECEIPTS_BUCKET
+ * @param {Object} options - { upsert, contentType, signal }
+ */
+async function uploadWithRetry(blob, filePath, options = {}) {
+    const delays = CONFIG.UPLOAD_RETRY_DELAYS;
+
+    for (let attempt = 0; ; attempt++) {
+        if (options.signal?.aborted) throw createUploadCancelledError();
+
+        const { error } = await getSupabase().storage
+            .from(CONFIG.RECEIPTS_BUCKET)
+            .upload(filePath, blob, {
                 cacheControl: '3600',
-                upsert: false,
-                contentType: file.type || 'image/jpeg'
+                upsert: !!options.upsert,
+                contentType: options.contentType
             });
 
-        if (error) {
+        if (!error) return;
+        if (options.signal?.aborted) throw createUploadCancelledError();
+        if (attempt >= delays.length || !isRetryableUploadError(error)) {
             console.error('Error subiendo a Storage:', error);
             throw error;
         }
 
-        // Obtener URL pública
-        const { data: urlData } = client.storage
-            .from(CONFIG.STORAGE_BUCKET)
-            .getPublicUrl(filePath);
-
-        const publicUrl = urlData.publicUrl;
-        console.log('Archivo subido:', publicUrl);
-
-        return publicUrl;
-    } catch (error) {
-        console.error('Error subiendo archivo:', error);
-        throw error;
+        console.warn(`Subida fallida, reintento ${attempt + 1} de ${delays.length}:`, error);
+        await waitForRetry(delays[attempt], options.signal);
     }
 }
 
@@ -159,21 +479,31 @@ async function uploadToSupabaseStorage(file, filename) {
  * Esto es más compatible con herramientas como n8n y evita problemas de CORS en modo simple
  * @param {Object} movement - Datos del movimiento
  * @param {boolean} isCorrection - Si el movimiento es una edición/corrección
+ * @param {boolean} isPdf - Si se envía al webhook de PDF
+ * @param {number|null} balanceNow - Saldo de la cuenta ya calculado (los programados atrasados)
+ * @returns {Promise<boolean>} - true si el webhook respondió correctamente
  */
-async function notifyMovementWebhook(movement, isCorrection = false, isPdf = false) {
+async function notifyMovementWebhook(movement, isCorrection = false, isPdf = false, balanceNow = null) {
     try {
         // Obtener estadísticas actualizadas para enviar el saldo real después del movimiento
         // getStatistics() está definido en movements.js y es accesible globalmente
-        let stats = null;
-        try {
-            stats = await getStatistics();
-        } catch (e) {
-            console.warn('No se pudo obtener el saldo actualizado para el webhook');
+        // El saldo es el de la cuenta del movimiento (la de origen en las transferencias)
+        let stats = balanceNow !== null ? { balance: balanceNow } : null;
+        if (!stats) {
+            try {
+                stats = await getStatistics(movement.cuenta_id ? { cuentaId: movement.cuenta_id } : {});
+            } catch (e) {
+                console.warn('No se pudo obtener el saldo actualizado para el webhook');
+            }
         }
 
-        const montoNum = parseFloat(movement.monto) || 0;
+        // Los saldos están en USD: el efecto se calcula con el monto convertido
+        const montoNum = getBaseAmount(movement);
         const isIngreso = movement.tipo === 'INGRESO';
+        const isTransfer = movement.tipo === 'TRANSFERENCIA';
         const isVerified = movement.verified === 'VERIFICADO';
+        const delta = getMovementSign(movement, movement.cuenta_id) * montoNum;
+        const cuentaLabel = getMovementAccountLabel(movement);
 
         // Lógica de Saldos Corregida basándose en el estado de verificación en Supabase
         // Supabase getStatistics() devuelve el balance sumando solo los VERIFICADOS
@@ -184,11 +514,11 @@ async function notifyMovementWebhook(movement, isCorrection = false, isPdf = fal
         if (isVerified) {
             // Si ya está Verificado, currentBalance YA LO INCLUYE
             balanceAfter = currentBalance;
-            balanceBefore = isIngreso ? (balanceAfter - montoNum) : (balanceAfter + montoNum);
+            balanceBefore = balanceAfter - delta;
         } else {
             // Si está Pendiente, currentBalance NO LO INCLUYE
             balanceBefore = currentBalance;
-            balanceAfter = isIngreso ? (balanceBefore + montoNum) : (balanceBefore - montoNum);
+            balanceAfter = balanceBefore + delta;
         }
 
         // Crear FormData para enviar como piezas individuales
@@ -196,10 +526,21 @@ async function notifyMovementWebhook(movement, isCorrection = false, isPdf = fal
         formData.append('id', movement.id || '');
         formData.append('tipo', movement.tipo || '');
         formData.append('monto', movement.monto || 0);
+        formData.append('moneda', getMovementCurrency(movement));
+        formData.append('tasa_cambio', movement.tasa_cambio || 1);
+        formData.append('monto_base', montoNum);
         formData.append('saldo_despues', balanceAfter);
         formData.append('motivo', movement.motivo || '');
-        formData.append('url', movement.comprobante_url || '');
+        // Enlaces firmados con más duración: el flujo puede descargarlos un rato después
+        const attachments = await getSignedAttachments(movement, CONFIG.SIGNED_URL_TTL_SHARED);
+        formData.append('url', attachments[0]?.url || '');
+        // Todos los adjuntos en orden (url = el primero, para los flujos que solo envían uno)
+        formData.append('adjuntos', JSON.stringify(attachments.map(a => ({ url: a.url, nombre: a.nombre, tipo: a.tipo }))));
         formData.append('fecha', movement.fecha || new Date().toISOString());
+        formData.append('cuenta', getAccountName(movement.cuenta_id));
+        formData.append('cuenta_destino', getAccountName(movement.cuenta_destino_id));
+        formData.append('categoria', movement.categoria_id ? getCategoryName(movement.categoria_id) : '');
+        formData.append('auto_generado', !!movement.auto_generado);
         
         // Incluir info del usuario (usando AppState o el objeto movement)
         const usuarioNombre = movement.daviplata_usuarios?.nombre || AppState.userProfile?.nombre || '';
@@ -211,7 +552,9 @@ async function notifyMovementWebhook(movement, isCorrection = false, isPdf = fal
         
         // Construir CAPTION para WhatsApp
         let header;
-        if (isCorrection) {
+        if (isTransfer) {
+            header = isCorrection ? '*CORRECCIÓN DE TRANSFERENCIA!!* 🔄 🔁' : '*TRANSFERENCIA ENTRE CUENTAS!!* 🔁';
+        } else if (isCorrection) {
             if (isIngreso) {
                 header = isVerified ? '*CORRECCIÓN DE INGRESO!!* 🔄 🟢' : '*CORRECCIÓN DE INGRESO PENDIENTE!!* 🔄 🟡';
             } else {
@@ -229,7 +572,10 @@ async function notifyMovementWebhook(movement, isCorrection = false, isPdf = fal
         const formattedNext = typeof formatCurrency === 'function' ? formatCurrency(balanceAfter) : `$${balanceAfter}`;
         const formattedDate = typeof formatDate === 'function' ? formatDate(movement.fecha) : new Date(movement.fecha).toLocaleString();
 
-        const correctionNote = isCorrection ? '\n*Nota:* Se ha corregido un error en el registro previo.\n' : '';
+        const categoriaLine = movement.categoria_id ? `\n- *Categoría:* ${getCategoryName(movement.categoria_id)}` : '';
+        const correctionNote = isCorrection
+            ? '\n*Nota:* Se ha corregido un error en el registro previo.\n'
+            : movement.auto_generado ? '\n_Generado automáticamente (movimiento programado)_\n' : '';
 
         let caption;
         if (isIngreso && !isVerified) {
@@ -240,8 +586,9 @@ ${correctionNote}
 *Saldo actual:* ${formattedBefore}
 
 Se ha registrado un nuevo ingreso que requiere validación. Los detalles son:
-- *Monto:* ${typeof formatCurrency === 'function' ? formatCurrency(montoNum) : `$${montoNum}`}
-- *Motivo:* ${movement.motivo}
+- *Monto:* ${formatMovementAmountWithBase(movement)}
+- *Motivo:* ${movement.motivo}${categoriaLine}
+- *Cuenta:* ${cuentaLabel}
 - *Usuario:* ${usuarioNombre}
 - *Fecha:* ${formattedDate}
 
@@ -253,8 +600,9 @@ ${correctionNote}
 *Saldo antes del movimiento:* ${formattedBefore}
 
 *Detalles del movimiento:*
-- *Monto:* ${typeof formatCurrency === 'function' ? formatCurrency(montoNum) : `$${montoNum}`}
-- *Motivo:* ${movement.motivo}
+- *Monto:* ${formatMovementAmountWithBase(movement)}
+- *Motivo:* ${movement.motivo}${categoriaLine}
+- *${isTransfer ? 'Cuentas' : 'Cuenta'}:* ${cuentaLabel}
 - *Usuario:* ${usuarioNombre}
 - *Fecha:* ${formattedDate}
 
@@ -291,8 +639,10 @@ ${correctionNote}
         }
 
         console.log('Webhook notificado exitosamente');
+        return response.ok;
     } catch (error) {
         console.warn('Error notificando webhook:', error.message);
+        return false;
     }
 }
 
@@ -300,12 +650,15 @@ ${correctionNote}
  * Notifica la verificación de un movimiento al segundo webhook
  * Específicamente solicitado para cuando el admin verifica manualmente
  * @param {Object} movement - Datos del movimiento
+ * @param {number|null} balanceNow - Saldo tras la verificación. En la verificación
+ *   masiva se pasa el saldo acumulado fila a fila; si es null se consulta a Supabase
+ * @returns {Promise<boolean>} - true si el webhook respondió correctamente
  */
-async function notifyVerificationWebhook(movement) {
+async function notifyVerificationWebhook(movement, balanceNow = null) {
     try {
         if (!movement.idmessage || !movement.remote_jid) {
             console.warn('Movimiento sin idmessage o remote_jid, no se puede notificar verificación');
-            return;
+            return false;
         }
 
         // Enviamos el remote_jid tal cual (con @s.whatsapp.net o @g.us) según requerimiento
@@ -318,19 +671,23 @@ async function notifyVerificationWebhook(movement) {
         // Datos adicionales que podrían ser útiles
         formData.append('id_movimiento', movement.id);
         formData.append('monto', movement.monto);
+        formData.append('moneda', getMovementCurrency(movement));
+        formData.append('monto_base', getBaseAmount(movement));
         formData.append('tipo', movement.tipo);
 
         // Obtener saldo actualizado para ratificación
-        let balanceNow = 0;
-        try {
-            const stats = await getStatistics();
-            balanceNow = stats.balance;
-        } catch (e) {
-            console.warn('No se pudo obtener el saldo actualizado para verificación');
+        if (balanceNow === null) {
+            balanceNow = 0;
+            try {
+                const stats = await getStatistics();
+                balanceNow = stats.balance;
+            } catch (e) {
+                console.warn('No se pudo obtener el saldo actualizado para verificación');
+            }
         }
 
         // Caption para verificación
-        const formattedAmount = typeof formatCurrency === 'function' ? formatCurrency(movement.monto) : `$${movement.monto}`;
+        const formattedAmount = formatMovementAmountWithBase(movement);
         const formattedBalance = typeof formatCurrency === 'function' ? formatCurrency(balanceNow) : `$${balanceNow}`;
         
         const caption = 
@@ -364,11 +721,80 @@ Su registro ha sido validado satisfactoriamente por el Administrador.
 
         if (response.ok) {
             console.log('Webhook de verificación enviado con éxito');
-        } else {
-            console.warn('Fallo al enviar webhook de verificación:', response.statusText);
+            return true;
         }
+        console.warn('Fallo al enviar webhook de verificación:', response.statusText);
+        return false;
     } catch (error) {
         console.error('Error enviando webhook de verificación:', error);
+        return false;
+    }
+}
+
+/**
+ * Notifica el rechazo de un movimiento al webhook de rechazos
+ * Responde al mensaje original para que el usuario sepa por qué fue rechazado
+ * @param {Object} movement - Datos del movimiento (ya rechazado)
+ * @param {string} motivoRechazo - Motivo indicado por el administrador
+ */
+async function notifyRejectionWebhook(movement, motivoRechazo) {
+    try {
+        if (!movement.idmessage || !movement.remote_jid) {
+            console.warn('Movimiento sin idmessage o remote_jid, no se puede notificar rechazo');
+            return;
+        }
+
+        const jid = movement.remote_jid;
+        const reason = motivoRechazo || movement.motivo_rechazo || '';
+
+        const formData = new FormData();
+        formData.append('idmessage', movement.idmessage);
+        formData.append('numero_destinatario', jid);
+        formData.append('id_movimiento', movement.id);
+        formData.append('monto', movement.monto);
+        formData.append('moneda', getMovementCurrency(movement));
+        formData.append('monto_base', getBaseAmount(movement));
+        formData.append('tipo', movement.tipo);
+        formData.append('motivo_rechazo', reason);
+
+        const formattedAmount = formatMovementAmountWithBase(movement);
+
+        const caption = 
+`*MOVIMIENTO RECHAZADO* ❌
+---------------------------------------
+Su registro fue revisado y rechazado por el Administrador.
+
+*Detalles del Movimiento:*
+- *ID:* _#${movement.id.toString().substring(0, 8)}..._
+- *Tipo:* _${movement.tipo}_
+- *Monto:* _${formattedAmount}_
+- *Motivo:* ${movement.motivo || ''}
+
+*Motivo del rechazo:* ${reason}
+
+*Estado Actual:* El movimiento no afecta el saldo. Si corresponde, registre uno nuevo con el comprobante correcto.
+
+*_DaviPlata - Control de Movimientos_*`;
+
+        formData.append('caption', caption);
+
+        console.log('Enviando webhook de rechazo:', {
+            idmessage: movement.idmessage,
+            numero_destinatario: jid
+        });
+
+        const response = await fetch(CONFIG.WEBHOOK_REJECT, {
+            method: 'POST',
+            body: formData
+        });
+
+        if (response.ok) {
+            console.log('Webhook de rechazo enviado con éxito');
+        } else {
+            console.warn('Fallo al enviar webhook de rechazo:', response.statusText);
+        }
+    } catch (error) {
+        console.error('Error enviando webhook de rechazo:', error);
     }
 }
 
@@ -0,0 +1,61 @@
+-- ============================================
+-- DAVIPLATA - ESTADÍSTICAS EN LA BASE DE DATOS
+-- Reemplaza la suma en el navegador de getStatistics()
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Totales agregados con filtros opcionales de fecha y usuario.
+-- Misma forma que devolvía getStatistics():
+--   balance            = ingresos verificados - egresos verificados
+--   total_pendiente    = ingresos pendientes - egresos pendientes
+--   total_movimientos  = todos los registros del filtro
+create or replace function public.daviplata_estadisticas(
+    p_desde      timestamptz default null,
+    p_hasta      timestamptz default null,
+    p_usuario_id uuid        default null
+)
+returns table (
+    total_ingresos    numeric,
+    total_egresos     numeric,
+    balance           numeric,
+    cantidad_ingresos bigint,
+    cantidad_egresos  bigint,
+    total_pendiente   numeric,
+    total_movimientos bigint
+)
+language sql
+stable
+security invoker
+as $$
+    select
+        coalesce(sum(monto) filter (where tipo = 'INGRESO' and verified = 'VERIFICADO'), 0) as total_ingresos,
+        coalesce(sum(monto) filter (where tipo = 'EGRESO'  and verified = 'VERIFICADO'), 0) as total_egresos,
+        coalesce(sum(case when tipo = 'INGRESO' then monto else -monto end)
+                 filter (where verified = 'VERIFICADO'), 0)                                 as balance,
+        count(*) filter (where tipo = 'INGRESO' and verified = 'VERIFICADO')                 as cantidad_ingresos,
+        count(*) filter (where tipo = 'EGRESO'  and verified = 'VERIFICADO')                 as cantidad_egresos,
+        coalesce(sum(case when tipo = 'INGRESO' then monto else -monto end)
+                 filter (where verified = 'PENDIENTE'), 0)                                  as total_pendiente,
+        count(*)                                                                            as total_movimientos
+    from public.daviplata_movimientos
+    where (p_desde is null or fecha >= p_desde)
+      and (p_hasta is null or fecha <= p_hasta)
+      and (p_usuario_id is null or usuario_id = p_usuario_id);
+$$;
+
+grant execute on function public.daviplata_estadisticas(timestamptz, timestamptz, uuid) to anon, authenticated;
+
+-- Vista con los totales globales (sin filtros), útil para consultas directas
+create or replace view public.daviplata_estadisticas_globales
+with (security_invoker = true) as
+    select * from public.daviplata_estadisticas();
+
+grant select on public.daviplata_estadisticas_globales to anon, authenticated;
+
+-- Índices para los filtros de estadísticas y la paginación de movimientos
+create index if not exists daviplata_movimientos_fecha_idx
+    on public.daviplata_movimientos (fecha desc);
+create index if not exists daviplata_movimientos_created_id_idx
+    on public.daviplata_movimientos (created_at desc, id desc);
+create index if not exists daviplata_movimientos_usuario_idx
+    on public.daviplata_movimientos (usuario_id);
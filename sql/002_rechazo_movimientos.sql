@@ -0,0 +1,59 @@
+-- ============================================
+-- DAVIPLATA - RECHAZO DE MOVIMIENTOS
+-- Nuevo estado RECHAZADO con motivo obligatorio
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Motivo del rechazo indicado por el administrador
+alter table public.daviplata_movimientos
+    add column if not exists motivo_rechazo text;
+
+-- Estados permitidos
+alter table public.daviplata_movimientos
+    drop constraint if exists daviplata_movimientos_verified_check;
+alter table public.daviplata_movimientos
+    add constraint daviplata_movimientos_verified_check
+    check (verified in ('PENDIENTE', 'VERIFICADO', 'RECHAZADO'));
+
+-- Un rechazo siempre debe llevar su motivo
+alter table public.daviplata_movimientos
+    drop constraint if exists daviplata_movimientos_rechazo_motivo_check;
+alter table public.daviplata_movimientos
+    add constraint daviplata_movimientos_rechazo_motivo_check
+    check (verified <> 'RECHAZADO' or length(trim(coalesce(motivo_rechazo, ''))) > 0);
+
+-- Estadísticas: los rechazados no cuentan en ningún total
+-- (balance y pendiente ya filtraban por estado; faltaba total_movimientos)
+create or replace function public.daviplata_estadisticas(
+    p_desde      timestamptz default null,
+    p_hasta      timestamptz default null,
+    p_usuario_id uuid        default null
+)
+returns table (
+    total_ingresos    numeric,
+    total_egresos     numeric,
+    balance           numeric,
+    cantidad_ingresos bigint,
+    cantidad_egresos  bigint,
+    total_pendiente   numeric,
+    total_movimientos bigint
+)
+language sql
+stable
+security invoker
+as $$
+    select
+        coalesce(sum(monto) filter (where tipo = 'INGRESO' and verified = 'VERIFICADO'), 0) as total_ingresos,
+        coalesce(sum(monto) filter (where tipo = 'EGRESO'  and verified = 'VERIFICADO'), 0) as total_egresos,
+        coalesce(sum(case when tipo = 'INGRESO' then monto else -monto end)
+                 filter (where verified = 'VERIFICADO'), 0)                                 as balance,
+        count(*) filter (where tipo = 'INGRESO' and verified = 'VERIFICADO')                 as cantidad_ingresos,
+        count(*) filter (where tipo = 'EGRESO'  and verified = 'VERIFICADO')                 as cantidad_egresos,
+        coalesce(sum(case when tipo = 'INGRESO' then monto else -monto end)
+                 filter (where verified = 'PENDIENTE'), 0)                                  as total_pendiente,
+        count(*) filter (where verified <> 'RECHAZADO')                                     as total_movimientos
+    from public.daviplata_movimientos
+    where (p_desde is null or fecha >= p_desde)
+      and (p_hasta is null or fecha <= p_hasta)
+      and (p_usuario_id is null or usuario_id = p_usuario_id);
+$$;
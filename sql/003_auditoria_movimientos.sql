@@ -0,0 +1,129 @@
+-- ============================================
+-- DAVIPLATA - AUDITORÍA DE MOVIMIENTOS
+-- Registro de solo inserción de cada cambio
+-- (crear, editar, verificar, rechazar), escrito por un trigger
+-- para que ningún cambio quede fuera ni se pueda inventar
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+create table if not exists public.daviplata_auditoria (
+    id            bigint generated always as identity primary key,
+    -- Sin clave foránea: el historial se conserva aunque el movimiento desaparezca
+    movimiento_id uuid        not null,
+    usuario_id    uuid        references public.daviplata_usuarios (id),
+    accion        text        not null check (accion in ('CREAR', 'EDITAR', 'VERIFICAR', 'RECHAZAR')),
+    -- { campo: { "anterior": valor, "nuevo": valor } }
+    cambios       jsonb       not null default '{}'::jsonb,
+    created_at    timestamptz not null default now()
+);
+
+create index if not exists daviplata_auditoria_movimiento_idx
+    on public.daviplata_auditoria (movimiento_id, created_at);
+
+-- Solo lectura desde la app: el historial lo escribe daviplata_registrar_auditoria
+-- y nadie puede modificarlo ni borrarlo
+alter table public.daviplata_auditoria enable row level security;
+
+drop policy if exists daviplata_auditoria_select on public.daviplata_auditoria;
+create policy daviplata_auditoria_select on public.daviplata_auditoria
+    for select to anon, authenticated using (true);
+
+drop policy if exists daviplata_auditoria_insert on public.daviplata_auditoria;
+
+revoke insert, update, delete, truncate on public.daviplata_auditoria from anon, authenticated;
+
+-- Refuerzo por si alguien con más privilegios lo intenta
+create or replace function public.daviplata_auditoria_inmutable()
+returns trigger
+language plpgsql
+as $$
+begin
+    raise exception 'daviplata_auditoria es de solo inserción';
+end;
+$$;
+
+drop trigger if exists daviplata_auditoria_inmutable on public.daviplata_auditoria;
+create trigger daviplata_auditoria_inmutable
+    before update or delete on public.daviplata_auditoria
+    for each row execute function public.daviplata_auditoria_inmutable();
+
+-- ============================================
+-- REGISTRO
+-- ============================================
+-- Campos que se registran (idmessage/remote_jid son internos del webhook).
+-- Las migraciones que agregan campos auditables solo redefinen esta lista.
+create or replace function public.daviplata_campos_auditados()
+returns text[]
+language sql
+immutable
+as $$
+    select array['tipo', 'monto', 'motivo', 'comprobante_url', 'verified', 'motivo_rechazo'];
+$$;
+
+-- Una fila por alta y por cada UPDATE que cambie algún campo auditado:
+--   cambios  { campo: { "anterior": valor, "nuevo": valor } } (vacío/[] cuenta como null)
+--   autor    el usuario de la sesión; en el alta, el dueño del movimiento
+-- Un cambio interno puede omitirse con set_config('daviplata.sin_auditoria', 'on', true).
+create or replace function public.daviplata_registrar_auditoria()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_anterior jsonb := case when tg_op = 'UPDATE' then to_jsonb(old) else '{}'::jsonb end;
+    v_nuevo    jsonb := to_jsonb(new);
+    v_cambios  jsonb := '{}'::jsonb;
+    v_campo    text;
+    v_antes    jsonb;
+    v_despues  jsonb;
+    v_usuario  uuid;
+begin
+    if current_setting('daviplata.sin_auditoria', true) = 'on' then
+        return null;
+    end if;
+
+    foreach v_campo in array public.daviplata_campos_auditados() loop
+        v_antes   := coalesce(nullif(v_anterior -> v_campo, '[]'::jsonb), 'null'::jsonb);
+        v_despues := coalesce(nullif(v_nuevo -> v_campo, '[]'::jsonb), 'null'::jsonb);
+        if v_antes is distinct from v_despues then
+            v_cambios := v_cambios || jsonb_build_object(v_campo,
+                jsonb_build_object('anterior', v_anterior -> v_campo, 'nuevo', v_nuevo -> v_campo));
+        end if;
+    end loop;
+
+    if tg_op = 'UPDATE' and v_cambios = '{}'::jsonb then
+        return null;
+    end if;
+
+    if tg_op = 'INSERT' then
+        v_usuario := new.usuario_id;
+    else
+        -- Los perfiles se relacionan con la sesión por email (igual que getCurrentUserProfile)
+        select id into v_usuario
+        from daviplata_usuarios
+        where email = auth.jwt() ->> 'email'
+        limit 1;
+    end if;
+
+    insert into daviplata_auditoria (movimiento_id, usuario_id, accion, cambios)
+    values (
+        new.id,
+        v_usuario,
+        case
+            when tg_op = 'INSERT'                                         then 'CREAR'
+            when v_cambios ? 'verified' and new.verified = 'VERIFICADO' then 'VERIFICAR'
+            when v_cambios ? 'verified' and new.verified = 'RECHAZADO'  then 'RECHAZAR'
+            else 'EDITAR'
+        end,
+        v_cambios
+    );
+
+    return null;
+end;
+$$;
+
+drop trigger if exists daviplata_registrar_auditoria on public.daviplata_movimientos;
+create trigger daviplata_registrar_auditoria
+    after insert or update on public.daviplata_movimientos
+    for each row execute function public.daviplata_registrar_auditoria();
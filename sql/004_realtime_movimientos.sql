@@ -0,0 +1,21 @@
+-- ============================================
+-- DAVIPLATA - REALTIME DE MOVIMIENTOS
+-- Publica los cambios de daviplata_movimientos para
+-- que los dashboards abiertos se actualicen solos
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime'
+          and schemaname = 'public'
+          and tablename = 'daviplata_movimientos'
+    ) then
+        alter publication supabase_realtime add table public.daviplata_movimientos;
+    end if;
+end;
+$$;
+
+-- Los DELETE solo traen la clave primaria en payload.old, suficiente para quitar la fila
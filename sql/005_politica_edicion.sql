@@ -0,0 +1,122 @@
+-- ============================================
+-- DAVIPLATA - POLÍTICA DE EDICIÓN
+-- Tabla de configuración y validación en la base
+-- de las mismas reglas que aplica canEditMovement()
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Configuración general de la app (clave → valor JSON)
+create table if not exists public.daviplata_configuracion (
+    clave      text primary key,
+    valor      jsonb       not null,
+    updated_at timestamptz not null default now()
+);
+
+alter table public.daviplata_configuracion enable row level security;
+
+drop policy if exists daviplata_configuracion_select on public.daviplata_configuracion;
+create policy daviplata_configuracion_select on public.daviplata_configuracion
+    for select to anon, authenticated using (true);
+
+-- Política de edición:
+--   ventana_minutos   minutos desde la creación en que se puede editar (0 = sin límite)
+--   solo_ultimo       'global'  → solo el último movimiento de todos
+--                     'usuario' → solo el último movimiento de quien lo registró
+--                     'ninguno' → cualquier movimiento dentro de la ventana
+--   admin_sin_limite  los administradores no tienen restricciones
+insert into public.daviplata_configuracion (clave, valor)
+values ('politica_edicion', '{"ventana_minutos": 30, "solo_ultimo": "global", "admin_sin_limite": false}')
+on conflict (clave) do nothing;
+
+-- Columnas que se pueden cambiar sin que cuente como edición: la verificación,
+-- el rechazo y los datos del webhook (idmessage/remote_jid). Todas las demás son
+-- contenido, también las que agreguen migraciones posteriores; si una de ellas
+-- es de control, la migración solo redefine esta lista.
+create or replace function public.daviplata_columnas_sin_edicion()
+returns text[]
+language sql
+immutable
+as $$
+    select array['verified', 'motivo_rechazo', 'idmessage', 'remote_jid'];
+$$;
+
+-- Indica si un UPDATE cambia el contenido del movimiento (filas como jsonb)
+create or replace function public.daviplata_cambia_contenido(p_old jsonb, p_new jsonb)
+returns boolean
+language sql
+stable
+as $$
+    select (p_new - public.daviplata_columnas_sin_edicion())
+           is distinct from (p_old - public.daviplata_columnas_sin_edicion());
+$$;
+
+-- Valida cada UPDATE que cambie el contenido del movimiento
+create or replace function public.daviplata_validar_edicion()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_politica         jsonb;
+    v_ventana          integer;
+    v_solo_ultimo      text;
+    v_admin_sin_limite boolean;
+    v_es_admin         boolean;
+    v_ultimo_id        uuid;
+begin
+    if not public.daviplata_cambia_contenido(to_jsonb(old), to_jsonb(new)) then
+        return new;
+    end if;
+
+    select valor into v_politica
+    from daviplata_configuracion
+    where clave = 'politica_edicion';
+
+    v_ventana          := coalesce((v_politica ->> 'ventana_minutos')::integer, 30);
+    v_solo_ultimo      := coalesce(v_politica ->> 'solo_ultimo', 'global');
+    v_admin_sin_limite := coalesce((v_politica ->> 'admin_sin_limite')::boolean, false);
+
+    -- Los perfiles se relacionan con la sesión por email (igual que getCurrentUserProfile)
+    select exists (
+        select 1 from daviplata_usuarios
+        where email = auth.jwt() ->> 'email'
+          and rol_daviplata = 'admin'
+    ) into v_es_admin;
+
+    if v_es_admin and v_admin_sin_limite then
+        return new;
+    end if;
+
+    if v_solo_ultimo in ('global', 'usuario') then
+        select id into v_ultimo_id
+        from daviplata_movimientos
+        where v_solo_ultimo = 'global' or usuario_id = old.usuario_id
+        order by created_at desc, id desc
+        limit 1;
+
+        if v_ultimo_id is distinct from old.id then
+            raise exception using
+                errcode = 'P0001',
+                message = case when v_solo_ultimo = 'usuario'
+                               then 'Solo se puede editar el último movimiento del usuario'
+                               else 'Solo se puede editar el último movimiento registrado' end,
+                hint    = 'EDICION_NO_PERMITIDA';
+        end if;
+    end if;
+
+    if v_ventana > 0 and now() - old.created_at > make_interval(mins => v_ventana) then
+        raise exception using
+            errcode = 'P0001',
+            message = format('Han pasado más de %s minutos desde la creación', v_ventana),
+            hint    = 'EDICION_NO_PERMITIDA';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists daviplata_validar_edicion on public.daviplata_movimientos;
+create trigger daviplata_validar_edicion
+    before update on public.daviplata_movimientos
+    for each row execute function public.daviplata_validar_edicion();
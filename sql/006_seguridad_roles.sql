@@ -0,0 +1,172 @@
+-- ============================================
+-- DAVIPLATA - SEGURIDAD POR ROLES (RLS)
+-- Las reglas de rol ya no dependen solo del navegador:
+--   • Solo admins registran egresos
+--   • Solo admins verifican o rechazan
+--   • Solo admins editan movimientos de otros usuarios
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Perfil de daviplata_usuarios de la sesión actual
+-- (se relaciona por email, igual que getCurrentUserProfile en js/supabase.js)
+create or replace function public.daviplata_usuario_actual()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select id from daviplata_usuarios
+    where email = auth.jwt() ->> 'email'
+    limit 1;
+$$;
+
+create or replace function public.daviplata_es_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from daviplata_usuarios
+        where email = auth.jwt() ->> 'email'
+          and rol_daviplata = 'admin'
+    );
+$$;
+
+grant execute on function public.daviplata_usuario_actual() to authenticated;
+grant execute on function public.daviplata_es_admin() to authenticated;
+
+-- ============================================
+-- MOVIMIENTOS
+-- ============================================
+alter table public.daviplata_movimientos enable row level security;
+
+-- Lectura: cualquier usuario con sesión (el dashboard es compartido)
+drop policy if exists daviplata_movimientos_select on public.daviplata_movimientos;
+create policy daviplata_movimientos_select on public.daviplata_movimientos
+    for select to authenticated
+    using (true);
+
+-- Alta: siempre a nombre propio; los usuarios solo ingresos pendientes
+drop policy if exists daviplata_movimientos_insert on public.daviplata_movimientos;
+create policy daviplata_movimientos_insert on public.daviplata_movimientos
+    for insert to authenticated
+    with check (
+        usuario_id = public.daviplata_usuario_actual()
+        and (
+            public.daviplata_es_admin()
+            or (tipo = 'INGRESO' and verified = 'PENDIENTE')
+        )
+    );
+
+-- Edición: el admin cualquier fila; el usuario solo las suyas, que siguen
+-- siendo ingresos pendientes (no puede verificarlas ni rechazarlas)
+drop policy if exists daviplata_movimientos_update on public.daviplata_movimientos;
+create policy daviplata_movimientos_update on public.daviplata_movimientos
+    for update to authenticated
+    using (
+        public.daviplata_es_admin()
+        or usuario_id = public.daviplata_usuario_actual()
+    )
+    with check (
+        public.daviplata_es_admin()
+        or (
+            usuario_id = public.daviplata_usuario_actual()
+            and tipo = 'INGRESO'
+            and verified = 'PENDIENTE'
+        )
+    );
+
+-- La política solo ve la fila nueva: sin esto un usuario podría devolver a PENDIENTE
+-- un movimiento propio ya verificado o rechazado. Los usuarios solo editan filas que
+-- siguen pendientes y nunca cambian el estado. La fecha y el resto del contenido pasan
+-- por la política de edición (daviplata_columnas_sin_edicion en sql/005_politica_edicion.sql).
+-- Sin JWT de usuario (service key de n8n, pg_cron) no se restringe.
+create or replace function public.daviplata_validar_estado()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if coalesce(auth.jwt() ->> 'role', '') <> 'authenticated' or public.daviplata_es_admin() then
+        return new;
+    end if;
+
+    if old.verified <> 'PENDIENTE' then
+        raise exception using
+            errcode = '42501',
+            message = 'Solo se pueden editar los movimientos pendientes de verificación',
+            hint    = 'EDICION_NO_PERMITIDA';
+    end if;
+
+    if new.verified is distinct from old.verified then
+        raise exception using
+            errcode = '42501',
+            message = 'Solo los administradores pueden verificar o rechazar movimientos',
+            hint    = 'EDICION_NO_PERMITIDA';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists daviplata_validar_estado on public.daviplata_movimientos;
+create trigger daviplata_validar_estado
+    before update on public.daviplata_movimientos
+    for each row execute function public.daviplata_validar_estado();
+
+-- La política de alta no revisa el resto de columnas: un created_at futuro dejaría
+-- la fila siempre como "la última" (la ventana de edición nunca se cierra y bloquea
+-- la edición de los demás, ver sql/005_politica_edicion.sql). La fecha de creación
+-- la pone siempre la base; a los usuarios además se les ignoran las columnas que
+-- solo escriben el admin y n8n. Se redefine al agregar columnas de ese tipo.
+create or replace function public.daviplata_validar_alta()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    new.created_at := now();
+
+    if coalesce(auth.jwt() ->> 'role', '') <> 'authenticated' or public.daviplata_es_admin() then
+        return new;
+    end if;
+
+    new.idmessage      := null;
+    new.remote_jid     := null;
+    new.motivo_rechazo := null;
+    return new;
+end;
+$$;
+
+drop trigger if exists daviplata_validar_alta on public.daviplata_movimientos;
+create trigger daviplata_validar_alta
+    before insert on public.daviplata_movimientos
+    for each row execute function public.daviplata_validar_alta();
+
+-- Sin política de borrado: los movimientos no se eliminan desde la app
+
+-- ============================================
+-- AUDITORÍA
+-- ============================================
+-- Solo lectura: el historial lo escribe el trigger de sql/003_auditoria_movimientos.sql
+drop policy if exists daviplata_auditoria_select on public.daviplata_auditoria;
+create policy daviplata_auditoria_select on public.daviplata_auditoria
+    for select to authenticated using (true);
+
+-- ============================================
+-- CONFIGURACIÓN
+-- ============================================
+drop policy if exists daviplata_configuracion_select on public.daviplata_configuracion;
+create policy daviplata_configuracion_select on public.daviplata_configuracion
+    for select to authenticated using (true);
+
+drop policy if exists daviplata_configuracion_admin on public.daviplata_configuracion;
+create policy daviplata_configuracion_admin on public.daviplata_configuracion
+    for all to authenticated
+    using (public.daviplata_es_admin())
+    with check (public.daviplata_es_admin());
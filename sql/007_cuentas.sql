@@ -0,0 +1,212 @@
+-- ============================================
+-- DAVIPLATA - CUENTAS
+-- Varias billeteras DaviPlata y caja menor, cada una con su saldo,
+-- y transferencias entre cuentas
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Cuentas (billeteras y cajas)
+create table if not exists public.daviplata_cuentas (
+    id         uuid primary key default gen_random_uuid(),
+    nombre     text        not null unique,
+    tipo       text        not null default 'BILLETERA' check (tipo in ('BILLETERA', 'CAJA')),
+    activa     boolean     not null default true,
+    orden      integer     not null default 0,
+    created_at timestamptz not null default now()
+);
+
+alter table public.daviplata_cuentas enable row level security;
+
+drop policy if exists daviplata_cuentas_select on public.daviplata_cuentas;
+create policy daviplata_cuentas_select on public.daviplata_cuentas
+    for select to authenticated using (true);
+
+-- Alta/edición de cuentas: solo admins (por SQL o desde el panel de Supabase)
+drop policy if exists daviplata_cuentas_admin on public.daviplata_cuentas;
+create policy daviplata_cuentas_admin on public.daviplata_cuentas
+    for all to authenticated
+    using (public.daviplata_es_admin())
+    with check (public.daviplata_es_admin());
+
+-- Cuenta principal: recibe todo el histórico anterior a esta migración
+insert into public.daviplata_cuentas (nombre, tipo, orden)
+values ('DaviPlata principal', 'BILLETERA', 0)
+on conflict (nombre) do nothing;
+
+-- Cuenta por defecto para inserciones sin cuenta (p. ej. colas offline antiguas)
+create or replace function public.daviplata_cuenta_predeterminada()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select id from daviplata_cuentas
+    where activa
+    order by orden, created_at
+    limit 1;
+$$;
+
+-- ============================================
+-- MOVIMIENTOS
+-- ============================================
+-- cuenta_id          cuenta del movimiento (origen en las transferencias)
+-- cuenta_destino_id  solo en TRANSFERENCIA: cuenta que recibe el dinero
+-- Una transferencia es un único registro, así que mueve el dinero de forma atómica
+alter table public.daviplata_movimientos
+    add column if not exists cuenta_id uuid references public.daviplata_cuentas (id),
+    add column if not exists cuenta_destino_id uuid references public.daviplata_cuentas (id);
+
+update public.daviplata_movimientos
+set cuenta_id = public.daviplata_cuenta_predeterminada()
+where cuenta_id is null;
+
+alter table public.daviplata_movimientos
+    alter column cuenta_id set default public.daviplata_cuenta_predeterminada(),
+    alter column cuenta_id set not null;
+
+alter table public.daviplata_movimientos
+    drop constraint if exists daviplata_movimientos_tipo_check;
+alter table public.daviplata_movimientos
+    add constraint daviplata_movimientos_tipo_check
+    check (tipo in ('INGRESO', 'EGRESO', 'TRANSFERENCIA'));
+
+alter table public.daviplata_movimientos
+    drop constraint if exists daviplata_movimientos_transferencia_check;
+alter table public.daviplata_movimientos
+    add constraint daviplata_movimientos_transferencia_check
+    check (
+        case when tipo = 'TRANSFERENCIA'
+             then cuenta_destino_id is not null and cuenta_destino_id <> cuenta_id
+             else cuenta_destino_id is null end
+    );
+
+create index if not exists daviplata_movimientos_cuenta_idx
+    on public.daviplata_movimientos (cuenta_id);
+create index if not exists daviplata_movimientos_cuenta_destino_idx
+    on public.daviplata_movimientos (cuenta_destino_id)
+    where cuenta_destino_id is not null;
+
+-- Las transferencias son exclusivas del admin: la política de inserción de
+-- sql/006_seguridad_roles.sql ya limita a los usuarios a ingresos pendientes.
+
+-- ============================================
+-- POLÍTICA DE EDICIÓN
+-- ============================================
+-- Cambiar la cuenta también es editar el movimiento: cuenta_id y cuenta_destino_id
+-- no están en daviplata_columnas_sin_edicion (sql/005_politica_edicion.sql)
+
+-- ============================================
+-- AUDITORÍA
+-- ============================================
+create or replace function public.daviplata_campos_auditados()
+returns text[]
+language sql
+immutable
+as $$
+    select array['tipo', 'monto', 'motivo', 'comprobante_url', 'verified', 'motivo_rechazo',
+                 'cuenta_id', 'cuenta_destino_id'];
+$$;
+
+-- ============================================
+-- ESTADÍSTICAS
+-- ============================================
+-- Nuevo filtro opcional p_cuenta_id. Cambia la firma, así que se reemplaza
+-- la función anterior (y la vista que depende de ella).
+--   Sin cuenta: las transferencias no alteran ningún total (salen y entran del mismo dinero)
+--   Con cuenta: las transferencias suman en destino y restan en origen dentro de balance/pendiente
+drop view if exists public.daviplata_estadisticas_globales;
+drop function if exists public.daviplata_estadisticas(timestamptz, timestamptz, uuid);
+
+create or replace function public.daviplata_estadisticas(
+    p_desde      timestamptz default null,
+    p_hasta      timestamptz default null,
+    p_usuario_id uuid        default null,
+    p_cuenta_id  uuid        default null
+)
+returns table (
+    total_ingresos    numeric,
+    total_egresos     numeric,
+    balance           numeric,
+    cantidad_ingresos bigint,
+    cantidad_egresos  bigint,
+    total_pendiente   numeric,
+    total_movimientos bigint
+)
+language sql
+stable
+security invoker
+as $$
+    with movs as (
+        select
+            tipo,
+            monto,
+            verified,
+            case
+                when tipo = 'INGRESO' then monto
+                when tipo = 'EGRESO'  then -monto
+                when p_cuenta_id is null then 0
+                when cuenta_destino_id = p_cuenta_id then monto
+                else -monto
+            end as efecto
+        from public.daviplata_movimientos
+        where (p_desde is null or fecha >= p_desde)
+          and (p_hasta is null or fecha <= p_hasta)
+          and (p_usuario_id is null or usuario_id = p_usuario_id)
+          and (p_cuenta_id is null or cuenta_id = p_cuenta_id or cuenta_destino_id = p_cuenta_id)
+    )
+    select
+        coalesce(sum(monto) filter (where tipo = 'INGRESO' and verified = 'VERIFICADO'), 0) as total_ingresos,
+        coalesce(sum(monto) filter (where tipo = 'EGRESO'  and verified = 'VERIFICADO'), 0) as total_egresos,
+        coalesce(sum(efecto) filter (where verified = 'VERIFICADO'), 0)                     as balance,
+        count(*) filter (where tipo = 'INGRESO' and verified = 'VERIFICADO')                 as cantidad_ingresos,
+        count(*) filter (where tipo = 'EGRESO'  and verified = 'VERIFICADO')                 as cantidad_egresos,
+        coalesce(sum(efecto) filter (where verified = 'PENDIENTE'), 0)                      as total_pendiente,
+        count(*) filter (where verified <> 'RECHAZADO')                                     as total_movimientos
+    from movs;
+$$;
+
+grant execute on function public.daviplata_estadisticas(timestamptz, timestamptz, uuid, uuid) to anon, authenticated;
+
+create or replace view public.daviplata_estadisticas_globales
+with (security_invoker = true) as
+    select * from public.daviplata_estadisticas();
+
+grant select on public.daviplata_estadisticas_globales to anon, authenticated;
+
+-- Saldo de cada cuenta en una sola consulta (tarjetas de saldo por cuenta)
+create or replace function public.daviplata_saldos_cuentas()
+returns table (
+    cuenta_id       uuid,
+    nombre          text,
+    tipo            text,
+    balance         numeric,
+    total_pendiente numeric
+)
+language sql
+stable
+security invoker
+as $$
+    with efectos as (
+        select cuenta_id, verified,
+               case when tipo = 'INGRESO' then monto else -monto end as efecto
+        from public.daviplata_movimientos
+        union all
+        select cuenta_destino_id, verified, monto
+        from public.daviplata_movimientos
+        where tipo = 'TRANSFERENCIA'
+    )
+    select
+        c.id,
+        c.nombre,
+        c.tipo,
+        coalesce(sum(e.efecto) filter (where e.verified = 'VERIFICADO'), 0),
+        coalesce(sum(e.efecto) filter (where e.verified = 'PENDIENTE'), 0)
+    from public.daviplata_cuentas c
+    left join efectos e on e.cuenta_id = c.id
+    where c.activa
+    group by c.id, c.nombre, c.tipo, c.orden
+    order by c.orden, c.nombre;
+$$;
+
+grant execute on function public.daviplata_saldos_cuentas() to authenticated;
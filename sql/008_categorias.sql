@@ -0,0 +1,104 @@
+-- ============================================
+-- DAVIPLATA - CATEGORÍAS Y PRESUPUESTOS
+-- Lista de categorías administrada por los admins,
+-- categoría en cada movimiento y presupuesto mensual
+-- por categoría de egreso
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Categorías
+--   tipo                 movimientos en que se puede elegir (INGRESO, EGRESO o AMBOS)
+--   color                color en los gráficos (hex)
+--   presupuesto_mensual  tope de egresos por mes calendario (null = sin presupuesto)
+create table if not exists public.daviplata_categorias (
+    id                  uuid primary key default gen_random_uuid(),
+    nombre              text          not null unique,
+    tipo                text          not null default 'EGRESO' check (tipo in ('INGRESO', 'EGRESO', 'AMBOS')),
+    color               text          not null default '#6B7280',
+    presupuesto_mensual numeric(12,2) check (presupuesto_mensual is null or presupuesto_mensual > 0),
+    activa              boolean       not null default true,
+    orden               integer       not null default 0,
+    created_at          timestamptz   not null default now()
+);
+
+alter table public.daviplata_categorias enable row level security;
+
+drop policy if exists daviplata_categorias_select on public.daviplata_categorias;
+create policy daviplata_categorias_select on public.daviplata_categorias
+    for select to authenticated using (true);
+
+-- Alta/edición de categorías y presupuestos: solo admins (desde la app)
+drop policy if exists daviplata_categorias_admin on public.daviplata_categorias;
+create policy daviplata_categorias_admin on public.daviplata_categorias
+    for all to authenticated
+    using (public.daviplata_es_admin())
+    with check (public.daviplata_es_admin());
+
+-- Categorías iniciales (se pueden renombrar o desactivar desde la app)
+insert into public.daviplata_categorias (nombre, tipo, color, orden) values
+    ('Ventas',         'INGRESO', '#10B981', 0),
+    ('Transporte',     'EGRESO',  '#3B82F6', 1),
+    ('Insumos',        'EGRESO',  '#F59E0B', 2),
+    ('Servicios',      'EGRESO',  '#8B5CF6', 3),
+    ('Alimentación',   'EGRESO',  '#EC4899', 4),
+    ('Otros',          'AMBOS',   '#6B7280', 99)
+on conflict (nombre) do nothing;
+
+-- ============================================
+-- MOVIMIENTOS
+-- ============================================
+-- categoria_id es opcional: los movimientos anteriores quedan "Sin categoría".
+-- Recategorizar no cambia el dinero, así que no pasa por daviplata_validar_edicion
+-- (las reglas de RLS de sql/006_seguridad_roles.sql siguen aplicando).
+alter table public.daviplata_movimientos
+    add column if not exists categoria_id uuid references public.daviplata_categorias (id);
+
+create index if not exists daviplata_movimientos_categoria_idx
+    on public.daviplata_movimientos (categoria_id, fecha);
+
+create or replace function public.daviplata_columnas_sin_edicion()
+returns text[]
+language sql
+immutable
+as $$
+    select array['verified', 'motivo_rechazo', 'idmessage', 'remote_jid', 'categoria_id'];
+$$;
+
+-- Recategorizar sí queda en la auditoría
+create or replace function public.daviplata_campos_auditados()
+returns text[]
+language sql
+immutable
+as $$
+    select array['tipo', 'monto', 'motivo', 'comprobante_url', 'verified', 'motivo_rechazo',
+                 'cuenta_id', 'cuenta_destino_id', 'categoria_id'];
+$$;
+
+-- ============================================
+-- GASTO POR CATEGORÍA
+-- ============================================
+-- Egresos no rechazados por categoría en un rango de fechas.
+-- Se usa para el consumo del presupuesto del mes.
+create or replace function public.daviplata_gasto_categorias(
+    p_desde timestamptz,
+    p_hasta timestamptz
+)
+returns table (
+    categoria_id uuid,
+    total        numeric
+)
+language sql
+stable
+security invoker
+as $$
+    select m.categoria_id, coalesce(sum(m.monto), 0)
+    from public.daviplata_movimientos m
+    where m.tipo = 'EGRESO'
+      and m.verified <> 'RECHAZADO'
+      and m.categoria_id is not null
+      and m.fecha >= p_desde
+      and m.fecha <= p_hasta
+    group by m.categoria_id;
+$$;
+
+grant execute on function public.daviplata_gasto_categorias(timestamptz, timestamptz) to authenticated;
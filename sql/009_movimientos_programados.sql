@@ -0,0 +1,224 @@
+-- ============================================
+-- DAVIPLATA - MOVIMIENTOS PROGRAMADOS
+-- Plantillas recurrentes (arriendo, sueldos, suscripciones)
+-- que generan el movimiento en cada fecha de vencimiento
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Plantillas
+--   frecuencia     SEMANAL | QUINCENAL | MENSUAL | ANUAL
+--   fecha_inicio   primera ocurrencia
+--   fecha_fin      última fecha posible (null = sin fin)
+--   periodo        ocurrencias ya generadas u omitidas
+--   proxima_fecha  siguiente ocurrencia (la calcula el trigger a partir de periodo)
+--   activo         false = pausado
+create table if not exists public.daviplata_programados (
+    id            uuid primary key default gen_random_uuid(),
+    tipo          text          not null check (tipo in ('INGRESO', 'EGRESO')),
+    monto         numeric(12,2) not null check (monto > 0),
+    motivo        text          not null,
+    cuenta_id     uuid          not null default public.daviplata_cuenta_predeterminada()
+                                references public.daviplata_cuentas (id),
+    categoria_id  uuid          references public.daviplata_categorias (id),
+    frecuencia    text          not null check (frecuencia in ('SEMANAL', 'QUINCENAL', 'MENSUAL', 'ANUAL')),
+    fecha_inicio  date          not null,
+    fecha_fin     date          check (fecha_fin is null or fecha_fin >= fecha_inicio),
+    periodo       integer       not null default 0 check (periodo >= 0),
+    proxima_fecha date          not null,
+    activo        boolean       not null default true,
+    creado_por    uuid          not null references public.daviplata_usuarios (id),
+    created_at    timestamptz   not null default now()
+);
+
+alter table public.daviplata_programados enable row level security;
+
+-- Solo los admins ven y administran los programados
+drop policy if exists daviplata_programados_admin on public.daviplata_programados;
+create policy daviplata_programados_admin on public.daviplata_programados
+    for all to authenticated
+    using (public.daviplata_es_admin())
+    with check (public.daviplata_es_admin());
+
+-- Fecha de la ocurrencia número p_periodo (0 = fecha_inicio).
+-- Se calcula siempre desde el inicio para que un 31 no derive a 28 tras febrero.
+create or replace function public.daviplata_fecha_programada(
+    p_inicio     date,
+    p_frecuencia text,
+    p_periodo    integer
+)
+returns date
+language sql
+immutable
+as $$
+    select case p_frecuencia
+        when 'SEMANAL'   then p_inicio + 7 * p_periodo
+        when 'QUINCENAL' then p_inicio + 14 * p_periodo
+        when 'MENSUAL'   then (p_inicio + make_interval(months => p_periodo))::date
+        when 'ANUAL'     then (p_inicio + make_interval(years => p_periodo))::date
+    end;
+$$;
+
+create or replace function public.daviplata_programados_proxima_fecha()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.proxima_fecha := public.daviplata_fecha_programada(new.fecha_inicio, new.frecuencia, new.periodo);
+    return new;
+end;
+$$;
+
+drop trigger if exists daviplata_programados_proxima_fecha on public.daviplata_programados;
+create trigger daviplata_programados_proxima_fecha
+    before insert or update of fecha_inicio, frecuencia, periodo on public.daviplata_programados
+    for each row execute function public.daviplata_programados_proxima_fecha();
+
+-- ============================================
+-- MOVIMIENTOS
+-- ============================================
+-- programado_id  plantilla que generó el movimiento
+-- auto_generado  creado automáticamente (no lo digitó nadie)
+-- notificado     false mientras falte enviar el webhook (lo envía la app de un admin)
+alter table public.daviplata_movimientos
+    add column if not exists programado_id uuid references public.daviplata_programados (id) on delete set null,
+    add column if not exists auto_generado boolean not null default false,
+    add column if not exists notificado    boolean not null default true;
+
+-- Una sola ocurrencia por plantilla y fecha, aunque se generen desde dos sitios a la vez
+create unique index if not exists daviplata_movimientos_programado_fecha_idx
+    on public.daviplata_movimientos (programado_id, fecha)
+    where programado_id is not null;
+
+create index if not exists daviplata_movimientos_pendientes_notificar_idx
+    on public.daviplata_movimientos (fecha)
+    where not notificado;
+
+-- Marcar el aviso como enviado o borrar la plantilla (on delete set null)
+-- no es editar el movimiento (ver sql/005_politica_edicion.sql)
+create or replace function public.daviplata_columnas_sin_edicion()
+returns text[]
+language sql
+immutable
+as $$
+    select array['verified', 'motivo_rechazo', 'idmessage', 'remote_jid', 'categoria_id',
+                 'programado_id', 'notificado'];
+$$;
+
+-- Alta desde la app: los usuarios no pueden marcar un movimiento como programado
+-- (misma función que en sql/006_seguridad_roles.sql, con las columnas nuevas)
+create or replace function public.daviplata_validar_alta()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    new.created_at := now();
+
+    if coalesce(auth.jwt() ->> 'role', '') <> 'authenticated' or public.daviplata_es_admin() then
+        return new;
+    end if;
+
+    new.idmessage      := null;
+    new.remote_jid     := null;
+    new.motivo_rechazo := null;
+    new.auto_generado  := false;
+    new.programado_id  := null;
+    new.notificado     := true;
+    return new;
+end;
+$$;
+
+-- ============================================
+-- GENERACIÓN
+-- ============================================
+-- Crea los movimientos vencidos de todas las plantillas activas (poniéndose al día
+-- si se saltaron varias fechas) y devuelve los creados.
+-- Se llama desde la app al iniciar sesión un admin y, opcionalmente, desde pg_cron.
+create or replace function public.daviplata_generar_programados()
+returns setof public.daviplata_movimientos
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_programado daviplata_programados%rowtype;
+    v_movimiento daviplata_movimientos%rowtype;
+begin
+    -- Desde la app solo los admins; el job programado corre sin JWT
+    if auth.jwt() is not null and not public.daviplata_es_admin() then
+        raise exception using
+            errcode = '42501',
+            message = 'Solo los administradores pueden generar movimientos programados';
+    end if;
+
+    for v_programado in
+        select * from daviplata_programados
+        where activo
+          and proxima_fecha <= current_date
+          and (fecha_fin is null or proxima_fecha <= fecha_fin)
+        for update skip locked
+    loop
+        while v_programado.proxima_fecha <= current_date
+              and (v_programado.fecha_fin is null or v_programado.proxima_fecha <= v_programado.fecha_fin) loop
+            -- Mediodía UTC: en América cae el mismo día de vencimiento
+            insert into daviplata_movimientos (
+                usuario_id, tipo, monto, motivo, cuenta_id, categoria_id,
+                fecha, verified, programado_id, auto_generado, notificado
+            ) values (
+                v_programado.creado_por, v_programado.tipo, v_programado.monto, v_programado.motivo,
+                v_programado.cuenta_id, v_programado.categoria_id,
+                (v_programado.proxima_fecha + time '12:00') at time zone 'UTC',
+                'VERIFICADO', v_programado.id, true, false
+            )
+            on conflict (programado_id, fecha) where programado_id is not null do nothing
+            returning * into v_movimiento;
+
+            -- El alta queda en la auditoría por el trigger daviplata_registrar_auditoria
+            if found then
+                return next v_movimiento;
+            end if;
+
+            v_programado.periodo := v_programado.periodo + 1;
+            v_programado.proxima_fecha := public.daviplata_fecha_programada(
+                v_programado.fecha_inicio, v_programado.frecuencia, v_programado.periodo);
+        end loop;
+
+        update daviplata_programados
+        set periodo = v_programado.periodo
+        where id = v_programado.id;
+    end loop;
+end;
+$$;
+
+grant execute on function public.daviplata_generar_programados() to authenticated;
+
+-- Reserva los generados que aún no tienen webhook: los marca como notificados
+-- en un solo paso para que dos admins que inician sesión a la vez no envíen el
+-- mismo mensaje. Si el envío falla, la app devuelve notificado a false.
+create or replace function public.daviplata_reclamar_programados()
+returns setof public.daviplata_movimientos
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.jwt() is not null and not public.daviplata_es_admin() then
+        raise exception using
+            errcode = '42501',
+            message = 'Solo los administradores pueden notificar movimientos programados';
+    end if;
+
+    return query
+        update daviplata_movimientos
+        set notificado = true
+        where auto_generado and not notificado
+        returning *;
+end;
+$$;
+
+grant execute on function public.daviplata_reclamar_programados() to authenticated;
+
+-- Opcional: generar cada día sin esperar a que un admin inicie sesión
+-- (requiere la extensión pg_cron; el webhook se envía en el siguiente inicio de sesión de un admin)
+-- select cron.schedule('daviplata-programados', '0 11 * * *', 'select public.daviplata_generar_programados()');
@@ -0,0 +1,158 @@
+-- ============================================
+-- DAVIPLATA - MOVIMIENTOS EN VARIAS MONEDAS
+-- Cada movimiento guarda su moneda y la tasa de cambio
+-- a la moneda base (USD, CONFIG.CURRENCY en js/config.js).
+-- Saldos, estadísticas y presupuestos se calculan en la moneda base.
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- moneda       código ISO 4217 del monto (COP, EUR...)
+-- tasa_cambio  unidades de la moneda por 1 USD (ej. 4100 para COP); 1 en USD
+-- monto_base   monto convertido a USD (columna generada, no se escribe)
+alter table public.daviplata_movimientos
+    add column if not exists moneda      text          not null default 'USD' check (moneda ~ '^[A-Z]{3}$'),
+    add column if not exists tasa_cambio numeric(14,6) not null default 1     check (tasa_cambio > 0);
+
+alter table public.daviplata_movimientos
+    drop constraint if exists daviplata_movimientos_tasa_base_check;
+alter table public.daviplata_movimientos
+    add constraint daviplata_movimientos_tasa_base_check check (moneda <> 'USD' or tasa_cambio = 1);
+
+alter table public.daviplata_movimientos
+    add column if not exists monto_base numeric(12,2)
+        generated always as (round(monto / tasa_cambio, 2)) stored;
+
+-- ============================================
+-- POLÍTICA DE EDICIÓN
+-- ============================================
+-- Moneda y tasa cuentan como edición (no están en daviplata_columnas_sin_edicion).
+-- monto_base es generada: cambia junto con monto y tasa_cambio, no se compara
+create or replace function public.daviplata_columnas_sin_edicion()
+returns text[]
+language sql
+immutable
+as $$
+    select array['verified', 'motivo_rechazo', 'idmessage', 'remote_jid', 'categoria_id',
+                 'programado_id', 'notificado', 'monto_base'];
+$$;
+
+-- ============================================
+-- AUDITORÍA
+-- ============================================
+create or replace function public.daviplata_campos_auditados()
+returns text[]
+language sql
+immutable
+as $$
+    select array['tipo', 'monto', 'moneda', 'tasa_cambio', 'motivo', 'comprobante_url', 'verified',
+                 'motivo_rechazo', 'cuenta_id', 'cuenta_destino_id', 'categoria_id'];
+$$;
+
+-- ============================================
+-- ESTADÍSTICAS (en USD)
+-- ============================================
+-- Misma firma que en sql/007_cuentas.sql; solo cambia monto por monto_base
+create or replace function public.daviplata_estadisticas(
+    p_desde      timestamptz default null,
+    p_hasta      timestamptz default null,
+    p_usuario_id uuid        default null,
+    p_cuenta_id  uuid        default null
+)
+returns table (
+    total_ingresos    numeric,
+    total_egresos     numeric,
+    balance           numeric,
+    cantidad_ingresos bigint,
+    cantidad_egresos  bigint,
+    total_pendiente   numeric,
+    total_movimientos bigint
+)
+language sql
+stable
+security invoker
+as $$
+    with movs as (
+        select
+            tipo,
+            monto_base as monto,
+            verified,
+            case
+                when tipo = 'INGRESO' then monto_base
+                when tipo = 'EGRESO'  then -monto_base
+                when p_cuenta_id is null then 0
+                when cuenta_destino_id = p_cuenta_id then monto_base
+                else -monto_base
+            end as efecto
+        from public.daviplata_movimientos
+        where (p_desde is null or fecha >= p_desde)
+          and (p_hasta is null or fecha <= p_hasta)
+          and (p_usuario_id is null or usuario_id = p_usuario_id)
+          and (p_cuenta_id is null or cuenta_id = p_cuenta_id or cuenta_destino_id = p_cuenta_id)
+    )
+    select
+        coalesce(sum(monto) filter (where tipo = 'INGRESO' and verified = 'VERIFICADO'), 0) as total_ingresos,
+        coalesce(sum(monto) filter (where tipo = 'EGRESO'  and verified = 'VERIFICADO'), 0) as total_egresos,
+        coalesce(sum(efecto) filter (where verified = 'VERIFICADO'), 0)                     as balance,
+        count(*) filter (where tipo = 'INGRESO' and verified = 'VERIFICADO')                 as cantidad_ingresos,
+        count(*) filter (where tipo = 'EGRESO'  and verified = 'VERIFICADO')                 as cantidad_egresos,
+        coalesce(sum(efecto) filter (where verified = 'PENDIENTE'), 0)                      as total_pendiente,
+        count(*) filter (where verified <> 'RECHAZADO')                                     as total_movimientos
+    from movs;
+$$;
+
+create or replace function public.daviplata_saldos_cuentas()
+returns table (
+    cuenta_id       uuid,
+    nombre          text,
+    tipo            text,
+    balance         numeric,
+    total_pendiente numeric
+)
+language sql
+stable
+security invoker
+as $$
+    with efectos as (
+        select cuenta_id, verified,
+               case when tipo = 'INGRESO' then monto_base else -monto_base end as efecto
+        from public.daviplata_movimientos
+        union all
+        select cuenta_destino_id, verified, monto_base
+        from public.daviplata_movimientos
+        where tipo = 'TRANSFERENCIA'
+    )
+    select
+        c.id,
+        c.nombre,
+        c.tipo,
+        coalesce(sum(e.efecto) filter (where e.verified = 'VERIFICADO'), 0),
+        coalesce(sum(e.efecto) filter (where e.verified = 'PENDIENTE'), 0)
+    from public.daviplata_cuentas c
+    left join efectos e on e.cuenta_id = c.id
+    where c.activa
+    group by c.id, c.nombre, c.tipo, c.orden
+    order by c.orden, c.nombre;
+$$;
+
+-- Los presupuestos de categoría están en USD
+create or replace function public.daviplata_gasto_categorias(
+    p_desde timestamptz,
+    p_hasta timestamptz
+)
+returns table (
+    categoria_id uuid,
+    total        numeric
+)
+language sql
+stable
+security invoker
+as $$
+    select m.categoria_id, coalesce(sum(m.monto_base), 0)
+    from public.daviplata_movimientos m
+    where m.tipo = 'EGRESO'
+      and m.verified <> 'RECHAZADO'
+      and m.categoria_id is not null
+      and m.fecha >= p_desde
+      and m.fecha <= p_hasta
+    group by m.categoria_id;
+$$;
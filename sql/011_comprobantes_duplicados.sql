@@ -0,0 +1,51 @@
+-- ============================================
+-- DAVIPLATA - COMPROBANTES DUPLICADOS
+-- Huellas del comprobante en cada movimiento para avisar
+-- cuando se sube dos veces la misma captura
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- comprobante_hash   SHA-256 del archivo original (copia exacta)
+-- comprobante_phash  hash perceptual dHash de 256 bits en hex (la misma imagen recomprimida
+--                    o reenviada por WhatsApp queda a pocos bits de distancia)
+alter table public.daviplata_movimientos
+    add column if not exists comprobante_hash  text check (comprobante_hash  ~ '^[0-9a-f]{64}$'),
+    add column if not exists comprobante_phash text check (comprobante_phash ~ '^[0-9a-f]{64}$');
+
+-- ============================================
+-- BÚSQUEDA DE COMPROBANTES PARECIDOS
+-- ============================================
+-- Movimientos (no rechazados) con el mismo archivo o una imagen casi igual:
+-- distancia de Hamming entre hashes perceptuales <= p_distancia bits.
+-- Las capturas de la misma app se parecen mucho entre sí, así que la imagen
+-- parecida solo cuenta si además coinciden el tipo y el monto en moneda base
+-- (sin p_tipo/p_monto_base solo se busca la copia exacta).
+-- security invoker: cada usuario solo encuentra lo que la RLS le deja ver.
+create or replace function public.daviplata_comprobantes_similares(
+    p_hash       text,
+    p_phash      text,
+    p_distancia  integer default 12,
+    p_excluir    uuid    default null,
+    p_tipo       text    default null,
+    p_monto_base numeric default null
+)
+returns setof public.daviplata_movimientos
+language sql
+stable
+security invoker
+as $$
+    select m.*
+    from public.daviplata_movimientos m
+    where m.id is distinct from p_excluir
+      and m.verified <> 'RECHAZADO'
+      and (
+          (p_hash is not null and m.comprobante_hash = p_hash)
+          or (p_phash is not null and m.comprobante_phash is not null
+              and m.tipo = p_tipo and round(m.monto_base, 2) = round(p_monto_base, 2)
+              and bit_count(('x' || m.comprobante_phash)::bit(256) # ('x' || p_phash)::bit(256)) <= p_distancia)
+      )
+    order by m.fecha desc
+    limit 5;
+$$;
+
+grant execute on function public.daviplata_comprobantes_similares(text, text, integer, uuid, text, numeric) to authenticated;
@@ -0,0 +1,83 @@
+-- ============================================
+-- DAVIPLATA - VARIOS ADJUNTOS POR MOVIMIENTO
+-- Lista ordenada de comprobantes (imágenes y PDFs) en cada movimiento
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- adjuntos  [{ url, nombre, tipo, hash, phash }] en el orden en que se eligieron
+--           (tipo = MIME del archivo; hash/phash como en sql/011_comprobantes_duplicados.sql)
+-- comprobante_url / comprobante_hash / comprobante_phash se mantienen con el primer
+-- adjunto para los webhooks y las versiones anteriores de la app
+alter table public.daviplata_movimientos
+    add column if not exists adjuntos jsonb not null default '[]'::jsonb
+        check (jsonb_typeof(adjuntos) = 'array');
+
+-- Los movimientos con un solo comprobante pasan a tener un adjunto
+update public.daviplata_movimientos
+set adjuntos = jsonb_build_array(jsonb_build_object(
+        'url',    comprobante_url,
+        'nombre', regexp_replace(comprobante_url, '^.*/', ''),
+        'tipo',   case when lower(comprobante_url) like '%.pdf' then 'application/pdf' else 'image/jpeg' end,
+        'hash',   comprobante_hash,
+        'phash',  comprobante_phash
+    ))
+where comprobante_url is not null
+  and adjuntos = '[]'::jsonb;
+
+-- ============================================
+-- POLÍTICA DE EDICIÓN
+-- ============================================
+-- Cambiar los adjuntos también es editar el movimiento: adjuntos no está
+-- en daviplata_columnas_sin_edicion (sql/005_politica_edicion.sql)
+
+-- ============================================
+-- AUDITORÍA
+-- ============================================
+create or replace function public.daviplata_campos_auditados()
+returns text[]
+language sql
+immutable
+as $$
+    select array['tipo', 'monto', 'moneda', 'tasa_cambio', 'motivo', 'comprobante_url', 'adjuntos',
+                 'verified', 'motivo_rechazo', 'cuenta_id', 'cuenta_destino_id', 'categoria_id'];
+$$;
+
+-- ============================================
+-- BÚSQUEDA DE COMPROBANTES PARECIDOS
+-- ============================================
+-- Misma firma que en sql/011_comprobantes_duplicados.sql; compara contra
+-- todos los adjuntos del movimiento y no solo contra el primero
+-- (recorre el jsonb de cada movimiento, así que no usa índices)
+create or replace function public.daviplata_comprobantes_similares(
+    p_hash       text,
+    p_phash      text,
+    p_distancia  integer default 12,
+    p_excluir    uuid    default null,
+    p_tipo       text    default null,
+    p_monto_base numeric default null
+)
+returns setof public.daviplata_movimientos
+language sql
+stable
+security invoker
+as $$
+    select m.*
+    from public.daviplata_movimientos m
+    where m.id is distinct from p_excluir
+      and m.verified <> 'RECHAZADO'
+      and exists (
+          select 1
+          from jsonb_array_elements(
+                   case when jsonb_array_length(m.adjuntos) > 0 then m.adjuntos
+                        else jsonb_build_array(jsonb_build_object('hash', m.comprobante_hash, 'phash', m.comprobante_phash)) end
+               ) a
+          where (p_hash is not null and a ->> 'hash' = p_hash)
+             or (p_phash is not null and a ->> 'phash' ~ '^[0-9a-f]{64}$'
+                 and m.tipo = p_tipo and round(m.monto_base, 2) = round(p_monto_base, 2)
+                 and bit_count(('x' || (a ->> 'phash'))::bit(256) # ('x' || p_phash)::bit(256)) <= p_distancia)
+      )
+    order by m.fecha desc
+    limit 5;
+$$;
+
+grant execute on function public.daviplata_comprobantes_similares(text, text, integer, uuid, text, numeric) to authenticated;
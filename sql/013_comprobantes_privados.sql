@@ -0,0 +1,161 @@
+-- ============================================
+-- DAVIPLATA - COMPROBANTES PRIVADOS
+-- Los comprobantes pasan a un bucket privado: la app guarda la ruta
+-- del archivo y genera enlaces firmados de corta duración al mostrarlo,
+-- al armar los PDF y al enviar los webhooks.
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Desde esta migración:
+--   adjuntos[].ruta   ruta del archivo dentro del bucket daviplata-comprobantes
+--   comprobante_url   ruta del primer adjunto (ya no una URL pública)
+-- Los movimientos anteriores conservan adjuntos[].url / comprobante_url con la URL
+-- pública hasta que la app de un admin los migra (migratePublicReceipts en js/storage.js).
+
+-- ============================================
+-- BUCKET
+-- ============================================
+insert into storage.buckets (id, name, public)
+values ('daviplata-comprobantes', 'daviplata-comprobantes', false)
+on conflict (id) do update set public = false;
+
+-- Ver (y firmar enlaces): cualquier usuario de la app, igual que los movimientos
+drop policy if exists daviplata_comprobantes_select on storage.objects;
+create policy daviplata_comprobantes_select on storage.objects
+    for select to authenticated
+    using (bucket_id = 'daviplata-comprobantes' and public.daviplata_usuario_actual() is not null);
+
+-- Subir: cualquier usuario de la app (las rutas llevan un nombre aleatorio)
+drop policy if exists daviplata_comprobantes_insert on storage.objects;
+create policy daviplata_comprobantes_insert on storage.objects
+    for insert to authenticated
+    with check (bucket_id = 'daviplata-comprobantes' and public.daviplata_usuario_actual() is not null);
+
+-- Sobrescribir (reenvío de la cola offline con upsert): solo quien lo subió o un admin
+drop policy if exists daviplata_comprobantes_update on storage.objects;
+create policy daviplata_comprobantes_update on storage.objects
+    for update to authenticated
+    using (bucket_id = 'daviplata-comprobantes' and (owner = auth.uid() or public.daviplata_es_admin()));
+
+-- Borrar: solo admins
+drop policy if exists daviplata_comprobantes_delete on storage.objects;
+create policy daviplata_comprobantes_delete on storage.objects
+    for delete to authenticated
+    using (bucket_id = 'daviplata-comprobantes' and public.daviplata_es_admin());
+
+-- ============================================
+-- MIGRACIÓN DE LAS URLS PÚBLICAS
+-- ============================================
+-- migracion_intentos  veces que falló la copia (archivo borrado, URL externa sin CORS...)
+-- migracion_error     último error; se limpia al migrar
+-- Tras 5 fallos el movimiento deja de intentarse para no frenar a los demás;
+-- para reintentarlo: update daviplata_movimientos set migracion_intentos = 0 where id = ...
+alter table public.daviplata_movimientos
+    add column if not exists migracion_intentos integer not null default 0,
+    add column if not exists migracion_error    text;
+
+-- Movimientos que todavía apuntan a una URL pública (primero los que nunca fallaron)
+create or replace function public.daviplata_comprobantes_por_migrar(p_limite integer default 20)
+returns setof public.daviplata_movimientos
+language sql
+stable
+security invoker
+as $$
+    select m.*
+    from public.daviplata_movimientos m
+    where (m.comprobante_url ~ '^https?://'
+           or exists (select 1 from jsonb_array_elements(m.adjuntos) a where a ? 'url'))
+      and m.migracion_intentos < 5
+    order by m.migracion_intentos, m.created_at
+    limit p_limite;
+$$;
+
+grant execute on function public.daviplata_comprobantes_por_migrar(integer) to authenticated;
+
+-- Reemplaza los adjuntos de un movimiento por sus copias en el bucket privado.
+-- No cuenta como edición: salta la política de edición y no queda en la auditoría.
+create or replace function public.daviplata_migrar_adjuntos(
+    p_id       uuid,
+    p_adjuntos jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.daviplata_es_admin() then
+        raise exception using
+            errcode = '42501',
+            message = 'Solo los administradores pueden migrar comprobantes';
+    end if;
+
+    if jsonb_typeof(p_adjuntos) <> 'array'
+       or exists (select 1 from jsonb_array_elements(p_adjuntos) a where not a ? 'ruta' or a ? 'url') then
+        raise exception 'Cada adjunto migrado debe tener ruta y no url';
+    end if;
+
+    perform set_config('daviplata.migrando_comprobantes', 'on', true);
+    perform set_config('daviplata.sin_auditoria', 'on', true);
+
+    update daviplata_movimientos
+    set adjuntos          = p_adjuntos,
+        comprobante_url   = p_adjuntos -> 0 ->> 'ruta',
+        comprobante_hash  = p_adjuntos -> 0 ->> 'hash',
+        comprobante_phash = p_adjuntos -> 0 ->> 'phash',
+        migracion_error   = null
+    where id = p_id;
+
+    perform set_config('daviplata.migrando_comprobantes', 'off', true);
+    perform set_config('daviplata.sin_auditoria', 'off', true);
+end;
+$$;
+
+grant execute on function public.daviplata_migrar_adjuntos(uuid, jsonb) to authenticated;
+
+-- Anota un intento fallido: el movimiento pasa al final de la cola
+-- (tampoco cuenta como edición ni queda en la auditoría)
+create or replace function public.daviplata_registrar_error_migracion(
+    p_id    uuid,
+    p_error text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.daviplata_es_admin() then
+        raise exception using
+            errcode = '42501',
+            message = 'Solo los administradores pueden migrar comprobantes';
+    end if;
+
+    perform set_config('daviplata.migrando_comprobantes', 'on', true);
+    perform set_config('daviplata.sin_auditoria', 'on', true);
+
+    update daviplata_movimientos
+    set migracion_intentos = migracion_intentos + 1,
+        migracion_error    = left(p_error, 500)
+    where id = p_id;
+
+    perform set_config('daviplata.migrando_comprobantes', 'off', true);
+    perform set_config('daviplata.sin_auditoria', 'off', true);
+end;
+$$;
+
+grant execute on function public.daviplata_registrar_error_migracion(uuid, text) to authenticated;
+
+-- ============================================
+-- POLÍTICA DE EDICIÓN
+-- ============================================
+-- Mover los comprobantes al bucket privado (daviplata_migrar_adjuntos) no es editar
+create or replace function public.daviplata_cambia_contenido(p_old jsonb, p_new jsonb)
+returns boolean
+language sql
+stable
+as $$
+    select current_setting('daviplata.migrando_comprobantes', true) is distinct from 'on'
+       and (p_new - public.daviplata_columnas_sin_edicion())
+           is distinct from (p_old - public.daviplata_columnas_sin_edicion());
+$$;
@@ -0,0 +1,28 @@
+-- ============================================
+-- DAVIPLATA - FILTROS GUARDADOS
+-- Vistas con nombre de la lista de movimientos (escritorio):
+-- cada usuario guarda, renombra y borra las suyas
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Filtros
+--   filtro  mismos parámetros que el enlace de la vista (#movimientos?tipo=...&desde=...)
+--           { tipo, q, desde, hasta, min, max, cuenta, orden, dir }
+create table if not exists public.daviplata_filtros_guardados (
+    id          uuid primary key default gen_random_uuid(),
+    usuario_id  uuid        not null default public.daviplata_usuario_actual()
+                            references public.daviplata_usuarios (id) on delete cascade,
+    nombre      text        not null check (length(trim(nombre)) > 0),
+    filtro      jsonb       not null default '{}'::jsonb check (jsonb_typeof(filtro) = 'object'),
+    created_at  timestamptz not null default now(),
+    unique (usuario_id, nombre)
+);
+
+alter table public.daviplata_filtros_guardados enable row level security;
+
+-- Cada quien ve y administra solo sus filtros
+drop policy if exists daviplata_filtros_guardados_propios on public.daviplata_filtros_guardados;
+create policy daviplata_filtros_guardados_propios on public.daviplata_filtros_guardados
+    for all to authenticated
+    using (usuario_id = public.daviplata_usuario_actual())
+    with check (usuario_id = public.daviplata_usuario_actual());
@@ -0,0 +1,121 @@
+-- ============================================
+-- DAVIPLATA - ANALÍTICA DEL TABLERO
+-- Series y totales del historial completo para los gráficos
+-- del escritorio (rango de fechas, saldo inicial, aportes por usuario)
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Saldo verificado antes de una fecha: punto de partida de la tendencia del saldo.
+-- Mismo criterio que daviplata_estadisticas sin cuenta (las transferencias no cambian el total).
+create or replace function public.daviplata_saldo_al(
+    p_fecha timestamptz
+)
+returns numeric
+language sql
+stable
+security invoker
+as $$
+    select coalesce(sum(case when tipo = 'INGRESO' then monto_base else -monto_base end), 0)
+    from public.daviplata_movimientos
+    where verified = 'VERIFICADO'
+      and tipo in ('INGRESO', 'EGRESO')
+      and fecha < p_fecha;
+$$;
+
+grant execute on function public.daviplata_saldo_al(timestamptz) to authenticated;
+
+-- Totales por día en la zona horaria del navegador
+--   ingresos / egresos  no rechazados (como los gráficos de barras y categorías)
+--   neto                solo verificados (lo que mueve el balance)
+-- Los días sin movimientos no aparecen; la app los rellena.
+create or replace function public.daviplata_serie_diaria(
+    p_desde timestamptz,
+    p_hasta timestamptz,
+    p_zona  text default 'UTC'
+)
+returns table (
+    dia      date,
+    ingresos numeric,
+    egresos  numeric,
+    neto     numeric
+)
+language sql
+stable
+security invoker
+as $$
+    select
+        (fecha at time zone p_zona)::date as dia,
+        coalesce(sum(monto_base) filter (where tipo = 'INGRESO' and verified <> 'RECHAZADO'), 0),
+        coalesce(sum(monto_base) filter (where tipo = 'EGRESO'  and verified <> 'RECHAZADO'), 0),
+        coalesce(sum(case when tipo = 'INGRESO' then monto_base else -monto_base end)
+                 filter (where verified = 'VERIFICADO'), 0)
+    from public.daviplata_movimientos
+    where tipo in ('INGRESO', 'EGRESO')
+      and fecha >= p_desde
+      and fecha <= p_hasta
+    group by 1
+    order by 1;
+$$;
+
+grant execute on function public.daviplata_serie_diaria(timestamptz, timestamptz, text) to authenticated;
+
+-- Ingresos y egresos (no rechazados) registrados por cada usuario en el rango
+create or replace function public.daviplata_aportes_usuarios(
+    p_desde timestamptz,
+    p_hasta timestamptz
+)
+returns table (
+    usuario_id uuid,
+    nombre     text,
+    ingresos   numeric,
+    egresos    numeric,
+    cantidad   bigint
+)
+language sql
+stable
+security invoker
+as $$
+    select
+        u.id,
+        coalesce(nullif(trim(u.nombre), ''), split_part(u.email, '@', 1)),
+        coalesce(sum(m.monto_base) filter (where m.tipo = 'INGRESO'), 0),
+        coalesce(sum(m.monto_base) filter (where m.tipo = 'EGRESO'), 0),
+        count(*)
+    from public.daviplata_movimientos m
+    join public.daviplata_usuarios u on u.id = m.usuario_id
+    where m.tipo in ('INGRESO', 'EGRESO')
+      and m.verified <> 'RECHAZADO'
+      and m.fecha >= p_desde
+      and m.fecha <= p_hasta
+    group by u.id, u.nombre, u.email
+    order by sum(m.monto_base) desc;
+$$;
+
+grant execute on function public.daviplata_aportes_usuarios(timestamptz, timestamptz) to authenticated;
+
+-- Totales por categoría en el rango, incluidos los movimientos sin categoría
+-- (daviplata_gasto_categorias solo cuenta los categorizados: es para presupuestos)
+create or replace function public.daviplata_totales_categorias(
+    p_desde timestamptz,
+    p_hasta timestamptz,
+    p_tipo  text default 'EGRESO'
+)
+returns table (
+    categoria_id uuid,
+    total        numeric
+)
+language sql
+stable
+security invoker
+as $$
+    select m.categoria_id, coalesce(sum(m.monto_base), 0)
+    from public.daviplata_movimientos m
+    where m.tipo = p_tipo
+      and m.verified <> 'RECHAZADO'
+      and m.fecha >= p_desde
+      and m.fecha <= p_hasta
+    group by m.categoria_id
+    order by 2 desc;
+$$;
+
+grant execute on function public.daviplata_totales_categorias(timestamptz, timestamptz, text) to authenticated;
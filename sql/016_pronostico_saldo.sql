@@ -0,0 +1,39 @@
+-- ============================================
+-- DAVIPLATA - PRONÓSTICO DEL SALDO
+-- Flujo histórico que usa la proyección del saldo del escritorio
+-- (los movimientos programados se proyectan aparte, desde sus plantillas)
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Ingresos y egresos verificados por día, sin los generados por un programado:
+-- así no se cuentan dos veces al sumarles las próximas ocurrencias conocidas.
+-- Los días sin movimientos no aparecen (para el promedio cuentan como cero).
+create or replace function public.daviplata_flujo_diario(
+    p_desde timestamptz,
+    p_hasta timestamptz,
+    p_zona  text default 'UTC'
+)
+returns table (
+    dia      date,
+    ingresos numeric,
+    egresos  numeric
+)
+language sql
+stable
+security invoker
+as $$
+    select
+        (fecha at time zone p_zona)::date as dia,
+        coalesce(sum(monto_base) filter (where tipo = 'INGRESO'), 0),
+        coalesce(sum(monto_base) filter (where tipo = 'EGRESO'), 0)
+    from public.daviplata_movimientos
+    where tipo in ('INGRESO', 'EGRESO')
+      and verified = 'VERIFICADO'
+      and programado_id is null
+      and fecha >= p_desde
+      and fecha <= p_hasta
+    group by 1
+    order by 1;
+$$;
+
+grant execute on function public.daviplata_flujo_diario(timestamptz, timestamptz, text) to authenticated;
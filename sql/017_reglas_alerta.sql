@@ -0,0 +1,229 @@
+-- ============================================
+-- DAVIPLATA - REGLAS DE ALERTA
+-- Saldo bajo, movimientos grandes y pendientes sin revisar:
+-- se evalúan después de cada alta o verificación, se muestran
+-- como avisos en la app y se envían al webhook de alertas
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Reglas (las configura el admin)
+--   tipo             SALDO_BAJO           saldo verificado menor que umbral
+--                    MOVIMIENTO_ALTO      un movimiento con monto_base mayor que umbral
+--                    PENDIENTES_ANTIGUOS  más de umbral pendientes registrados hace más de horas
+--   tipo_movimiento  solo MOVIMIENTO_ALTO: INGRESO | EGRESO (null = ambos)
+--   horas            solo PENDIENTES_ANTIGUOS
+--   en_alerta        la condición se cumplía en la última evaluación; el aviso
+--                    se envía al entrar en alerta, no en cada movimiento
+create table if not exists public.daviplata_reglas_alerta (
+    id              uuid primary key default gen_random_uuid(),
+    tipo            text          not null check (tipo in ('SALDO_BAJO', 'MOVIMIENTO_ALTO', 'PENDIENTES_ANTIGUOS')),
+    umbral          numeric(12,2) not null check (umbral >= 0),
+    tipo_movimiento text          check (tipo_movimiento in ('INGRESO', 'EGRESO')),
+    horas           integer       check (horas > 0),
+    activa          boolean       not null default true,
+    en_alerta       boolean       not null default false,
+    created_at      timestamptz   not null default now(),
+    check (tipo <> 'PENDIENTES_ANTIGUOS' or horas is not null)
+);
+
+alter table public.daviplata_reglas_alerta enable row level security;
+
+drop policy if exists daviplata_reglas_alerta_select on public.daviplata_reglas_alerta;
+create policy daviplata_reglas_alerta_select on public.daviplata_reglas_alerta
+    for select to authenticated using (true);
+
+drop policy if exists daviplata_reglas_alerta_admin on public.daviplata_reglas_alerta;
+create policy daviplata_reglas_alerta_admin on public.daviplata_reglas_alerta
+    for all to authenticated
+    using (public.daviplata_es_admin())
+    with check (public.daviplata_es_admin());
+
+-- Alertas disparadas (solo las escribe daviplata_evaluar_alertas)
+--   movimiento_id  el movimiento que disparó MOVIMIENTO_ALTO: una sola vez por movimiento,
+--                  aunque se evalúe al crearlo y otra vez al verificarlo
+--   notificada     ya se envió al webhook de alertas; las que fallan se reintentan
+--                  en la siguiente evaluación
+create table if not exists public.daviplata_alertas (
+    id             uuid primary key default gen_random_uuid(),
+    regla_id       uuid        not null references public.daviplata_reglas_alerta (id) on delete cascade,
+    movimiento_id  uuid        references public.daviplata_movimientos (id) on delete cascade,
+    valor          numeric     not null,
+    notificada     boolean     not null default false,
+    created_at     timestamptz not null default now()
+);
+
+create index if not exists daviplata_alertas_sin_notificar_idx
+    on public.daviplata_alertas (created_at)
+    where not notificada;
+
+create unique index if not exists daviplata_alertas_regla_movimiento_idx
+    on public.daviplata_alertas (regla_id, movimiento_id)
+    where movimiento_id is not null;
+
+alter table public.daviplata_alertas enable row level security;
+
+drop policy if exists daviplata_alertas_select on public.daviplata_alertas;
+create policy daviplata_alertas_select on public.daviplata_alertas
+    for select to authenticated using (true);
+
+-- ============================================
+-- EVALUACIÓN
+-- ============================================
+-- Evalúa las reglas activas (p_movimiento_id: el que se acaba de crear o verificar)
+-- y devuelve las que están en alerta; nueva = recién disparada (el aviso vuelve a mostrarse;
+-- el webhook se envía con daviplata_reclamar_alertas).
+-- security definer: la llama cualquier usuario y actualiza en_alerta y el historial.
+create or replace function public.daviplata_evaluar_alertas(
+    p_movimiento_id uuid default null
+)
+returns table (
+    regla_id        uuid,
+    tipo            text,
+    umbral          numeric,
+    tipo_movimiento text,
+    horas           integer,
+    valor           numeric,
+    movimiento_id   uuid,
+    nueva           boolean
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+    v_regla      daviplata_reglas_alerta%rowtype;
+    v_movimiento daviplata_movimientos%rowtype;
+    v_saldo      numeric;
+    v_valor      numeric;
+    v_activa     boolean;
+begin
+    if public.daviplata_usuario_actual() is null then
+        raise exception using
+            errcode = '42501',
+            message = 'Usuario sin perfil de DaviPlata';
+    end if;
+
+    select coalesce(sum(case when m.tipo = 'INGRESO' then m.monto_base else -m.monto_base end), 0)
+    into v_saldo
+    from daviplata_movimientos m
+    where m.verified = 'VERIFICADO'
+      and m.tipo in ('INGRESO', 'EGRESO');
+
+    if p_movimiento_id is not null then
+        select * into v_movimiento from daviplata_movimientos m where m.id = p_movimiento_id;
+    end if;
+
+    for v_regla in
+        select * from daviplata_reglas_alerta r
+        where r.activa
+        order by r.created_at
+        for update
+    loop
+        if v_regla.tipo = 'MOVIMIENTO_ALTO' then
+            continue when v_movimiento.id is null
+                or v_movimiento.verified = 'RECHAZADO'
+                or v_movimiento.tipo not in ('INGRESO', 'EGRESO')
+                or v_movimiento.tipo <> coalesce(v_regla.tipo_movimiento, v_movimiento.tipo)
+                or v_movimiento.monto_base <= v_regla.umbral;
+
+            insert into daviplata_alertas (regla_id, movimiento_id, valor)
+            values (v_regla.id, v_movimiento.id, v_movimiento.monto_base)
+            on conflict (regla_id, movimiento_id) where movimiento_id is not null do nothing;
+
+            regla_id := v_regla.id;  tipo := v_regla.tipo;  umbral := v_regla.umbral;
+            tipo_movimiento := v_regla.tipo_movimiento;  horas := v_regla.horas;
+            valor := v_movimiento.monto_base;  movimiento_id := v_movimiento.id;
+            nueva := found;
+            return next;
+            continue;
+        end if;
+
+        if v_regla.tipo = 'SALDO_BAJO' then
+            v_valor := v_saldo;
+            v_activa := v_saldo < v_regla.umbral;
+        else
+            select count(*) into v_valor
+            from daviplata_movimientos m
+            where m.verified = 'PENDIENTE'
+              and m.created_at < now() - make_interval(hours => v_regla.horas);
+            v_activa := v_valor > v_regla.umbral;
+        end if;
+
+        if v_activa <> v_regla.en_alerta then
+            update daviplata_reglas_alerta r set en_alerta = v_activa where r.id = v_regla.id;
+        end if;
+
+        continue when not v_activa;
+
+        if not v_regla.en_alerta then
+            insert into daviplata_alertas (regla_id, valor) values (v_regla.id, v_valor);
+        end if;
+
+        regla_id := v_regla.id;  tipo := v_regla.tipo;  umbral := v_regla.umbral;
+        tipo_movimiento := v_regla.tipo_movimiento;  horas := v_regla.horas;
+        valor := v_valor;  movimiento_id := null;
+        nueva := not v_regla.en_alerta;
+        return next;
+    end loop;
+end;
+$$;
+
+grant execute on function public.daviplata_evaluar_alertas(uuid) to authenticated;
+
+-- ============================================
+-- ENVÍO AL WEBHOOK
+-- ============================================
+-- Reserva las alertas que aún no se enviaron (las nuevas y las que fallaron):
+-- las marca como notificadas en un solo paso para que dos sesiones no envíen
+-- la misma. Si el envío falla, la app la devuelve con daviplata_liberar_alerta.
+create or replace function public.daviplata_reclamar_alertas()
+returns table (
+    id              uuid,
+    regla_id        uuid,
+    tipo            text,
+    umbral          numeric,
+    tipo_movimiento text,
+    horas           integer,
+    valor           numeric,
+    movimiento_id   uuid
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if public.daviplata_usuario_actual() is null then
+        raise exception using
+            errcode = '42501',
+            message = 'Usuario sin perfil de DaviPlata';
+    end if;
+
+    return query
+        update daviplata_alertas a
+        set notificada = true
+        from daviplata_reglas_alerta r
+        where r.id = a.regla_id
+          and not a.notificada
+        returning a.id, a.regla_id, r.tipo, r.umbral, r.tipo_movimiento, r.horas, a.valor, a.movimiento_id;
+end;
+$$;
+
+grant execute on function public.daviplata_reclamar_alertas() to authenticated;
+
+-- Devuelve una alerta reservada cuyo webhook falló, para reintentarla
+create or replace function public.daviplata_liberar_alerta(
+    p_id uuid
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update daviplata_alertas
+    set notificada = false
+    where id = p_id
+      and public.daviplata_usuario_actual() is not null;
+$$;
+
+grant execute on function public.daviplata_liberar_alerta(uuid) to authenticated;
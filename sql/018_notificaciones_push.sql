@@ -0,0 +1,138 @@
+-- ============================================
+-- DAVIPLATA - NOTIFICACIONES PUSH
+-- Suscripciones Web Push de cada dispositivo: los admins reciben
+-- los ingresos pendientes y cada usuario el resultado de la
+-- verificación de los suyos (las envía n8n, ver js/push.js)
+-- Ejecutar en el SQL Editor de Supabase
+-- ============================================
+
+-- Suscripciones (una por navegador; el usuario las activa desde la app)
+--   endpoint, p256dh, auth  datos de PushSubscription para enviar con web-push
+create table if not exists public.daviplata_suscripciones_push (
+    id          uuid primary key default gen_random_uuid(),
+    usuario_id  uuid        not null default public.daviplata_usuario_actual()
+                            references public.daviplata_usuarios (id) on delete cascade,
+    endpoint    text        not null unique,
+    p256dh      text        not null,
+    auth        text        not null,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists daviplata_suscripciones_push_usuario_idx
+    on public.daviplata_suscripciones_push (usuario_id);
+
+alter table public.daviplata_suscripciones_push enable row level security;
+
+-- Cada quien ve y borra solo las suyas (el alta pasa por daviplata_guardar_suscripcion_push)
+drop policy if exists daviplata_suscripciones_push_propias on public.daviplata_suscripciones_push;
+create policy daviplata_suscripciones_push_propias on public.daviplata_suscripciones_push
+    for all to authenticated
+    using (usuario_id = public.daviplata_usuario_actual())
+    with check (usuario_id = public.daviplata_usuario_actual());
+
+-- Guarda la suscripción del navegador a nombre del usuario actual.
+-- security definer: en un equipo compartido el endpoint puede estar
+-- a nombre de quien usó la app antes, y pasa al que inicia sesión ahora.
+create or replace function public.daviplata_guardar_suscripcion_push(
+    p_endpoint text,
+    p_p256dh   text,
+    p_auth     text
+)
+returns void
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+declare
+    v_usuario uuid := daviplata_usuario_actual();
+begin
+    if v_usuario is null then
+        raise exception 'Usuario no registrado en DaviPlata' using errcode = '42501';
+    end if;
+
+    insert into daviplata_suscripciones_push (usuario_id, endpoint, p256dh, auth)
+    values (v_usuario, p_endpoint, p_p256dh, p_auth)
+    on conflict (endpoint) do update
+        set usuario_id = excluded.usuario_id,
+            p256dh     = excluded.p256dh,
+            auth       = excluded.auth;
+end;
+$$;
+
+grant execute on function public.daviplata_guardar_suscripcion_push(text, text, text) to authenticated;
+
+-- ============================================
+-- ENVÍO (n8n, con la service key)
+-- ============================================
+-- La app solo envía al webhook el id del movimiento y el JWT de la sesión
+-- (Authorization: Bearer). n8n valida el JWT contra /auth/v1/user y con el
+-- email que devuelve pide el aviso: el texto y el destino salen del movimiento,
+-- no de lo que mande el navegador.
+--   PENDIENTE             a los admins; solo lo pide el dueño del movimiento
+--   VERIFICADO/RECHAZADO  al dueño; solo lo pide un admin
+-- Sin filas = quien llama no puede pedir ese aviso (n8n no envía nada).
+create or replace function public.daviplata_aviso_push(
+    p_movimiento_id uuid,
+    p_email         text
+)
+returns table (
+    destino text,
+    titulo  text,
+    cuerpo  text
+)
+language sql
+stable
+security invoker
+as $$
+    select
+        case when m.verified = 'PENDIENTE' then 'ADMINS' else m.usuario_id::text end,
+        case m.verified
+            when 'PENDIENTE'  then 'Ingreso pendiente de verificar'
+            when 'VERIFICADO' then 'Movimiento verificado ✅'
+            else 'Movimiento rechazado ❌'
+        end,
+        case m.verified
+            when 'PENDIENTE'  then trim(dueno.nombre || ' registró ' || monto.texto || ': ' || coalesce(m.motivo, ''))
+            when 'VERIFICADO' then 'Tu ingreso de ' || monto.texto || ' ya suma al saldo'
+            else 'Tu ingreso de ' || monto.texto || ' fue rechazado: ' || coalesce(m.motivo_rechazo, '')
+        end
+    from daviplata_movimientos m
+    join daviplata_usuarios dueno on dueno.id = m.usuario_id
+    join daviplata_usuarios quien on quien.email = p_email
+    cross join lateral (
+        select to_char(m.monto, 'FM999G999G999G990D00') || ' ' || m.moneda as texto
+    ) monto
+    where m.id = p_movimiento_id
+      and case when m.verified = 'PENDIENTE'
+               then quien.id = m.usuario_id
+               else quien.rol_daviplata = 'admin' and quien.id <> m.usuario_id
+          end;
+$$;
+
+grant execute on function public.daviplata_aviso_push(uuid, text) to service_role;
+
+-- Suscripciones a las que va un aviso del webhook de push:
+--   p_destino  'ADMINS' (ingreso pendiente) o el id del usuario dueño del movimiento
+-- n8n envía a cada una { titulo, cuerpo, movimiento_id } y borra las que
+-- responden 404/410 (el navegador las dio de baja).
+create or replace function public.daviplata_destinatarios_push(
+    p_destino text
+)
+returns table (
+    endpoint text,
+    p256dh   text,
+    auth     text
+)
+language sql
+stable
+security invoker
+as $$
+    select s.endpoint, s.p256dh, s.auth
+    from daviplata_suscripciones_push s
+    join daviplata_usuarios u on u.id = s.usuario_id
+    where (p_destino = 'ADMINS' and u.rol_daviplata = 'admin')
+       or u.id::text = p_destino;
+$$;
+
+grant execute on function public.daviplata_destinatarios_push(text) to service_role;
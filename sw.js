@@ -1,7 +1,61 @@
 /* ═══════════════════════════════════════════════════════════════
-   DaviPlata Service Worker  v3.0.0
+   DaviPlata Service Worker  v3.14.0
    Estrategia: Network First con timeout + fallback a cache
    ─────────────────────────────────────────────────────────────
+   Cambios v3.14.0
+   • Notificaciones Web Push (ingresos pendientes y resultado de la
+     verificación); al tocarlas se abre el detalle del movimiento
+   • Nuevo asset js/push.js (suscripción del dispositivo)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.13.0
+   • Nuevo asset js/alerts.js (reglas de alerta y avisos)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.12.0
+   • Nuevo asset js/analytics.js (gráficos del escritorio por período)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.11.0
+   • Nuevo asset js/filters.js (filtros guardados del escritorio)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.10.1
+   • La API de Supabase propia (/rest, /storage, /auth... /v1/) queda
+     fuera del cache: enlaces firmados y subidas reanudables (TUS)
+     van siempre a la red
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.10.0
+   • Nuevo asset js/image.js (procesado de fotos, también como
+     Web Worker); heic2any llega de cdn.jsdelivr.net (cache CDN)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.9.0
+   • Nuevo asset js/storage.js (comprobantes en bucket privado con
+     enlaces firmados; las peticiones a Supabase siguen sin cache)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.8.0
+   • Nuevo asset js/ocr.js (lectura del comprobante en el navegador);
+     Tesseract.js y el idioma llegan de cdn.jsdelivr.net (cache CDN)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.7.0
+   • Nuevo asset js/currency.js (movimientos en varias monedas)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.6.0
+   • Nuevo asset js/scheduled.js (movimientos programados)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.5.0
+   • Nuevo asset js/categories.js (categorías y presupuestos)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.4.0
+   • Nuevo asset js/accounts.js (cuentas y transferencias)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.3.0
+   • Nuevo asset js/export.js (exportación CSV / Excel)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.2.0
+   • Nuevo asset js/realtime.js (suscripción Supabase Realtime)
+   ─────────────────────────────────────────────────────────────
+   Cambios v3.1.0
+   • Background Sync 'daviplata-sync-movimientos': al volver la red
+     pide a los clientes abiertos que reenvíen la cola offline
+     (IndexedDB, ver js/offline.js)
+   ─────────────────────────────────────────────────────────────
    Cambios v3.0.0
    • Network First con timeout de 4 s para todos los assets propios
    • Stale-While-Revalidate para dependencias CDN (lectura rápida)
@@ -10,10 +64,12 @@
    • skipWaiting inmediato → clientes controlados de inmediato
    ═══════════════════════════════════════════════════════════════ */
 
-const CACHE_VERSION  = 'v3.0.0';
+const CACHE_VERSION  = 'v3.14.0';
 const CACHE_APP      = `daviplata-app-${CACHE_VERSION}`;
 const CACHE_CDN      = `daviplata-cdn-${CACHE_VERSION}`;
 const NETWORK_TIMEOUT_MS = 4000;
+const OFFLINE_SYNC_TAG   = 'daviplata-sync-movimientos';
+const NOTIFICATION_ICON  = 'https://i.ibb.co/FLFGvTNp/DAVIPLATALOGO.png';
 
 /* Assets propios a pre-cachear en install */
 const APP_ASSETS = [
@@ -25,9 +81,23 @@ const APP_ASSETS = [
   './css/styles.css',
   './js/config.js',
   './js/supabase.js',
+  './js/image.js',
   './js/upload.js',
+  './js/storage.js',
   './js/movements.js',
+  './js/accounts.js',
+  './js/categories.js',
+  './js/scheduled.js',
+  './js/currency.js',
+  './js/ocr.js',
+  './js/offline.js',
+  './js/realtime.js',
   './js/pdf.js',
+  './js/export.js',
+  './js/filters.js',
+  './js/analytics.js',
+  './js/alerts.js',
+  './js/push.js',
   './js/app.js',
   './js/redirect.js',
 ];
@@ -44,6 +114,7 @@ const CDN_ORIGINS = [
 /* Requests que NUNCA se cachean */
 const BYPASS_PATTERNS = [
   /supabase\.co/,
+  /\/(rest|storage|auth|functions|realtime)\/v1\//,
   /luispintasolutions\.com\/webhook/,
   /chrome-extension/,
 ];
@@ -149,3 +220,63 @@ self.addEventListener('fetch', event => {
     );
   }
 });
+
+/* ── SYNC: reenviar cola offline ──────────────────────────── */
+/* El reenvío necesita la sesión de Supabase, que vive en la página:
+   el SW solo avisa a los clientes. Sin clientes abiertos se rechaza
+   para que el navegador reintente la sync más tarde. */
+async function requestQueueSync() {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (clients.length === 0) throw new Error('Sin clientes para sincronizar');
+  clients.forEach(client => client.postMessage({ type: 'SYNC_OFFLINE_QUEUE' }));
+}
+
+self.addEventListener('sync', event => {
+  if (event.tag === OFFLINE_SYNC_TAG) {
+    console.log(`[SW ${CACHE_VERSION}] sync ${event.tag}`);
+    event.waitUntil(requestQueueSync());
+  }
+});
+
+/* ── PUSH: avisos enviados por n8n ────────────────────────── */
+/* Payload: { titulo, cuerpo, movimiento_id } (ver js/push.js) */
+self.addEventListener('push', event => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { cuerpo: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.titulo || 'DaviPlata', {
+      body: data.cuerpo || '',
+      icon: NOTIFICATION_ICON,
+      badge: NOTIFICATION_ICON,
+      // Un solo aviso por movimiento: la verificación reemplaza al de pendiente
+      tag: data.movimiento_id ? `movimiento-${data.movimiento_id}` : undefined,
+      data: { movimiento_id: data.movimiento_id || null }
+    })
+  );
+});
+
+/* ── NOTIFICATIONCLICK: abrir el detalle del movimiento ───── */
+/* Con una ventana abierta se enfoca y se le pide el detalle;
+   si no, se abre la app con ?movimiento=<id> */
+async function openMovementClient(id) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = clients[0];
+
+  if (client) {
+    await client.focus();
+    if (id) client.postMessage({ type: 'OPEN_MOVEMENT', id });
+    return;
+  }
+
+  await self.clients.openWindow(id ? `./index.html?movimiento=${encodeURIComponent(id)}` : './index.html');
+}
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(openMovementClient(event.notification.data?.movimiento_id));
+});